@@ -0,0 +1,52 @@
+// migrate.js
+// Usage: node migrate.js <status|up|down> [target version | steps]
+import dotenv from 'dotenv';
+import { connectPostgres, closePostgres } from './src/config/db.js';
+import { getMigrationStatus, migrateUp, migrateDown, migrationLabel } from './src/config/migrator.js';
+import { createLogger } from './src/utils/logger.js';
+
+dotenv.config();
+
+const log = createLogger('Migrate');
+
+async function main() {
+    const [command = 'status', arg] = process.argv.slice(2);
+    const numericArg = arg !== undefined ? parseInt(arg, 10) : undefined;
+    if (arg !== undefined && isNaN(numericArg)) {
+        throw new Error(`Invalid numeric argument: ${arg}`);
+    }
+
+    await connectPostgres();
+
+    switch (command) {
+        case 'status': {
+            const status = await getMigrationStatus();
+            // The status table is the command's output, not a log
+            for (const m of status) {
+                const state = m.missing ? 'applied (file missing)' : m.applied ? `applied ${m.appliedAt.toISOString()}` : 'pending';
+                console.log(`${migrationLabel(m)}\t${state}`);
+            }
+            break;
+        }
+        case 'up': {
+            const applied = await migrateUp({ to: numericArg });
+            log.info(applied.length ? `Applied ${applied.length} migration(s).` : 'Database is up to date.', { applied: applied.length });
+            break;
+        }
+        case 'down': {
+            const reverted = await migrateDown({ steps: numericArg ?? 1 });
+            log.info(`Reverted ${reverted.length} migration(s).`, { reverted: reverted.length });
+            break;
+        }
+        default:
+            throw new Error(`Unknown command '${command}'. Expected status, up or down.`);
+    }
+}
+
+main()
+    .then(() => closePostgres())
+    .catch(async (error) => {
+        log.error('Migration command failed.', { error });
+        await closePostgres().catch(() => {});
+        process.exit(1);
+    });
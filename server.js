@@ -1,20 +1,55 @@
 // server.js
 import dotenv from 'dotenv';
 import express from 'express';
-import os from 'os';
 import cors from 'cors'; // Import the cors middleware
-import { connectPostgres, pgClient } from './src/config/db.js';
+import { connectPostgres, closePostgres } from './src/config/db.js';
 // Import adminPanelUrl and mainBackendUrl for CORS configuration
-import { initializeSharedServices, mainBackendUrl, adminPanelUrl } from './src/config/services.js';
+import { mainBackendUrl, adminPanelUrl } from './src/config/services.js';
+import { startSharedConfig, stopSharedConfig, onSharedConfigChange } from './src/config/sharedConfig.js';
 import planStateRoutes from './src/routes/planState.routes.js';
+import outboxRoutes from './src/routes/outbox.routes.js';
+import planRoutes from './src/routes/plan.routes.js';
+import schedulerRoutes from './src/routes/scheduler.routes.js';
+import webhookRoutes from './src/routes/webhook.routes.js';
+import apiKeyRoutes from './src/routes/apiKey.routes.js';
+import configRoutes from './src/routes/config.routes.js';
+import healthRoutes from './src/routes/health.routes.js';
 import authMiddleware from './src/middleware/auth.js';
-import { startScheduler } from './src/services/scheduler.js';
+import { httpMetrics } from './src/middleware/metrics.js';
+import { requestContext } from './src/middleware/requestContext.js';
+import { startScheduler, stopScheduler } from './src/services/scheduler.js';
+import { startOutboxDispatcher, stopOutboxDispatcher } from './src/services/outboxDispatcher.js';
+import { markShuttingDown } from './src/services/health.service.js';
+import { migrateUp } from './src/config/migrator.js';
+import { intFromEnv } from './src/utils/env.js';
+import { NotFoundError, toAppError } from './src/utils/errors.js';
+import { renderMetrics } from './src/utils/metrics.js';
+import { createLogger } from './src/utils/logger.js';
 
 dotenv.config();
 
+const log = createLogger('Server');
+
 const app = express();
+// ETags are plan state versions, set by the controllers (see utils/etag.js); Express's content hashes would
+// look like versions to clients on every other response
+app.set('etag', false);
 const PORT = process.env.PORT || 3002;
-
+// Time the work in flight gets to finish after SIGTERM or SIGINT
+const SHUTDOWN_TIMEOUT_SECONDS = intFromEnv('SHUTDOWN_TIMEOUT_SECONDS', 25);
+
+let server = null;
+let isShuttingDown = false;
+
+app.use(requestContext);
+app.use(httpMetrics);
+// While shutting down, connections are closed after each response, so clients reconnect to another replica
+app.use((req, res, next) => {
+    if (isShuttingDown) {
+        res.set('Connection', 'close');
+    }
+    next();
+});
 app.use(express.json());
 
 // ------------------------------------------
@@ -22,9 +57,19 @@ app.use(express.json());
 // This ensures CORS origins are set based on fetched shared variables.
 // The `cors()` middleware with a function is the most robust way to handle dynamic origins.
 // ------------------------------------------
+// Origins of the main backend and admin panel; rebuilt whenever their shared variables change
+function buildAllowedOrigins() {
+    return [mainBackendUrl, adminPanelUrl].filter(Boolean).map(url => new URL(url).origin);
+}
+
+let allowedOrigins = buildAllowedOrigins();
+onSharedConfigChange(['MAIN_BACKEND_URL', 'ADMIN_URL'], () => {
+    allowedOrigins = buildAllowedOrigins();
+    log.info('CORS allow-list updated.', { allowedOrigins });
+});
+
 app.use(cors(async (req, callback) => {
     let corsOptions;
-    const allowedOrigins = [mainBackendUrl, adminPanelUrl].filter(Boolean); // Filter out null/undefined
 
     // Default to allow all if no specific origins are set, or for non-browser requests
     let originIsAllowed = false;
@@ -43,119 +88,146 @@ app.use(cors(async (req, callback) => {
     }
     
     if (originIsAllowed) {
-        corsOptions = { origin: requestOrigin, credentials: true, methods: 'GET,HEAD,PUT,PATCH,POST,DELETE', optionsSuccessStatus: 204 };
+        corsOptions = {
+            origin: requestOrigin,
+            credentials: true,
+            methods: 'GET,HEAD,PUT,PATCH,POST,DELETE',
+            // Read by the admin panel for If-Match and to tell replayed responses apart
+            exposedHeaders: 'ETag,Idempotent-Replayed',
+            optionsSuccessStatus: 204
+        };
     } else {
         corsOptions = { origin: false }; // Reflect rejection in CORS header
-        console.warn(`[CORS] Request from disallowed origin: ${requestOrigin}`);
+        log.warn('Request from disallowed origin.', { origin: requestOrigin });
     }
     callback(null, corsOptions); // Callback to signal CORS configuration is ready
 }));
 // ------------------------------------------
 
-// Apply authentication middleware to all plan state routes
+// Every route below authenticates with an API key; each route checks the scope it needs
 app.use('/plan-states', authMiddleware, planStateRoutes);
+// Plan catalog (trial length, billing interval, grace period and notifications per plan)
+app.use('/plans', authMiddleware, planRoutes);
+// Admin endpoints for inspecting and recovering dead-lettered outbound messages
+app.use('/outbox', authMiddleware, outboxRoutes);
+// Scheduler run history and on-demand runs
+app.use('/scheduler', authMiddleware, schedulerRoutes);
+// Webhook subscriptions: signed copies of every outbound event for other services
+app.use('/webhooks', authMiddleware, webhookRoutes);
+// API keys of the callers above (named, scoped, rotatable)
+app.use('/api-keys', authMiddleware, apiKeyRoutes);
+// Effective shared variables (from the shared-variables service, last-known-good or defaults)
+app.use('/config', authMiddleware, configRoutes);
 
 async function initializeApp() {
     try {
         await connectPostgres();
-        console.log('PostgreSQL connected successfully.');
-
-        // Ensure the plan_states table exists and add new notification flags
-        await pgClient.query(`
-            CREATE TABLE IF NOT EXISTS plan_states (
-                website_id VARCHAR(255) PRIMARY KEY,
-                plan_id VARCHAR(255) NOT NULL,
-                free_trial_start_date TIMESTAMP WITH TIME ZONE,
-                next_billing_date TIMESTAMP WITH TIME ZONE,
-                created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
-                free_trial_end_notified_5d BOOLEAN DEFAULT FALSE,
-                free_trial_end_notified_3d BOOLEAN DEFAULT FALSE,
-                free_trial_end_notified_1d BOOLEAN DEFAULT FALSE,
-                free_trial_ended_action_taken BOOLEAN DEFAULT FALSE,
-                billing_date_notified_3d BOOLEAN DEFAULT FALSE,
-                last_scheduler_run TIMESTAMP WITH TIME ZONE DEFAULT NULL
-            );
-        `);
-        console.log('PostgreSQL plan_states table ensured with new notification flags.');
-
-        // Initialize shared service configurations (fetch mainBackendUrl and adminPanelUrl)
-        await initializeSharedServices(); // This populates mainBackendUrl and adminPanelUrl
+        log.info('PostgreSQL connected successfully.');
+
+        // Apply pending schema migrations (guarded by an advisory lock so replicas don't race)
+        if (process.env.RUN_MIGRATIONS_ON_STARTUP !== 'false') {
+            const applied = await migrateUp();
+            log.info('PostgreSQL schema up to date.', { migrationsApplied: applied.length });
+        }
+
+        // Shared variables (main backend and admin panel URLs, trial length, notification ladder):
+        // last-known-good values from Postgres, then the shared-variables service, refreshed from then on
+        await startSharedConfig();
 
         startScheduler();
+        startOutboxDispatcher();
 
     } catch (error) {
-        console.error('Failed to initialize app:', error);
+        log.error('Failed to initialize app.', { error });
         process.exit(1); // Exit if critical initialization fails
     }
 }
 
-// ------------------------------------------
-// UPDATED: Health Check and Load Info Route
-// Now includes System Metrics mirroring shared-variables-service for consistency in Admin Panel
-// ------------------------------------------
-app.get('/health', async (req, res) => {
-    let pgStatus = 'disconnected';
-    let pgError = null;
+// Liveness and readiness probes (no API key; they hold no website data)
+app.use('/health', healthRoutes);
 
-    try {
-        if (pgClient) {
-            await pgClient.query('SELECT 1');
-            pgStatus = 'connected';
-        }
-    } catch (err) {
-        pgStatus = 'error';
-        pgError = err.message;
-        console.error('Health check PostgreSQL query failed:', err);
-    }
+// Prometheus scrape endpoint (scheduler runs, main backend calls, HTTP requests, Postgres queries).
+// Like the health probes it needs no API key; it holds no website data.
+app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+});
 
-    // Get system load average
-    const loadAverage = os.loadavg();
-    // Get total and free memory in bytes
-    const totalMemory = os.totalmem();
-    const freeMemory = os.freemem();
-    const usedMemory = totalMemory - freeMemory;
-    const uptime = os.uptime(); // System uptime in seconds
-
-    res.status(200).json({
-        service: 'plan-controller-service',
-        status: pgStatus === 'connected' ? 'healthy' : 'degraded',
-        uptime: `${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m ${Math.floor(uptime % 60)}s`,
-        database_connections: {
-            // Plan controller only uses Postgres, no Redis
-            postgres: {
-                status: pgStatus,
-                error: pgError
-            }
-        },
-        system_load: { // Include system load metrics for Plan Controller
-            load_average_1min: loadAverage[0],
-            load_average_5min: loadAverage[1],
-            load_average_15min: loadAverage[2],
-            cpu_count: os.cpus().length,
-            memory_usage: {
-                total_mb: (totalMemory / (1024 * 1024)).toFixed(2),
-                free_mb: (freeMemory / (1024 * 1024)).toFixed(2),
-                used_mb: (usedMemory / (1024 * 1024)).toFixed(2),
-                used_percentage: ((usedMemory / totalMemory) * 100).toFixed(2)
-            }
-        },
-        timestamp: new Date().toISOString()
-    });
+app.use((req, res, next) => {
+    next(new NotFoundError(`Route ${req.method} ${req.path} not found.`, 'ROUTE_NOT_FOUND'));
 });
-// ------------------------------------------
 
+// Every error response has the same shape; errorCode is stable for clients to branch on, and
+// validation errors list the offending fields in details
 app.use((err, req, res, next) => {
-    console.error(err.stack);
-    res.status(err.statusCode || 500).json({
-        code: err.statusCode || 500,
+    const error = toAppError(err);
+    if (error.statusCode >= 500) {
+        log.error('Request failed.', { error: err, method: req.method, path: req.originalUrl.split('?')[0] });
+    }
+    res.status(error.statusCode).json({
+        code: error.statusCode,
         status: 'error',
-        error: err.message || 'An unexpected error occurred.'
+        error: error.message,
+        errorCode: error.errorCode,
+        ...(error.details && { details: error.details })
     });
 });
 
+// Resolves once every connection is closed. A keep-alive connection whose request was in flight goes idle
+// after the response and would keep the server open, so idle connections are closed until then.
+function closeHttpServer() {
+    return new Promise((resolve, reject) => {
+        const idleSweep = setInterval(() => server.closeIdleConnections(), 500);
+        server.close((error) => {
+            clearInterval(idleSweep);
+            return error ? reject(error) : resolve();
+        });
+    });
+}
+
+/**
+ * Stops taking requests and lets the requests, scheduler run (the websites being processed) and outbox
+ * deliveries in flight finish, then closes the database connections. Exits with 0 once everything
+ * stopped within SHUTDOWN_TIMEOUT_SECONDS, and with 1 if the deadline passed or a step failed.
+ * A second signal exits right away.
+ * @param {string} signal
+ */
+async function shutdown(signal) {
+    if (isShuttingDown) {
+        log.warn('Received another signal while shutting down; exiting now.', { signal });
+        process.exit(1);
+    }
+    isShuttingDown = true;
+    // Readiness fails from here on, so the load balancer stops sending new requests during the drain
+    markShuttingDown();
+
+    if (!server) {
+        // Still starting: nothing in flight yet (a migration in progress is rolled back with its connection)
+        log.info('Shutdown requested during startup; exiting.', { signal });
+        process.exit(0);
+    }
+
+    log.info('Shutting down.', { signal, timeoutSeconds: SHUTDOWN_TIMEOUT_SECONDS });
+    setTimeout(() => {
+        log.error('Shutdown did not finish in time; exiting with work in flight.', { timeoutSeconds: SHUTDOWN_TIMEOUT_SECONDS });
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_SECONDS * 1000);
+
+    try {
+        await Promise.all([closeHttpServer(), stopScheduler(), stopOutboxDispatcher(), stopSharedConfig()]);
+        await closePostgres();
+        log.info('Shutdown complete.');
+        process.exit(0);
+    } catch (error) {
+        log.error('Shutdown failed.', { error });
+        process.exit(1);
+    }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 initializeApp().then(() => {
-    app.listen(PORT, () => {
-        console.log(`Plan Controller Service listening on port ${PORT}`);
+    server = app.listen(PORT, () => {
+        log.info('Plan Controller Service listening.', { port: PORT });
     });
 });
\ No newline at end of file
@@ -1,23 +1,218 @@
 // src/config/db.js
+// PostgreSQL (Neon) through a connection pool. Connections that break (e.g. Neon closing idle ones) are
+// dropped from the pool and replaced on the next query, so the service recovers without a restart.
+// Settings: PG_POOL_MAX (connections, default 10), PG_POOL_IDLE_TIMEOUT_MS (default 30000),
+// PG_CONNECTION_TIMEOUT_MS (waiting for a connection, default 10000), PG_STATEMENT_TIMEOUT_MS (default
+// 30000) and PG_QUERY_RETRIES (retries of a failed query, default 2).
 import pg from 'pg';
 import dotenv from 'dotenv';
+import { intFromEnv } from '../utils/env.js';
+import { counter, histogram } from '../utils/metrics.js';
+import { createLogger } from '../utils/logger.js';
 dotenv.config();
 
-const { Client } = pg;
+const { Pool } = pg;
 
-// PostgreSQL Client (Neon)
-const pgClient = new Client({
+const log = createLogger('Postgres');
+
+const QUERY_RETRIES = intFromEnv('PG_QUERY_RETRIES', 2, 0);
+const RETRY_BASE_DELAY_MS = 100;
+const HEALTH_CHECK_TIMEOUT_MS = 2000;
+
+const pool = new Pool({
     connectionString: process.env.POSTGRES_URL,
     ssl: {
         rejectUnauthorized: false // Required for Neon if connecting from Vercel/similar environments
-    }
+    },
+    max: Math.max(intFromEnv('PG_POOL_MAX', 10, 0), 1),
+    idleTimeoutMillis: intFromEnv('PG_POOL_IDLE_TIMEOUT_MS', 30000, 0),
+    connectionTimeoutMillis: intFromEnv('PG_CONNECTION_TIMEOUT_MS', 10000, 0),
+    statement_timeout: intFromEnv('PG_STATEMENT_TIMEOUT_MS', 30000, 0),
+    application_name: 'plan-controller-service'
+});
+
+// An idle connection that breaks emits this on the pool (and would crash the process unhandled);
+// the pool has already dropped it
+pool.on('error', (error) => {
+    log.warn('Idle PostgreSQL connection failed; it will be replaced.', { error: error.message });
 });
 
+const queryDuration = histogram({
+    name: 'plan_controller_db_query_duration_seconds',
+    help: 'Duration of PostgreSQL queries by statement type (first keyword) and outcome.',
+    labelNames: ['operation', 'outcome']
+});
+const queryRetries = counter({
+    name: 'plan_controller_db_query_retries_total',
+    help: 'PostgreSQL queries retried after a transient error, by statement type.',
+    labelNames: ['operation']
+});
+
+// First keyword of the statement (SELECT, INSERT, WITH, ...); the full text would be far too many label values
+function statementOperation(config) {
+    const text = typeof config === 'string' ? config : config?.text;
+    const match = /^\s*([a-z]+)/i.exec(text || '');
+    return match ? match[1].toUpperCase() : 'OTHER';
+}
+
+// The statement was never run, or was rolled back as a whole: trying again cannot apply it twice
+const ALWAYS_RETRYABLE_CODES = new Set([
+    '40001', // serialization_failure
+    '40P01', // deadlock_detected
+    '53300', // too_many_connections
+    '57P03', // cannot_connect_now
+    'ECONNREFUSED',
+    'ENOTFOUND',
+    'EAI_AGAIN'
+]);
+// The connection was lost while the statement ran; it may have been applied, so only reads are retried
+const RETRYABLE_READ_CODES = new Set([
+    '57P01', // admin_shutdown
+    '57P02', // crash_shutdown
+    '08000', '08003', '08006', // connection exceptions
+    'ECONNRESET',
+    'EPIPE',
+    'ETIMEDOUT'
+]);
+
+function isRetryable(error, operation) {
+    if (ALWAYS_RETRYABLE_CODES.has(error.code) || /timeout exceeded when trying to connect/i.test(error.message)) {
+        return true;
+    }
+    const connectionLost = RETRYABLE_READ_CODES.has(error.code) || /Connection terminated/i.test(error.message);
+    return connectionLost && operation === 'SELECT';
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function timed(operation, run) {
+    const endTimer = queryDuration.startTimer({ operation });
+    try {
+        const result = await run();
+        endTimer({ outcome: 'success' });
+        return result;
+    } catch (error) {
+        endTimer({ outcome: 'error' });
+        throw error;
+    }
+}
+
+/**
+ * Runs a statement on a pooled connection. Transient failures (no connection, deadlocks, serialization
+ * failures, and lost connections for SELECTs) are retried with backoff.
+ * @param {string | object} config - SQL text, or a pg query config.
+ * @param {Array<any>} [values]
+ * @returns {Promise<pg.QueryResult>}
+ */
+async function query(config, values) {
+    const operation = statementOperation(config);
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await timed(operation, () => pool.query(config, values));
+        } catch (error) {
+            if (attempt >= QUERY_RETRIES || !isRetryable(error, operation)) {
+                throw error;
+            }
+            queryRetries.inc({ operation });
+            log.warn('Retrying PostgreSQL query after a transient error.', { operation, attempt: attempt + 1, error: error.message });
+            await sleep(RETRY_BASE_DELAY_MS * 2 ** attempt);
+        }
+    }
+}
+
+// What services query through; a transaction passes its own (see withTransaction)
+const db = { query };
+
+/**
+ * Runs fn with a connection of its own, e.g. for session-level advisory locks. Queries on it are timed
+ * but not retried.
+ * @param {function({query: function}): Promise<T>} fn
+ * @returns {Promise<T>}
+ * @template T
+ */
+async function withClient(fn) {
+    const client = await pool.connect();
+    let broken = null;
+    try {
+        return await fn({
+            query: (config, values) => timed(statementOperation(config), () => client.query(config, values))
+        });
+    } catch (error) {
+        if (/Connection terminated/i.test(error.message) || RETRYABLE_READ_CODES.has(error.code)) {
+            broken = error;
+        }
+        throw error;
+    } finally {
+        // A broken connection is closed instead of going back to the pool
+        client.release(broken || undefined);
+    }
+}
+
+/**
+ * Runs fn in a transaction: committed if fn resolves, rolled back if it throws. Queries inside must use
+ * the executor fn gets, not db; they are not retried (the whole transaction would have to be).
+ * @param {function({query: function}): Promise<T>} fn
+ * @param {{query: function}} [client] - A connection from withClient to run the transaction on.
+ * @returns {Promise<T>}
+ * @template T
+ */
+async function withTransaction(fn, client) {
+    if (!client) {
+        return withClient(own => withTransaction(fn, own));
+    }
+    await client.query('BEGIN');
+    try {
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        try {
+            await client.query('ROLLBACK');
+        } catch (rollbackError) {
+            log.error('Rollback failed.', { error: rollbackError });
+        }
+        throw error;
+    }
+}
+
 async function connectPostgres() {
     if (!process.env.POSTGRES_URL) {
         throw new Error('POSTGRES_URL is not defined in environment variables.');
     }
-    await pgClient.connect();
+    await query('SELECT 1');
+}
+
+/**
+ * Checks that a connection can be had and answers quickly, for the readiness probe.
+ * @returns {Promise<{status: 'connected' | 'error', error: string | null, pool: object}>}
+ */
+async function checkPostgres() {
+    const poolStats = () => ({
+        max: pool.options.max,
+        total: pool.totalCount,
+        idle: pool.idleCount,
+        waiting: pool.waitingCount
+    });
+    let timer;
+    try {
+        // Bounds the wait for a free connection too
+        await Promise.race([
+            timed('SELECT', () => pool.query('SELECT 1')),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`No answer within ${HEALTH_CHECK_TIMEOUT_MS} ms.`)), HEALTH_CHECK_TIMEOUT_MS);
+            })
+        ]);
+        return { status: 'connected', error: null, pool: poolStats() };
+    } catch (error) {
+        return { status: 'error', error: error.message, pool: poolStats() };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Closes every connection; call once nothing queries anymore
+async function closePostgres() {
+    await pool.end();
 }
 
-export { pgClient, connectPostgres };
\ No newline at end of file
+export { db, withClient, withTransaction, connectPostgres, checkPostgres, closePostgres };
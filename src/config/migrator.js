@@ -0,0 +1,175 @@
+// src/config/migrator.js
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { db, withClient, withTransaction } from './db.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Migrator');
+
+const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+// Every replica takes this session-level advisory lock before touching the schema,
+// so only one of them applies pending migrations while the others wait.
+const MIGRATION_LOCK_SQL = `SELECT pg_advisory_lock(hashtext('plan-controller-service:migrations'));`;
+const MIGRATION_UNLOCK_SQL = `SELECT pg_advisory_unlock(hashtext('plan-controller-service:migrations'));`;
+
+/**
+ * Loads all migration modules from src/migrations, ordered by version.
+ * @returns {Promise<Array<{version: number, name: string, up: string, down: string}>>}
+ */
+async function loadMigrations() {
+    const files = await fs.readdir(MIGRATIONS_DIR);
+    const migrations = [];
+
+    for (const file of files) {
+        const match = MIGRATION_FILE_PATTERN.exec(file);
+        if (!match) continue;
+
+        const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+        if (typeof module.up !== 'string' || typeof module.down !== 'string') {
+            throw new Error(`Migration ${file} must export 'up' and 'down' SQL strings.`);
+        }
+        migrations.push({ version: parseInt(match[1], 10), name: match[2], up: module.up, down: module.down });
+    }
+
+    migrations.sort((a, b) => a.version - b.version);
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}.`);
+        }
+    }
+    return migrations;
+}
+
+function migrationLabel(migration) {
+    return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+async function ensureMigrationsTable(client = db) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+    `);
+}
+
+async function getAppliedMigrations(client = db) {
+    const result = await client.query(`SELECT version, name, applied_at FROM schema_migrations ORDER BY version;`);
+    return result.rows;
+}
+
+/**
+ * Runs a function while holding the migration advisory lock. The lock belongs to a database session,
+ * so everything runs on one connection, which fn gets. The migrations table is created under the lock:
+ * replicas starting together would otherwise race on CREATE TABLE IF NOT EXISTS, which can fail with
+ * a duplicate type or relation error.
+ * @param {function({query: function}): Promise<any>} fn
+ */
+async function withMigrationLock(fn) {
+    return withClient(async (client) => {
+        await client.query(MIGRATION_LOCK_SQL);
+        try {
+            await ensureMigrationsTable(client);
+            return await fn(client);
+        } finally {
+            await client.query(MIGRATION_UNLOCK_SQL);
+        }
+    });
+}
+
+/**
+ * Applies a single migration step in its own transaction.
+ * @param {{query: function}} client - The connection holding the migration lock.
+ * @param {object} migration
+ * @param {'up' | 'down'} direction
+ */
+async function runMigrationStep(client, migration, direction) {
+    try {
+        await withTransaction(async (tx) => {
+            await tx.query(migration[direction]);
+            if (direction === 'up') {
+                await tx.query(`INSERT INTO schema_migrations (version, name) VALUES ($1, $2);`, [migration.version, migration.name]);
+            } else {
+                await tx.query(`DELETE FROM schema_migrations WHERE version = $1;`, [migration.version]);
+            }
+        }, client);
+        log.info(`${direction === 'up' ? 'Applied' : 'Reverted'} migration ${migrationLabel(migration)}.`, { version: migration.version });
+    } catch (error) {
+        log.error(`Failed to ${direction === 'up' ? 'apply' : 'revert'} migration ${migrationLabel(migration)}.`, { version: migration.version, error });
+        throw error;
+    }
+}
+
+/**
+ * Returns every known migration with its applied state, plus applied versions that no longer exist on disk.
+ * @returns {Promise<Array<{version: number, name: string, applied: boolean, appliedAt: Date | null}>>}
+ */
+async function getMigrationStatus() {
+    const [migrations, applied] = await Promise.all([
+        loadMigrations(),
+        withMigrationLock(client => getAppliedMigrations(client))
+    ]);
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+    const status = migrations.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        applied: appliedByVersion.has(migration.version),
+        appliedAt: appliedByVersion.get(migration.version)?.applied_at || null
+    }));
+
+    const known = new Set(migrations.map(migration => migration.version));
+    for (const row of applied) {
+        if (!known.has(row.version)) {
+            status.push({ version: row.version, name: row.name, applied: true, appliedAt: row.applied_at, missing: true });
+        }
+    }
+    return status.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Applies all pending migrations in order (optionally only up to a target version).
+ * @param {object} [options]
+ * @param {number} [options.to] - Highest version to apply.
+ * @returns {Promise<Array<object>>} The migrations that were applied.
+ */
+async function migrateUp({ to } = {}) {
+    return withMigrationLock(async (client) => {
+        const [migrations, applied] = await Promise.all([loadMigrations(), getAppliedMigrations(client)]);
+        const appliedVersions = new Set(applied.map(row => row.version));
+        const pending = migrations.filter(m => !appliedVersions.has(m.version) && (to === undefined || m.version <= to));
+
+        for (const migration of pending) {
+            await runMigrationStep(client, migration, 'up');
+        }
+        return pending;
+    });
+}
+
+/**
+ * Reverts the most recently applied migrations.
+ * @param {object} [options]
+ * @param {number} [options.steps=1] - How many migrations to revert.
+ * @returns {Promise<Array<object>>} The migrations that were reverted.
+ */
+async function migrateDown({ steps = 1 } = {}) {
+    return withMigrationLock(async (client) => {
+        const [migrations, applied] = await Promise.all([loadMigrations(), getAppliedMigrations(client)]);
+        const byVersion = new Map(migrations.map(m => [m.version, m]));
+        const toRevert = applied.slice().reverse().slice(0, steps);
+
+        for (const row of toRevert) {
+            const migration = byVersion.get(row.version);
+            if (!migration) {
+                throw new Error(`Cannot revert migration ${migrationLabel(row)}: file not found.`);
+            }
+            await runMigrationStep(client, migration, 'down');
+        }
+        return toRevert;
+    });
+}
+
+export { loadMigrations, getMigrationStatus, migrateUp, migrateDown, migrationLabel };
@@ -1,66 +1,56 @@
 // src/config/services.js
-import axios from 'axios';
-
-let freeTrialDurationDays = 14; // Default value
-let mainBackendUrl = 'http://localhost:3000'; // Default value, will be fetched
-let adminPanelUrl = 'http://localhost:303'; // Default value, will be fetched (e.g., your Next.js admin panel URL)
-
-async function fetchSharedVariable(name) {
-    const url = `${process.env.SHARED_VARIABLES_SERVICE_URL}/variables/${name}`;
-    const apiKey = process.env.SHARED_VARIABLES_SERVICE_API_KEY;
-
-    if (!url || !apiKey) {
-        console.warn(`[SharedServicesConfig] Missing URL or API Key for shared variables service.`);
-        return null;
-    }
-
-    try {
-        const response = await axios.get(url, {
-            headers: { 'x-api-key': apiKey }
-        });
-        if (response.data.status === 'success' && response.data.value !== undefined) {
-            return response.data.value;
-        }
-        console.warn(`[SharedServicesConfig] Shared variable '${name}' not found or invalid response.`);
-        return null;
-    } catch (error) {
-        console.error(`[SharedServicesConfig] Error fetching shared variable '${name}':`, error.message);
-        return null;
-    }
-}
-
-async function initializeSharedServices() {
-    console.log('[SharedServicesConfig] Initializing shared service configurations...');
-    
-    const results = await Promise.all([
-        fetchSharedVariable('FREE_TRIAL_DURATION_DAYS'),
-        fetchSharedVariable('MAIN_BACKEND_URL'),
-        fetchSharedVariable('ADMIN_URL') // Fetch ADMIN_URL
-    ]);
-
-    const [fetchedFreeTrialDays, fetchedMainBackendUrl, fetchedAdminUrl] = results;
-
-    if (fetchedFreeTrialDays !== null) {
-        freeTrialDurationDays = fetchedFreeTrialDays;
-        console.log(`[SharedServicesConfig] FREE_TRIAL_DURATION_DAYS set to: ${freeTrialDurationDays}`);
-    } else {
-        console.warn(`[SharedServicesConfig] Using default FREE_TRIAL_DURATION_DAYS: ${freeTrialDurationDays}`);
-    }
-
-    if (fetchedMainBackendUrl !== null) {
-        mainBackendUrl = fetchedMainBackendUrl;
-        console.log(`[SharedServicesConfig] MAIN_BACKEND_URL set to: ${mainBackendUrl}`);
-    } else {
-        console.warn(`[SharedServicesConfig] Using default MAIN_BACKEND_URL: ${mainBackendUrl}`);
-    }
-
-    if (fetchedAdminUrl !== null) {
-        adminPanelUrl = fetchedAdminUrl; // Assign to the module-level variable
-        console.log(`[SharedServicesConfig] ADMIN_URL set to: ${adminPanelUrl}`);
-    } else {
-        console.warn(`[SharedServicesConfig] Using default ADMIN_URL: ${adminPanelUrl}`);
-    }
+// Shared variables for the main backend, the admin panel and default trial length (see sharedConfig.js).
+// The exported values are live bindings: they follow the shared-variables service as it is refreshed.
+import { defineSharedVariable, getSharedVariable, onSharedConfigChange } from './sharedConfig.js';
+import { string, integer } from '../utils/schema.js';
+
+// An http(s) URL, without a trailing slash (paths are appended to it)
+function httpUrl() {
+    return string({ trim: true })
+        .refine((value) => {
+            let url;
+            try {
+                url = new URL(value);
+            } catch {
+                return { code: 'invalid_format', message: 'Expected a URL.' };
+            }
+            return ['http:', 'https:'].includes(url.protocol)
+                ? null
+                : { code: 'invalid_format', message: 'Expected an http or https URL.' };
+        })
+        .transform(value => value.replace(/\/+$/, ''));
 }
 
-// Export all necessary variables and functions
-export { initializeSharedServices, freeTrialDurationDays, mainBackendUrl, adminPanelUrl, fetchSharedVariable };
\ No newline at end of file
+defineSharedVariable({
+    name: 'FREE_TRIAL_DURATION_DAYS',
+    description: 'Trial length in days for plans without their own.',
+    schema: integer({ min: 0, coerce: true }),
+    defaultValue: 14
+});
+defineSharedVariable({
+    name: 'MAIN_BACKEND_URL',
+    description: 'Base URL of the main backend; lifecycle calls are sent there and its origin may call this service (CORS).',
+    schema: httpUrl(),
+    defaultValue: 'http://localhost:3000',
+    required: true
+});
+defineSharedVariable({
+    name: 'ADMIN_URL',
+    description: 'URL of the admin panel, whose origin may call this service (CORS).',
+    schema: httpUrl(),
+    defaultValue: 'http://localhost:303',
+    required: true
+});
+
+let freeTrialDurationDays = getSharedVariable('FREE_TRIAL_DURATION_DAYS');
+let mainBackendUrl = getSharedVariable('MAIN_BACKEND_URL');
+let adminPanelUrl = getSharedVariable('ADMIN_URL');
+
+// Registered before any other listener, so other listeners already see the new values here
+onSharedConfigChange(['FREE_TRIAL_DURATION_DAYS', 'MAIN_BACKEND_URL', 'ADMIN_URL'], () => {
+    freeTrialDurationDays = getSharedVariable('FREE_TRIAL_DURATION_DAYS');
+    mainBackendUrl = getSharedVariable('MAIN_BACKEND_URL');
+    adminPanelUrl = getSharedVariable('ADMIN_URL');
+});
+
+export { freeTrialDurationDays, mainBackendUrl, adminPanelUrl };
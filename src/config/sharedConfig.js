@@ -0,0 +1,385 @@
+// src/config/sharedConfig.js
+// Live configuration from the shared-variables service. Each module defines the shared variables it reads
+// (name, schema, default) when it is loaded, like its metrics; this module keeps their effective values
+// in memory and refreshes them in the background every SHARED_CONFIG_REFRESH_INTERVAL_SECONDS (default 60).
+// Reads never wait for the service: once the last refresh is older than SHARED_CONFIG_TTL_SECONDS
+// (default 300), a read starts one in the background, which keeps values fresh even with the background
+// refresh turned off (interval 0).
+//
+// Fetched values are validated with the variable's schema; an invalid one is logged and ignored, and the
+// variable keeps its value, as it does while the service is down. A variable the service does not have
+// (404) takes its default. Valid values are stored in shared_config_values and restored on startup, so a
+// restart during an outage does not fall back to the defaults. The source of a value is 'service'
+// (fetched by this process), 'last-known-good' (stored by an earlier process) or 'default'.
+import axios from 'axios';
+import { isDeepStrictEqual } from 'util';
+import { listSharedConfigValues, saveSharedConfigValue, deleteSharedConfigValue } from '../services/sharedConfigValue.service.js';
+import { intFromEnv } from '../utils/env.js';
+import { counter, gauge } from '../utils/metrics.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('SharedConfig');
+
+const FETCH_TIMEOUT_MS = 5000;
+
+const fetchesTotal = counter({
+    name: 'plan_controller_shared_config_fetches_total',
+    help: 'Shared variable fetches by variable and outcome (changed, unchanged, missing, invalid, failed).',
+    labelNames: ['variable', 'outcome']
+});
+const lastRefreshSuccess = gauge({
+    name: 'plan_controller_shared_config_last_refresh_success_timestamp_seconds',
+    help: 'Unix time of the last refresh that fetched a valid value for every shared variable.'
+});
+
+// Name -> definition and current state
+const variables = new Map();
+// { names, listener } in registration order
+const listeners = [];
+
+let isStarted = false;
+let refreshInProgress = null;
+let lastRefreshAttemptAt = null;
+let lastRefreshSuccessAt = null;
+let refreshTimer = null;
+
+function getRefreshIntervalSeconds() {
+    return parseInt(process.env.SHARED_CONFIG_REFRESH_INTERVAL_SECONDS || '60', 10);
+}
+
+function getTtlSeconds() {
+    return intFromEnv('SHARED_CONFIG_TTL_SECONDS', 300);
+}
+
+/**
+ * Defines a shared variable. Call it once, when the module reading the variable is loaded.
+ * @param {object} options
+ * @param {string} options.name - Name in the shared-variables service, e.g. 'FREE_TRIAL_DURATION_DAYS'.
+ * @param {string} options.description - What the variable is used for (shown by GET /config).
+ * @param {import('../utils/schema.js').Schema} options.schema - Validates the raw value and converts it.
+ * @param {any} options.defaultValue - Value (already converted) until a valid one is fetched or restored.
+ * @param {boolean} [options.required=false] - The default is only a placeholder: until a value is fetched
+ *     or restored, the service is not ready (see health.service.js).
+ */
+function defineSharedVariable({ name, description, schema, defaultValue, required = false }) {
+    if (variables.has(name)) {
+        throw new Error(`Shared variable '${name}' is already defined.`);
+    }
+    variables.set(name, {
+        name,
+        description,
+        schema,
+        defaultValue,
+        required,
+        value: defaultValue,
+        source: 'default',
+        // When the value last changed, and when the service last confirmed it
+        updatedAt: null,
+        fetchedAt: null,
+        // Raw value in shared_config_values, so unchanged values are not written again
+        storedValue: undefined,
+        lastError: null
+    });
+}
+
+function getVariable(name) {
+    const variable = variables.get(name);
+    if (!variable) {
+        throw new Error(`Shared variable '${name}' is not defined.`);
+    }
+    return variable;
+}
+
+/**
+ * Current value of a shared variable.
+ * @param {string} name
+ * @returns {any}
+ */
+function getSharedVariable(name) {
+    const variable = getVariable(name);
+    if (isStarted && Date.now() - lastRefreshAttemptAt > getTtlSeconds() * 1000) {
+        refreshSharedConfig();
+    }
+    return variable.value;
+}
+
+/**
+ * Calls listener after a refresh (or the restore at startup) changed any of the given variables.
+ * Listeners run one after the other, in registration order; a failing listener is logged and skipped.
+ * @param {Array<string>} names
+ * @param {function(Array<{name: string, value: any, previous: any}>): (void | Promise<void>)} listener - Gets
+ *     the changes to the variables it listens to.
+ */
+function onSharedConfigChange(names, listener) {
+    names.forEach(getVariable);
+    listeners.push({ names, listener });
+}
+
+async function notifyListeners(changes) {
+    for (const { names, listener } of listeners) {
+        const relevant = changes.filter(change => names.includes(change.name));
+        if (relevant.length === 0) continue;
+        try {
+            await listener(relevant);
+        } catch (error) {
+            log.error('Shared config change listener failed.', { variables: relevant.map(change => change.name), error });
+        }
+    }
+}
+
+// Throws with the schema's messages if the raw value is invalid
+function parseValue(variable, raw) {
+    const issues = [];
+    const value = variable.schema.parse(raw, [], issues);
+    if (issues.length > 0) {
+        throw new Error(issues.map(issue => issue.message).join(' '));
+    }
+    return value;
+}
+
+// Returns the change, or null if the value stayed the same
+function applyValue(variable, value, source, updatedAt) {
+    const previous = variable.value;
+    variable.source = source;
+    if (isDeepStrictEqual(previous, value)) {
+        return null;
+    }
+    variable.value = value;
+    variable.updatedAt = updatedAt;
+    return { name: variable.name, value, previous };
+}
+
+/**
+ * Fetches a variable from the shared-variables service.
+ * @param {string} name
+ * @returns {Promise<{found: boolean, value?: any}>} found is false if the service has no such variable (404).
+ * @throws {Error} If the service is not configured, does not answer or answers something unexpected.
+ */
+async function fetchSharedVariable(name) {
+    const baseUrl = process.env.SHARED_VARIABLES_SERVICE_URL;
+    const apiKey = process.env.SHARED_VARIABLES_SERVICE_API_KEY;
+    if (!baseUrl || !apiKey) {
+        throw new Error('SHARED_VARIABLES_SERVICE_URL and SHARED_VARIABLES_SERVICE_API_KEY must be set.');
+    }
+
+    try {
+        const response = await axios.get(`${baseUrl}/variables/${encodeURIComponent(name)}`, {
+            headers: { 'x-api-key': apiKey },
+            timeout: FETCH_TIMEOUT_MS
+        });
+        if (response.data?.status === 'success' && response.data.value !== undefined) {
+            return { found: true, value: response.data.value };
+        }
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return { found: false };
+        }
+        throw error;
+    }
+    throw new Error('Unexpected response from the shared-variables service.');
+}
+
+// Keeps shared_config_values in step with the service (undefined removes the variable's row). A failed
+// write is logged and tried again on the next refresh; the fetched value is used either way.
+async function storeValue(variable, raw) {
+    if (isDeepStrictEqual(variable.storedValue, raw)) return;
+    try {
+        if (raw === undefined) {
+            await deleteSharedConfigValue(variable.name);
+        } else {
+            await saveSharedConfigValue(variable.name, raw);
+        }
+        variable.storedValue = raw;
+    } catch (error) {
+        log.error('Could not store last-known-good shared variable.', { variable: variable.name, error });
+    }
+}
+
+// Fetches one variable. It keeps its value if the service does not answer or sends an invalid value,
+// and falls back to its default if the service does not have it.
+async function refreshVariable(variable) {
+    const outcome = (label, lastError) => {
+        fetchesTotal.inc({ variable: variable.name, outcome: label });
+        variable.lastError = lastError;
+    };
+
+    let fetched;
+    try {
+        fetched = await fetchSharedVariable(variable.name);
+    } catch (error) {
+        outcome('failed', error.message);
+        return { ok: false };
+    }
+    if (!fetched.found) {
+        // Removed from (or never added to) the service: the default applies, also after a restart
+        const change = applyValue(variable, variable.defaultValue, 'default', new Date());
+        variable.fetchedAt = new Date();
+        outcome('missing', null);
+        await storeValue(variable, undefined);
+        return { ok: true, change };
+    }
+
+    let value;
+    try {
+        value = parseValue(variable, fetched.value);
+    } catch (error) {
+        outcome('invalid', `Invalid value: ${error.message}`);
+        log.warn('Ignoring invalid shared variable value.', { variable: variable.name, value: fetched.value, error: error.message });
+        return { ok: false };
+    }
+
+    const now = new Date();
+    const change = applyValue(variable, value, 'service', now);
+    variable.fetchedAt = now;
+    outcome(change ? 'changed' : 'unchanged', null);
+
+    await storeValue(variable, fetched.value);
+    return { ok: true, change };
+}
+
+async function refreshAll() {
+    lastRefreshAttemptAt = Date.now();
+    const all = [...variables.values()];
+    const results = await Promise.all(all.map(refreshVariable));
+
+    const changes = results.map(result => result.change).filter(Boolean);
+    for (const { name, value, previous } of changes) {
+        log.info('Shared variable changed.', { variable: name, value, previous });
+    }
+
+    const failed = all.filter((variable, index) => !results[index].ok);
+    if (failed.length === 0) {
+        lastRefreshSuccessAt = Date.now();
+        lastRefreshSuccess.set({}, lastRefreshSuccessAt / 1000);
+    } else {
+        log.warn('Could not refresh shared variables; they keep their current values.', {
+            variables: failed.map(variable => ({ name: variable.name, source: variable.source, error: variable.lastError }))
+        });
+    }
+
+    await notifyListeners(changes);
+}
+
+/**
+ * Fetches every shared variable now. Concurrent calls share one refresh. Never rejects: variables that
+ * could not be fetched keep their values.
+ * @returns {Promise<void>}
+ */
+function refreshSharedConfig() {
+    if (!refreshInProgress) {
+        refreshInProgress = refreshAll().finally(() => {
+            refreshInProgress = null;
+        });
+    }
+    return refreshInProgress;
+}
+
+// Takes the values stored by earlier processes, so they apply until the service answers
+async function restoreLastKnownGood() {
+    let rows;
+    try {
+        rows = await listSharedConfigValues();
+    } catch (error) {
+        log.error('Could not load last-known-good shared variables; using defaults until the service answers.', { error });
+        return;
+    }
+
+    const changes = [];
+    const restored = [];
+    for (const row of rows) {
+        const variable = variables.get(row.name);
+        if (!variable) {
+            // No longer read by this service
+            continue;
+        }
+        variable.storedValue = row.value;
+        try {
+            const change = applyValue(variable, parseValue(variable, row.value), 'last-known-good', row.updated_at);
+            variable.updatedAt = row.updated_at;
+            restored.push(row.name);
+            if (change) changes.push(change);
+        } catch (error) {
+            log.warn('Ignoring invalid last-known-good shared variable.', { variable: row.name, error: error.message });
+        }
+    }
+    if (restored.length > 0) {
+        log.info('Restored last-known-good shared variables.', { variables: restored });
+    }
+
+    await notifyListeners(changes);
+}
+
+/**
+ * Restores the last-known-good values, fetches current ones and starts the background refresh.
+ * Call once the database is migrated; resolves even if the shared-variables service is down.
+ */
+async function startSharedConfig() {
+    await restoreLastKnownGood();
+    isStarted = true;
+    await refreshSharedConfig();
+
+    const intervalSeconds = getRefreshIntervalSeconds();
+    if (isNaN(intervalSeconds) || intervalSeconds < 0) {
+        log.error('Invalid SHARED_CONFIG_REFRESH_INTERVAL_SECONDS. Shared variables are only refreshed when read.', {
+            ttlSeconds: getTtlSeconds()
+        });
+    } else if (intervalSeconds === 0) {
+        log.info('Background refresh of shared variables is off; they are refreshed when read.', { ttlSeconds: getTtlSeconds() });
+    } else {
+        refreshTimer = setInterval(refreshSharedConfig, intervalSeconds * 1000);
+        log.info('Refreshing shared variables.', { intervalSeconds, ttlSeconds: getTtlSeconds() });
+    }
+}
+
+/**
+ * Stops refreshing (in the background and on read) and waits for a refresh in progress, which may still
+ * store values. The current values stay available.
+ * @returns {Promise<void>}
+ */
+async function stopSharedConfig() {
+    isStarted = false;
+    clearInterval(refreshTimer);
+    await refreshInProgress;
+}
+
+/**
+ * Effective value of every shared variable and where it came from, for GET /config.
+ * A value is stale if the service has not confirmed it within the TTL.
+ * @returns {{variables: Array<object>, refresh: object}}
+ */
+function describeSharedConfig() {
+    const ttlSeconds = getTtlSeconds();
+    const intervalSeconds = getRefreshIntervalSeconds();
+    const toIso = (time) => (time === null ? null : new Date(time).toISOString());
+    return {
+        variables: [...variables.values()].map(variable => ({
+            name: variable.name,
+            description: variable.description,
+            value: variable.value,
+            source: variable.source,
+            defaultValue: variable.defaultValue,
+            required: variable.required,
+            updatedAt: variable.updatedAt ? variable.updatedAt.toISOString() : null,
+            fetchedAt: variable.fetchedAt ? variable.fetchedAt.toISOString() : null,
+            stale: !variable.fetchedAt || Date.now() - variable.fetchedAt.getTime() > ttlSeconds * 1000,
+            lastError: variable.lastError
+        })),
+        refresh: {
+            started: isStarted,
+            intervalSeconds: isNaN(intervalSeconds) || intervalSeconds < 0 ? 0 : intervalSeconds,
+            ttlSeconds,
+            lastAttemptAt: toIso(lastRefreshAttemptAt),
+            lastSuccessAt: toIso(lastRefreshSuccessAt)
+        }
+    };
+}
+
+export {
+    defineSharedVariable,
+    getSharedVariable,
+    onSharedConfigChange,
+    refreshSharedConfig,
+    startSharedConfig,
+    stopSharedConfig,
+    describeSharedConfig
+};
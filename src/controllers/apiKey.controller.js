@@ -0,0 +1,102 @@
+// src/controllers/apiKey.controller.js
+import { listApiKeys, createApiKey, rotateApiKey, revokeApiKey } from '../services/apiKey.service.js';
+import { NotFoundError } from '../utils/errors.js';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+/**
+ * Lists API keys (hashes and keys are never returned).
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function listApiKeysController(req, res, next) {
+    try {
+        const apiKeys = await listApiKeys();
+        res.status(200).json({
+            code: 200,
+            status: 'success',
+            data: apiKeys
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Creates an API key.
+ * Body: name, scopes (required); expiresAt (optional). The response is the only place the key is returned.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function createApiKeyController(req, res, next) {
+    const { name, scopes, expiresAt } = req.body;
+
+    try {
+        const { apiKey, key } = await createApiKey({ name, scopes, expiresAt }, req.actor);
+        res.status(201).json({
+            message: 'API key created. Store the key now; it is not returned again.',
+            code: 201,
+            status: 'success',
+            data: { ...apiKey, key }
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Issues a new key with the same name and scopes; the old key stays valid for an overlap window.
+ * Body: overlapHours (0-720, default 24), expiresAt (optional, for the new key).
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function rotateApiKeyController(req, res, next) {
+    const { keyId } = req.params;
+    const { overlapHours, expiresAt } = req.body;
+
+    try {
+        const rotated = await rotateApiKey(keyId, {
+            oldKeyExpiresAt: new Date(Date.now() + overlapHours * MS_PER_HOUR),
+            expiresAt
+        }, req.actor);
+        if (!rotated) {
+            throw new NotFoundError('Active API key not found.');
+        }
+        res.status(201).json({
+            message: 'API key rotated. Store the new key now; it is not returned again.',
+            code: 201,
+            status: 'success',
+            data: { ...rotated.apiKey, key: rotated.key, previous: rotated.previous }
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Revokes an API key immediately.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function revokeApiKeyController(req, res, next) {
+    try {
+        const apiKey = await revokeApiKey(req.params.keyId);
+        if (!apiKey) {
+            throw new NotFoundError('API key not found or already revoked.');
+        }
+        res.status(200).json({
+            message: 'API key revoked.',
+            code: 200,
+            status: 'success',
+            data: apiKey
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export { listApiKeysController, createApiKeyController, rotateApiKeyController, revokeApiKeyController };
@@ -0,0 +1,25 @@
+// src/controllers/config.controller.js
+import { describeSharedConfig } from '../config/sharedConfig.js';
+
+/**
+ * Shows the effective value of every shared variable and where it came from (service, last-known-good
+ * or default), with the refresh settings and when the shared-variables service last answered.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function getConfigController(req, res, next) {
+    try {
+        const { variables, refresh } = describeSharedConfig();
+        res.status(200).json({
+            code: 200,
+            status: 'success',
+            data: variables,
+            summary: refresh
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export { getConfigController };
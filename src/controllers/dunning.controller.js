@@ -0,0 +1,56 @@
+// src/controllers/dunning.controller.js
+import { startDunning, endDunning } from '../services/dunning.service.js';
+import { planStateETag, parseIfMatch } from '../utils/etag.js';
+
+/**
+ * Records a failed payment reported by the main service and starts the grace period.
+ * Body: { failedAt?: ISO date, defaults to now; reason?: string }
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function paymentFailedController(req, res, next) {
+    const { failedAt = new Date(), reason } = req.body;
+
+    try {
+        const { planState, started } = await startDunning(
+            req.params.websiteId, { failedAt, reason }, req.actor, parseIfMatch(req.get('If-Match'))
+        );
+        res.set('ETag', planStateETag(planState));
+        res.status(200).json({
+            message: started ? 'Payment failure recorded; grace period started.' : 'Dunning already in progress.',
+            code: 200,
+            status: 'success',
+            data: planState
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Records a successful payment reported by the main service, ending dunning and restoring a suspended site.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function paymentSucceededController(req, res, next) {
+    try {
+        const { planState, ended, restored } = await endDunning(req.params.websiteId, req.actor, parseIfMatch(req.get('If-Match')));
+        let message = 'No dunning in progress.';
+        if (ended) {
+            message = restored ? 'Payment recorded; dunning ended and site restore requested.' : 'Payment recorded; dunning ended.';
+        }
+        res.set('ETag', planStateETag(planState));
+        res.status(200).json({
+            message,
+            code: 200,
+            status: 'success',
+            data: planState
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export { paymentFailedController, paymentSucceededController };
@@ -0,0 +1,88 @@
+// src/controllers/health.controller.js
+import os from 'os';
+import { checkReadiness } from '../services/health.service.js';
+
+const SERVICE_NAME = 'plan-controller-service';
+
+/**
+ * Liveness probe: the process is up and its event loop responds. Checks nothing else, so a database
+ * outage does not get the process restarted.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ */
+function livenessController(req, res) {
+    res.status(200).json({ service: SERVICE_NAME, status: 'alive', timestamp: new Date().toISOString() });
+}
+
+/**
+ * Readiness probe: Postgres, shared variables and scheduler freshness. Responds 503 when any of them
+ * is degraded, so the instance is taken out of rotation until it recovers, and from the start of shutdown on.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function readinessController(req, res, next) {
+    try {
+        const { ready, shuttingDown, checks } = await checkReadiness();
+        res.status(ready ? 200 : 503).json({
+            service: SERVICE_NAME,
+            status: shuttingDown ? 'shutting_down' : ready ? 'ready' : 'degraded',
+            checks,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Readiness plus system load, for the admin panel (mirrors the shared-variables service).
+ * Responds 503 when degraded, like the readiness probe.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function healthController(req, res, next) {
+    try {
+        const { ready, shuttingDown, checks } = await checkReadiness();
+
+        // Get system load average
+        const loadAverage = os.loadavg();
+        // Get total and free memory in bytes
+        const totalMemory = os.totalmem();
+        const freeMemory = os.freemem();
+        const usedMemory = totalMemory - freeMemory;
+        const uptime = os.uptime(); // System uptime in seconds
+
+        res.status(ready ? 200 : 503).json({
+            service: SERVICE_NAME,
+            status: shuttingDown ? 'shutting_down' : ready ? 'healthy' : 'degraded',
+            uptime: `${Math.floor(uptime / 3600)}h ${Math.floor((uptime % 3600) / 60)}m ${Math.floor(uptime % 60)}s`,
+            database_connections: {
+                // Plan controller only uses Postgres, no Redis
+                postgres: {
+                    status: checks.postgres.status === 'ok' ? 'connected' : 'error',
+                    error: checks.postgres.error
+                }
+            },
+            checks,
+            system_load: { // Include system load metrics for Plan Controller
+                load_average_1min: loadAverage[0],
+                load_average_5min: loadAverage[1],
+                load_average_15min: loadAverage[2],
+                cpu_count: os.cpus().length,
+                memory_usage: {
+                    total_mb: (totalMemory / (1024 * 1024)).toFixed(2),
+                    free_mb: (freeMemory / (1024 * 1024)).toFixed(2),
+                    used_mb: (usedMemory / (1024 * 1024)).toFixed(2),
+                    used_percentage: ((usedMemory / totalMemory) * 100).toFixed(2)
+                }
+            },
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export { livenessController, readinessController, healthController };
@@ -0,0 +1,80 @@
+// src/controllers/outbox.controller.js
+import { listOutboxMessages, retryDeadMessage, discardDeadMessage } from '../services/outbox.service.js';
+import { NotFoundError } from '../utils/errors.js';
+
+/**
+ * Lists outbox messages, newest first. Defaults to dead-lettered messages.
+ * Query: status, limit (1-200), cursor (id of the last message of the previous page).
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function listOutboxMessagesController(req, res, next) {
+    const { status, limit, cursor } = req.query;
+
+    try {
+        const messages = await listOutboxMessages({ status, limit, beforeId: cursor });
+        res.status(200).json({
+            code: 200,
+            status: 'success',
+            data: messages,
+            pagination: {
+                nextCursor: messages.length === limit ? String(messages[messages.length - 1].id) : null
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Requeues a dead-lettered outbox message for delivery.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function retryOutboxMessageController(req, res, next) {
+    const { messageId } = req.params;
+
+    try {
+        const message = await retryDeadMessage(messageId);
+        if (!message) {
+            throw new NotFoundError('Dead-lettered outbox message not found.');
+        }
+        res.status(200).json({
+            message: 'Outbox message requeued for delivery.',
+            code: 200,
+            status: 'success',
+            data: message
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Discards a dead-lettered outbox message.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function discardOutboxMessageController(req, res, next) {
+    const { messageId } = req.params;
+
+    try {
+        const message = await discardDeadMessage(messageId);
+        if (!message) {
+            throw new NotFoundError('Dead-lettered outbox message not found.');
+        }
+        res.status(200).json({
+            message: 'Outbox message discarded.',
+            code: 200,
+            status: 'success',
+            data: message
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export { listOutboxMessagesController, retryOutboxMessageController, discardOutboxMessageController };
@@ -0,0 +1,127 @@
+// src/controllers/plan.controller.js
+import {
+    listPlans,
+    getPlan,
+    createPlan,
+    updatePlan,
+    deletePlan
+} from '../services/plan.service.js';
+import { NotFoundError } from '../utils/errors.js';
+
+/**
+ * Lists all plans in the catalog.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function listPlansController(req, res, next) {
+    try {
+        const plans = await listPlans();
+        res.status(200).json({
+            code: 200,
+            status: 'success',
+            data: plans
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Retrieves a single plan.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function getPlanController(req, res, next) {
+    try {
+        const plan = await getPlan(req.params.planId);
+        if (!plan) {
+            throw new NotFoundError('Plan not found.');
+        }
+        res.status(200).json({
+            code: 200,
+            status: 'success',
+            data: plan
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Adds a plan to the catalog.
+ * Body: planId, name (required); trialDays, billingInterval, gracePeriodDays, notifications (optional).
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function createPlanController(req, res, next) {
+    const { planId, ...fields } = req.body;
+
+    try {
+        const plan = await createPlan(planId, fields);
+        res.status(201).json({
+            message: 'Plan created successfully.',
+            code: 201,
+            status: 'success',
+            data: plan
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Updates the given fields of a plan.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function updatePlanController(req, res, next) {
+    try {
+        const plan = await updatePlan(req.params.planId, req.body);
+        if (!plan) {
+            throw new NotFoundError('Plan not found.');
+        }
+        res.status(200).json({
+            message: 'Plan updated successfully.',
+            code: 200,
+            status: 'success',
+            data: plan
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Removes a plan from the catalog. Plans still assigned to websites cannot be deleted.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function deletePlanController(req, res, next) {
+    try {
+        const plan = await deletePlan(req.params.planId);
+        if (!plan) {
+            throw new NotFoundError('Plan not found.');
+        }
+        res.status(200).json({
+            message: 'Plan deleted successfully.',
+            code: 200,
+            status: 'success',
+            data: plan
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export {
+    listPlansController,
+    getPlanController,
+    createPlanController,
+    updatePlanController,
+    deletePlanController
+};
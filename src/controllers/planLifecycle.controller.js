@@ -0,0 +1,115 @@
+// src/controllers/planLifecycle.controller.js
+import { transitionPlanStatus, scheduleCancellation } from '../services/planLifecycle.service.js';
+import { planStateETag, parseIfMatch } from '../utils/etag.js';
+
+// Sends the standard success envelope for a lifecycle change, with the new version as ETag
+function sendTransitionResult(res, message, planState) {
+    res.set('ETag', planStateETag(planState));
+    res.status(200).json({
+        message,
+        code: 200,
+        status: 'success',
+        data: planState
+    });
+}
+
+/**
+ * Activates a plan: converts a trial to paid, or recovers a past-due plan (ending any dunning;
+ * use payment-succeeded instead to also have a suspended site restored).
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function activatePlanController(req, res, next) {
+    try {
+        const planState = await transitionPlanStatus(req.params.websiteId, 'active', ['trialing', 'past_due'], req.actor, {
+            payment_failed_at: null,
+            grace_period_ends_at: null,
+            suspended_at: null
+        }, parseIfMatch(req.get('If-Match')));
+        sendTransitionResult(res, 'Plan activated.', planState);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Marks an active plan as past due.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function markPastDueController(req, res, next) {
+    try {
+        const planState = await transitionPlanStatus(req.params.websiteId, 'past_due', ['active'], req.actor, {}, parseIfMatch(req.get('If-Match')));
+        sendTransitionResult(res, 'Plan marked as past due.', planState);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Pauses an active plan, optionally until a given date (the scheduler resumes it then).
+ * Body: { resumeAt?: ISO date in the future }
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function pausePlanController(req, res, next) {
+    const { resumeAt = null } = req.body;
+
+    try {
+        const planState = await transitionPlanStatus(
+            req.params.websiteId, 'paused', ['active'], req.actor, { resume_at: resumeAt }, parseIfMatch(req.get('If-Match'))
+        );
+        sendTransitionResult(res, 'Plan paused.', planState);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Resumes a paused plan.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function resumePlanController(req, res, next) {
+    try {
+        const planState = await transitionPlanStatus(
+            req.params.websiteId, 'active', ['paused'], req.actor, { resume_at: null }, parseIfMatch(req.get('If-Match'))
+        );
+        sendTransitionResult(res, 'Plan resumed.', planState);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Cancels a plan immediately, or at the end of the current billing period.
+ * Body: { atPeriodEnd?: boolean }
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function cancelPlanController(req, res, next) {
+    const { atPeriodEnd } = req.body;
+
+    try {
+        const expectedVersions = parseIfMatch(req.get('If-Match'));
+        if (atPeriodEnd) {
+            const planState = await scheduleCancellation(req.params.websiteId, req.actor, expectedVersions);
+            return sendTransitionResult(res, 'Plan scheduled to cancel at the end of the billing period.', planState);
+        }
+
+        const planState = await transitionPlanStatus(
+            req.params.websiteId, 'canceled', ['trialing', 'active', 'past_due', 'paused'], req.actor,
+            { canceled_at: new Date(), cancel_at: null, resume_at: null }, expectedVersions
+        );
+        sendTransitionResult(res, 'Plan canceled.', planState);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export { activatePlanController, markPastDueController, pausePlanController, resumePlanController, cancelPlanController };
@@ -1,53 +1,101 @@
 // src/controllers/planState.controller.js
-import { upsertPlanState, updateNextBillingDate } from '../services/planState.service.js';
-// Removed axios and mainBackendUrl import if not directly used here
-// import axios from 'axios';
-// import { mainBackendUrl, freeTrialDurationDays } from '../config/services.js';
+import {
+    upsertPlanState,
+    updateNextBillingDate,
+    getPlanState,
+    listPlanStates
+} from '../services/planState.service.js';
+import { listPlanStateEvents } from '../services/planStateEvent.service.js';
+import { getPlan, listPlans } from '../services/plan.service.js';
+import { simulatePlanStates } from '../services/simulation.service.js';
+import { getEffectiveTrialEndDate } from '../services/trial.service.js';
+import { freeTrialDurationDays } from '../config/services.js';
+import { DEFAULT_TIMEZONE, getDaysBetween } from '../utils/dates.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+import { planStateETag, parseIfMatch } from '../utils/etag.js';
 
 /**
- * Creates or updates a plan state.
- * @param {object} req - Express request object.
- * @param {object} res - Express response object.
- * @param {function} next - Express next middleware function.
+ * Adds fields computed from the stored dates: trial end day, days remaining and billing countdown.
+ * Days are counted in the website's timezone; the trial length comes from the website's plan.
+ * @param {object} state - plan_states row.
+ * @param {object | null} plan - The website's plans row, if it is in the catalog.
+ * @returns {object}
  */
-async function upsertPlanStateController(req, res, next) {
-    const { websiteId, planId, freeTrialStartDate, nextBillingDate } = req.body;
-    // Removed mainServiceApiKey as it's not needed here or in main service calls now
-    // const mainServiceApiKey = process.env.MAIN_SERVICE_API_KEY;
-
-    if (!websiteId || !planId || !nextBillingDate) {
-        return res.status(400).json({
-            code: 400,
-            status: 'error',
-            error: 'Missing required fields: websiteId, planId, nextBillingDate.'
-        });
+function withDerivedFields(state, plan) {
+    const timeZone = state.timezone || DEFAULT_TIMEZONE;
+    const trialDays = plan?.trial_days ?? freeTrialDurationDays;
+    const now = new Date();
+    const trialEndDate = getEffectiveTrialEndDate(state, trialDays);
+    const trialDaysRemaining = trialEndDate ? getDaysBetween(now, trialEndDate, timeZone) : null;
+
+    let trialStatus = 'none';
+    if (trialEndDate) {
+        trialStatus = trialDaysRemaining >= 0 && !state.free_trial_ended_action_taken ? 'in_trial' : 'ended';
     }
 
-    // Validate freeTrialStartDate format if provided
-    let parsedFreeTrialStartDate = null;
-    if (freeTrialStartDate) {
-        parsedFreeTrialStartDate = new Date(freeTrialStartDate);
-        if (isNaN(parsedFreeTrialStartDate.getTime())) {
-            return res.status(400).json({
-                code: 400,
-                status: 'error',
-                error: 'Invalid freeTrialStartDate format.'
-            });
+    return {
+        ...state,
+        trial_end_date: trialEndDate ? trialEndDate.toISOString() : null,
+        trial_days_remaining: trialDaysRemaining,
+        trial_status: trialStatus,
+        days_until_billing: state.next_billing_date ? getDaysBetween(now, state.next_billing_date, timeZone) : null
+    };
+}
+
+// Cursors are opaque to clients: base64url-encoded JSON of the sort field and the last row's position
+function encodeCursor(sort, position) {
+    return Buffer.from(JSON.stringify({ s: sort, v: position.value, id: position.websiteId })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (decoded.s !== sort || typeof decoded.id !== 'string' || (decoded.v !== null && typeof decoded.v !== 'string')) {
+            return null;
         }
+        return { value: decoded.v, websiteId: decoded.id };
+    } catch (error) {
+        return null;
     }
+}
 
-    const parsedNextBillingDate = new Date(nextBillingDate);
-    if (isNaN(parsedNextBillingDate.getTime())) {
-        return res.status(400).json({
-            code: 400,
-            status: 'error',
-            error: 'Invalid nextBillingDate format.'
-        });
+// Decodes an optional cursor; a cursor from another sort order (or a made-up one) is a validation error
+function parseCursor(cursor, sort, location) {
+    if (cursor === undefined) {
+        return null;
     }
+    const after = decodeCursor(cursor, sort);
+    if (!after) {
+        throw new ValidationError([{ location, field: 'cursor', code: 'invalid_value', message: 'Invalid cursor.' }]);
+    }
+    return after;
+}
+
+/**
+ * Creates or updates a plan state. With If-Match, only an existing plan state with that version (any version
+ * for "*") is updated; a missing one is not created.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function upsertPlanStateController(req, res, next) {
+    const { websiteId, planId, freeTrialStartDate = null, nextBillingDate, timezone = null } = req.body;
 
     try {
-        const planState = await upsertPlanState(websiteId, planId, parsedFreeTrialStartDate, parsedNextBillingDate);
+        if (!(await getPlan(planId))) {
+            throw new ValidationError([{
+                location: 'body',
+                field: 'planId',
+                code: 'unknown_reference',
+                message: `Unknown planId '${planId}'. Add the plan to the catalog first.`
+            }]);
+        }
+
+        const planState = await upsertPlanState(
+            websiteId, planId, freeTrialStartDate, nextBillingDate, req.actor, timezone, parseIfMatch(req.get('If-Match'))
+        );
 
+        res.set('ETag', planStateETag(planState));
         res.status(200).json({
             message: 'Plan state created/updated successfully.',
             code: 200,
@@ -60,7 +108,7 @@ async function upsertPlanStateController(req, res, next) {
 }
 
 /**
- * Updates the next billing date for a website.
+ * Updates the next billing date for a website (conditional on If-Match, if sent).
  * @param {object} req - Express request object.
  * @param {object} res - Express response object.
  * @param {function} next - Express next middleware function.
@@ -69,42 +117,173 @@ async function updateBillingDateController(req, res, next) {
     const { websiteId } = req.params;
     const { nextBillingDate } = req.body;
 
-    if (!nextBillingDate) {
-        return res.status(400).json({
-            code: 400,
-            status: 'error',
-            error: 'Missing required field: nextBillingDate.'
+    try {
+        const planState = await updateNextBillingDate(websiteId, nextBillingDate, req.actor, parseIfMatch(req.get('If-Match')));
+        if (!planState) {
+            throw new NotFoundError('Website plan state not found.');
+        }
+        res.set('ETag', planStateETag(planState));
+        res.status(200).json({
+            message: 'Next billing date updated successfully.',
+            code: 200,
+            status: 'success',
+            data: { websiteId, nextBillingDate: nextBillingDate.toISOString() }
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Retrieves a single website's plan state, including derived trial and billing fields. The ETag header
+ * carries its version, for If-Match on later writes.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function getPlanStateController(req, res, next) {
+    const { websiteId } = req.params;
+
+    try {
+        const planState = await getPlanState(websiteId);
+        if (!planState) {
+            throw new NotFoundError('Website plan state not found.');
+        }
+        res.set('ETag', planStateETag(planState));
+        res.status(200).json({
+            code: 200,
+            status: 'success',
+            data: withDerivedFields(planState, await getPlan(planState.plan_id))
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Lists plan states with filters and cursor pagination.
+ * Query: planId, status, trialStatus (in_trial | ending_soon | ended | none), endingWithinDays (default 7),
+ * billingFrom, billingTo, sort (websiteId | createdAt | updatedAt | nextBillingDate | freeTrialStartDate),
+ * order (asc | desc), limit (1-200, default 50), cursor.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function listPlanStatesController(req, res, next) {
+    const { planId, status, trialStatus, endingWithinDays, billingFrom, billingTo, sort, order, limit, cursor } = req.query;
+
+    try {
+        const { rows, nextCursor } = await listPlanStates({
+            planId,
+            status,
+            trialStatus,
+            endingWithinDays,
+            trialDurationDays: freeTrialDurationDays,
+            billingFrom: billingFrom ?? null,
+            billingTo: billingTo ?? null,
+            sort,
+            order,
+            after: parseCursor(cursor, sort, 'query'),
+            limit
+        });
+        const plansById = new Map((await listPlans()).map(plan => [plan.plan_id, plan]));
+
+        res.status(200).json({
+            code: 200,
+            status: 'success',
+            data: rows.map(row => withDerivedFields(row, plansById.get(row.plan_id))),
+            pagination: {
+                nextCursor: nextCursor ? encodeCursor(sort, nextCursor) : null
+            }
         });
+    } catch (error) {
+        next(error);
     }
+}
+
+/**
+ * Lists a website's change history (audit events), newest first.
+ * Query: limit (1-200, default 50), cursor (id of the last event of the previous page).
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function getPlanStateHistoryController(req, res, next) {
+    const { websiteId } = req.params;
+    const { limit, cursor } = req.query;
 
-    const parsedNextBillingDate = new Date(nextBillingDate);
-    if (isNaN(parsedNextBillingDate.getTime())) {
-        return res.status(400).json({
-            code: 400,
-            status: 'error',
-            error: 'Invalid nextBillingDate format.'
+    try {
+        const events = await listPlanStateEvents(websiteId, { limit, beforeId: cursor });
+        res.status(200).json({
+            code: 200,
+            status: 'success',
+            data: events,
+            pagination: {
+                nextCursor: events.length === limit ? String(events[events.length - 1].id) : null
+            }
         });
+    } catch (error) {
+        next(error);
     }
+}
+
+/**
+ * Dry run of the scheduler: reports the notifications and actions it would take for the selected
+ * websites, day by day, without sending anything or changing any plan state.
+ * Body: asOf (a single run at that time) or from + to (at most 366 days apart); and either websiteId,
+ * or filter { planId, status } with limit (1-100, default 20) and cursor to page through websites.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function simulatePlanStatesController(req, res, next) {
+    const { asOf, from, to, websiteId, filter, limit, cursor } = req.body;
+    const rangeFrom = asOf ?? from;
+    const rangeTo = asOf ?? to;
 
     try {
-        const updated = await updateNextBillingDate(websiteId, parsedNextBillingDate);
-        if (updated) {
-            res.status(200).json({
-                message: 'Next billing date updated successfully.',
-                code: 200,
-                status: 'success',
-                data: { websiteId, nextBillingDate: parsedNextBillingDate.toISOString() }
-            });
+        let states;
+        let nextCursor = null;
+        if (websiteId !== undefined) {
+            const planState = await getPlanState(websiteId);
+            if (!planState) {
+                throw new NotFoundError('Website plan state not found.');
+            }
+            states = [planState];
         } else {
-            res.status(404).json({
-                code: 404,
-                status: 'error',
-                error: 'Website plan state not found.'
+            const page = await listPlanStates({
+                planId: filter.planId,
+                status: filter.status,
+                sort: 'websiteId',
+                order: 'asc',
+                after: parseCursor(cursor, 'websiteId', 'body'),
+                limit
             });
+            states = page.rows;
+            nextCursor = page.nextCursor ? encodeCursor('websiteId', page.nextCursor) : null;
         }
+
+        const websites = await simulatePlanStates(states, { from: rangeFrom, to: rangeTo });
+        res.status(200).json({
+            code: 200,
+            status: 'success',
+            data: {
+                from: rangeFrom.toISOString(),
+                to: rangeTo.toISOString(),
+                websites
+            },
+            pagination: { nextCursor }
+        });
     } catch (error) {
         next(error);
     }
 }
 
-export { upsertPlanStateController, updateBillingDateController };
\ No newline at end of file
+export {
+    upsertPlanStateController,
+    updateBillingDateController,
+    getPlanStateController,
+    listPlanStatesController,
+    getPlanStateHistoryController,
+    simulatePlanStatesController
+};
\ No newline at end of file
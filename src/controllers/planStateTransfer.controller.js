@@ -0,0 +1,89 @@
+// src/controllers/planStateTransfer.controller.js
+import { once } from 'events';
+import { importPlanStates, exportPlanStates } from '../services/planStateTransfer.service.js';
+import { AppError } from '../utils/errors.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('PlanStateTransferController');
+
+// Content types accepted by the import and sent by the export
+const CONTENT_TYPES = {
+    csv: 'text/csv',
+    ndjson: 'application/x-ndjson'
+};
+
+// Media types the import body parser reads as text
+const IMPORT_MEDIA_TYPES = ['text/csv', 'application/x-ndjson', 'application/ndjson'];
+
+/**
+ * Imports plan states from a CSV or NDJSON body (Content-Type text/csv or application/x-ndjson).
+ * Query: dryRun (default false), notifications (preserve | reset, default preserve), batchSize (1-1000, default 500).
+ * notifications=reset clears the trial-ended flag, trial end overrides and the ledger of sent warnings of existing
+ * websites: every trial and payment warning already delivered for the current trial or billing period is delivered
+ * again on the next scheduler run. Use it only for websites whose notification history should really start over.
+ * Responds with a result per row; invalid rows are skipped, the others are written in batches.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function importPlanStatesController(req, res, next) {
+    const { dryRun, notifications, batchSize } = req.query;
+
+    try {
+        const format = req.is('text/csv') ? 'csv' : req.is(['application/x-ndjson', 'application/ndjson']) ? 'ndjson' : null;
+        if (!format || typeof req.body !== 'string') {
+            throw new AppError('Expected a text/csv or application/x-ndjson request body.', 415, 'UNSUPPORTED_MEDIA_TYPE');
+        }
+
+        const { summary, rows } = await importPlanStates(req.body, { format, dryRun, notifications, batchSize }, req.actor);
+
+        res.status(200).json({
+            message: dryRun ? 'Import checked; nothing was written.' : 'Import finished.',
+            code: 200,
+            status: 'success',
+            data: { dryRun, notifications, summary, rows }
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Streams plan states as CSV or NDJSON, ordered by website id, for reconciliation.
+ * Query: format (csv | ndjson, default csv), planId, status.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function exportPlanStatesController(req, res, next) {
+    const { format, planId, status } = req.query;
+
+    // Headers are only sent with the first chunk, so an error before that still gets a JSON response
+    res.status(200);
+    res.setHeader('Content-Type', `${CONTENT_TYPES[format]}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="plan-states.${format}"`);
+
+    try {
+        for await (const chunk of exportPlanStates({ format, planId, status })) {
+            if (res.destroyed) {
+                // The client went away
+                return;
+            }
+            if (!res.write(chunk)) {
+                // 'close' as well, or a client that disconnects mid-export would leave this waiting forever
+                await Promise.race([once(res, 'drain'), once(res, 'close')]);
+            }
+        }
+        res.end();
+    } catch (error) {
+        if (!res.headersSent) {
+            res.removeHeader('Content-Disposition');
+            return next(error);
+        }
+        // Part of the file is already sent; cut the response off so the client does not take it as complete
+        log.error('Error while streaming export.', { error });
+        res.destroy(error);
+    }
+}
+
+export { IMPORT_MEDIA_TYPES, importPlanStatesController, exportPlanStatesController };
@@ -0,0 +1,85 @@
+// src/controllers/scheduler.controller.js
+import { startSchedulerRun } from '../services/scheduler.js';
+import { listSchedulerRuns, getSchedulerRun, getLastSuccessfulRunAt } from '../services/schedulerRun.service.js';
+import { NotFoundError } from '../utils/errors.js';
+
+/**
+ * Starts a scheduler run now instead of waiting for the cron tick. The run continues in the background;
+ * poll GET /scheduler/runs/:runId for its outcome.
+ * Body: { websiteIds?: string[] } limits the run to those websites (checked whether due or not).
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function startSchedulerRunController(req, res, next) {
+    const { websiteIds = null } = req.body;
+
+    try {
+        const { run } = await startSchedulerRun({
+            trigger: 'manual',
+            requestedBy: req.actor,
+            websiteIds
+        });
+        res.status(202).json({
+            message: 'Scheduler run started.',
+            code: 202,
+            status: 'success',
+            data: run
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Lists scheduler runs, newest first, with the time of the last successful full run.
+ * Query: status (running | succeeded | failed), limit (1-200, default 50), cursor (id of the last run of the previous page).
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function listSchedulerRunsController(req, res, next) {
+    const { status, limit, cursor } = req.query;
+
+    try {
+        const runs = await listSchedulerRuns({ status, limit, beforeId: cursor });
+        const lastSuccessAt = await getLastSuccessfulRunAt();
+        res.status(200).json({
+            code: 200,
+            status: 'success',
+            data: runs,
+            summary: {
+                lastSuccessAt: lastSuccessAt ? lastSuccessAt.toISOString() : null
+            },
+            pagination: {
+                nextCursor: runs.length === limit ? String(runs[runs.length - 1].id) : null
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Retrieves a single scheduler run, including its per-site errors.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function getSchedulerRunController(req, res, next) {
+    try {
+        const run = await getSchedulerRun(req.params.runId);
+        if (!run) {
+            throw new NotFoundError('Scheduler run not found.');
+        }
+        res.status(200).json({
+            code: 200,
+            status: 'success',
+            data: run
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export { startSchedulerRunController, listSchedulerRunsController, getSchedulerRunController };
@@ -0,0 +1,69 @@
+// src/controllers/trial.controller.js
+import { extendTrial, endTrial, convertTrial } from '../services/trial.service.js';
+import { planStateETag, parseIfMatch } from '../utils/etag.js';
+
+// Sends the standard success envelope for a trial change, with the new version as ETag
+function sendTrialResult(res, message, { planState, trialEndDate, previousTrialEndDate }) {
+    res.set('ETag', planStateETag(planState));
+    res.status(200).json({
+        message,
+        code: 200,
+        status: 'success',
+        data: {
+            ...planState,
+            trial_end_date: trialEndDate.toISOString(),
+            previous_trial_end_date: previousTrialEndDate.toISOString()
+        }
+    });
+}
+
+/**
+ * Extends a running trial by a number of days. Trial warnings that lie ahead again are sent again;
+ * billing warnings are not affected.
+ * Body: { days: 1-365, reason: string }
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function extendTrialController(req, res, next) {
+    try {
+        const result = await extendTrial(req.params.websiteId, req.body, req.actor, parseIfMatch(req.get('If-Match')));
+        sendTrialResult(res, `Trial extended by ${req.body.days} day(s).`, result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Ends a running trial today; the main service downgrades the website as when a trial runs out.
+ * Body: { reason: string }
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function endTrialController(req, res, next) {
+    try {
+        const result = await endTrial(req.params.websiteId, req.body, req.actor, parseIfMatch(req.get('If-Match')));
+        sendTrialResult(res, 'Trial ended.', result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Converts a running trial to a paid plan right away.
+ * Body: { reason: string }
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function convertTrialController(req, res, next) {
+    try {
+        const result = await convertTrial(req.params.websiteId, req.body, req.actor, parseIfMatch(req.get('If-Match')));
+        sendTrialResult(res, 'Trial converted to a paid plan.', result);
+    } catch (error) {
+        next(error);
+    }
+}
+
+export { extendTrialController, endTrialController, convertTrialController };
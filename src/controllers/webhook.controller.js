@@ -0,0 +1,132 @@
+// src/controllers/webhook.controller.js
+import {
+    listWebhookSubscriptions,
+    getWebhookSubscription,
+    createWebhookSubscription,
+    updateWebhookSubscription,
+    deleteWebhookSubscription
+} from '../services/webhook.service.js';
+import { NotFoundError } from '../utils/errors.js';
+
+/**
+ * Lists webhook subscriptions (secrets are not included).
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function listWebhooksController(req, res, next) {
+    try {
+        const subscriptions = await listWebhookSubscriptions();
+        res.status(200).json({
+            code: 200,
+            status: 'success',
+            data: subscriptions
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Retrieves a single webhook subscription (its secret is not included).
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function getWebhookController(req, res, next) {
+    const { webhookId } = req.params;
+
+    try {
+        const subscription = await getWebhookSubscription(webhookId);
+        if (!subscription) {
+            throw new NotFoundError('Webhook subscription not found.');
+        }
+        res.status(200).json({
+            code: 200,
+            status: 'success',
+            data: subscription
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Registers a webhook subscription.
+ * Body: url, eventTypes (required); secret (optional, generated when omitted), description, active.
+ * The response is the only place the secret is returned.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function createWebhookController(req, res, next) {
+    try {
+        const subscription = await createWebhookSubscription(req.body);
+        res.status(201).json({
+            message: 'Webhook subscription created. Store the secret now; it is not returned again.',
+            code: 201,
+            status: 'success',
+            data: subscription
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Updates the given fields of a webhook subscription (url, eventTypes, secret, description, active).
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function updateWebhookController(req, res, next) {
+    const { webhookId } = req.params;
+
+    try {
+        const subscription = await updateWebhookSubscription(webhookId, req.body);
+        if (!subscription) {
+            throw new NotFoundError('Webhook subscription not found.');
+        }
+        res.status(200).json({
+            message: 'Webhook subscription updated successfully.',
+            code: 200,
+            status: 'success',
+            data: subscription
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Removes a webhook subscription and its deliveries.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function deleteWebhookController(req, res, next) {
+    const { webhookId } = req.params;
+
+    try {
+        const subscription = await deleteWebhookSubscription(webhookId);
+        if (!subscription) {
+            throw new NotFoundError('Webhook subscription not found.');
+        }
+        res.status(200).json({
+            message: 'Webhook subscription deleted successfully.',
+            code: 200,
+            status: 'success',
+            data: subscription
+        });
+    } catch (error) {
+        next(error);
+    }
+}
+
+export {
+    listWebhooksController,
+    getWebhookController,
+    createWebhookController,
+    updateWebhookController,
+    deleteWebhookController
+};
@@ -1,23 +1,78 @@
 // src/middleware/auth.js
-const API_KEY = process.env.PLAN_CONTROLLER_API_KEY;
+// Callers authenticate with an API key in the x-api-key header. Keys come from the api_keys store
+// (see apiKey.service.js) and carry scopes; routes declare the scope they need with requireScope().
+//
+// PLAN_CONTROLLER_API_KEY, if set, is still accepted as a key with every scope, so existing callers keep
+// working while they move to stored keys. Authentication can only be switched off with AUTH_DISABLED=true
+// outside production; a missing key configuration never opens the service.
+import { API_KEY_SCOPES, safeEqual, findActiveApiKey, touchApiKey } from '../services/apiKey.service.js';
+import { UnauthorizedError, ForbiddenError } from '../utils/errors.js';
+import { createLogger } from '../utils/logger.js';
 
-function authMiddleware(req, res, next) {
-    if (!API_KEY) {
-        console.error('PLAN_CONTROLLER_API_KEY is not set in environment variables. Authentication disabled.');
-        // In a production environment, you might want to throw an error or exit here.
+const log = createLogger('Auth');
+
+const LEGACY_API_KEY = process.env.PLAN_CONTROLLER_API_KEY;
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true' && !IS_PRODUCTION;
+
+if (process.env.AUTH_DISABLED === 'true' && IS_PRODUCTION) {
+    log.error('AUTH_DISABLED is ignored in production; API keys are required.');
+} else if (AUTH_DISABLED) {
+    log.warn('AUTH_DISABLED=true: every request is accepted with all scopes. Never use this in production.');
+}
+
+/**
+ * Authenticates the request. On success req.apiKey holds the caller's key (name and scopes) and
+ * req.actor its identity, which is recorded in the audit log and on scheduler runs.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function authMiddleware(req, res, next) {
+    if (AUTH_DISABLED) {
+        req.apiKey = { id: null, name: 'anonymous', scopes: API_KEY_SCOPES };
+        req.actor = 'anonymous';
         return next();
     }
 
     const providedApiKey = req.headers['x-api-key'];
+    if (!providedApiKey || typeof providedApiKey !== 'string') {
+        return next(new UnauthorizedError());
+    }
 
-    if (!providedApiKey || providedApiKey !== API_KEY) {
-        return res.status(401).json({
-            code: 401,
-            status: 'error',
-            error: 'Unauthorized: Invalid or missing API key.'
-        });
+    if (LEGACY_API_KEY && safeEqual(providedApiKey, LEGACY_API_KEY)) {
+        req.apiKey = { id: null, name: 'default', scopes: API_KEY_SCOPES };
+        req.actor = 'api:default';
+        return next();
+    }
+
+    try {
+        const apiKey = await findActiveApiKey(providedApiKey);
+        if (!apiKey) {
+            return next(new UnauthorizedError());
+        }
+        req.apiKey = apiKey;
+        req.actor = `api:${apiKey.name}`;
+        touchApiKey(apiKey.id);
+        next();
+    } catch (error) {
+        next(error);
     }
-    next();
 }
 
-export default authMiddleware;
\ No newline at end of file
+/**
+ * Rejects requests whose API key lacks the given scope. Use after authMiddleware.
+ * @param {string} scope - One of API_KEY_SCOPES.
+ * @returns {function} Express middleware.
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (!req.apiKey?.scopes.includes(scope)) {
+            return next(new ForbiddenError(`Forbidden: API key lacks the '${scope}' scope.`));
+        }
+        next();
+    };
+}
+
+export { requireScope };
+export default authMiddleware;
@@ -0,0 +1,112 @@
+// src/middleware/idempotency.js
+// Idempotency-Key on write endpoints. A caller that retries a request with the same key gets the response
+// of the first attempt again (marked with Idempotent-Replayed: true) instead of the request running twice.
+// Keys are per caller and kept for IDEMPOTENCY_KEY_TTL_HOURS (default 24). Using a key for a different
+// request (method, path, If-Match or payload) is rejected with 422; a retry while the first attempt still
+// runs, with 409. Only successes and validation errors (400), which a retry would get again, are stored.
+// For any other response (a conflict, a failed precondition, a missing website, a 5xx) the key is freed,
+// so a retry runs the request again. The header is optional. Register after the body parser, so the
+// payload is known, and before validate().
+import { createHash } from 'crypto';
+import { claimIdempotencyKey, completeIdempotencyKey, releaseIdempotencyKey } from '../services/idempotencyKey.service.js';
+import { AppError, ConflictError, ValidationError } from '../utils/errors.js';
+import { intFromEnv } from '../utils/env.js';
+import { counter } from '../utils/metrics.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('Idempotency');
+
+const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+// Printable ASCII, e.g. a UUID
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+// A request holding its key longer than this is taken to have died with its process
+const LOCK_SECONDS = 5 * 60;
+
+const keysTotal = counter({
+    name: 'plan_controller_idempotency_keys_total',
+    help: 'Requests sent with an Idempotency-Key; outcome is claimed (ran), replayed, reused (other request) or in_progress.',
+    labelNames: ['outcome']
+});
+
+function getTtlSeconds() {
+    return intFromEnv('IDEMPOTENCY_KEY_TTL_HOURS', 24) * 60 * 60;
+}
+
+// Method, path with query string, If-Match, and the body as received (text bodies, e.g. imports, as they are)
+function hashRequest(req) {
+    const body = typeof req.body === 'string' ? req.body : JSON.stringify(req.body ?? null);
+    return createHash('sha256')
+        .update(`${req.method} ${req.originalUrl}\n`)
+        .update(`${req.get('If-Match') ?? ''}\n`)
+        .update(body)
+        .digest('hex');
+}
+
+// Responses a retry of the same request would get again
+function isReplayable(statusCode) {
+    return (statusCode >= 200 && statusCode < 300) || statusCode === 400;
+}
+
+/**
+ * Express middleware; use after authMiddleware (keys are scoped to req.actor).
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+async function idempotency(req, res, next) {
+    const key = req.get(IDEMPOTENCY_KEY_HEADER);
+    if (key === undefined) {
+        return next();
+    }
+    if (!KEY_PATTERN.test(key)) {
+        return next(new ValidationError([{
+            location: 'headers',
+            field: IDEMPOTENCY_KEY_HEADER,
+            code: 'invalid_format',
+            message: 'Expected 1 to 255 printable ASCII characters.'
+        }]));
+    }
+
+    const owner = req.actor;
+    const requestHash = hashRequest(req);
+    let existing;
+    try {
+        existing = await claimIdempotencyKey({ owner, key, requestHash, lockSeconds: LOCK_SECONDS, ttlSeconds: getTtlSeconds() });
+    } catch (error) {
+        return next(error);
+    }
+
+    if (existing) {
+        if (existing.request_hash !== requestHash) {
+            keysTotal.inc({ outcome: 'reused' });
+            return next(new AppError('The Idempotency-Key was already used for a different request.', 422, 'IDEMPOTENCY_KEY_REUSED'));
+        }
+        if (existing.status_code === null) {
+            keysTotal.inc({ outcome: 'in_progress' });
+            return next(new ConflictError('A request with this Idempotency-Key is still in progress. Retry later.', 'IDEMPOTENCY_KEY_IN_USE'));
+        }
+        keysTotal.inc({ outcome: 'replayed' });
+        log.info('Replaying stored response.', { statusCode: existing.status_code });
+        res.set('Idempotent-Replayed', 'true');
+        if (existing.response_etag) {
+            res.set('ETag', existing.response_etag);
+        }
+        return res.status(existing.status_code).json(existing.response_body);
+    }
+
+    keysTotal.inc({ outcome: 'claimed' });
+    // Stored before it is sent, so a retry that arrives right after the response already finds it
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        res.json = sendJson;
+        const settled = isReplayable(res.statusCode)
+            ? completeIdempotencyKey(owner, key, { statusCode: res.statusCode, body, etag: res.get('ETag') ?? null })
+            : releaseIdempotencyKey(owner, key);
+        // On failure (logged by the service) the key stays locked; a retry takes it over once the lock runs out
+        settled.catch(() => {}).then(() => sendJson(body));
+        return res;
+    };
+    next();
+}
+
+export { idempotency };
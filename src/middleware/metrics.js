@@ -0,0 +1,38 @@
+// src/middleware/metrics.js
+// Counts and times every HTTP request by method, route pattern and status code (see utils/metrics.js).
+import { histogram } from '../utils/metrics.js';
+
+const requestDuration = histogram({
+    name: 'plan_controller_http_request_duration_seconds',
+    help: 'Duration of HTTP requests by method, route pattern and status code (_count is the number of requests).',
+    labelNames: ['method', 'route', 'status_code']
+});
+
+// The route pattern (e.g. /plan-states/:websiteId/history), so websites do not become label values.
+// req.baseUrl is reset once an error leaves a router, so the mount path is taken from the URL instead:
+// whatever precedes the segments matched by the route pattern.
+function routeLabel(req) {
+    if (!req.route) {
+        return 'unmatched';
+    }
+    const segments = req.originalUrl.split('?')[0].split('/').filter(Boolean);
+    const routeSegments = req.route.path.split('/').filter(Boolean);
+    const mountSegments = segments.slice(0, Math.max(segments.length - routeSegments.length, 0));
+    return `/${[...mountSegments, ...routeSegments].join('/')}`;
+}
+
+/**
+ * Express middleware; register it before the routes.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+function httpMetrics(req, res, next) {
+    const endTimer = requestDuration.startTimer({ method: req.method });
+    res.on('finish', () => {
+        endTimer({ route: routeLabel(req), status_code: res.statusCode });
+    });
+    next();
+}
+
+export { httpMetrics };
@@ -0,0 +1,45 @@
+// src/middleware/requestContext.js
+// Gives every request an id for log correlation: the caller's x-request-id if it is a sensible one,
+// otherwise a new UUID. The id is echoed in the x-request-id response header and added to every log
+// line written while the request is handled (see utils/logger.js).
+import { randomUUID } from 'crypto';
+import { createLogger, runWithLogContext } from '../utils/logger.js';
+
+const log = createLogger('Http');
+
+const REQUEST_ID_HEADER = 'x-request-id';
+// Ids from callers end up in every log line, so only short, plain ones are accepted
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+// Probes and scrapes that would drown everything else at info level
+const QUIET_PATHS = ['/health', '/health/live', '/health/ready', '/metrics'];
+
+/**
+ * Express middleware; register it before everything else that logs.
+ * @param {object} req - Express request object.
+ * @param {object} res - Express response object.
+ * @param {function} next - Express next middleware function.
+ */
+function requestContext(req, res, next) {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+    req.requestId = requestId;
+    res.setHeader(REQUEST_ID_HEADER, requestId);
+
+    const startedAt = Date.now();
+    const path = req.originalUrl.split('?')[0];
+    res.on('finish', () => {
+        const logAt = QUIET_PATHS.includes(path) ? log.debug : log.info;
+        logAt('Request completed.', {
+            requestId,
+            method: req.method,
+            path,
+            statusCode: res.statusCode,
+            durationMs: Date.now() - startedAt,
+            actor: req.actor
+        });
+    });
+
+    runWithLogContext({ requestId }, next);
+}
+
+export { requestContext };
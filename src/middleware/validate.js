@@ -0,0 +1,40 @@
+// src/middleware/validate.js
+// Validates the parts of a request against schemas (see utils/schema.js) before the controller runs.
+// Controllers receive the converted values in req.params, req.query and req.body; a request that does
+// not match gets a 400 listing every problem found, not just the first.
+import { ValidationError } from '../utils/errors.js';
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * @param {object} schemas
+ * @param {import('../utils/schema.js').Schema} [schemas.params]
+ * @param {import('../utils/schema.js').Schema} [schemas.query]
+ * @param {import('../utils/schema.js').Schema} [schemas.body]
+ * @returns {function} Express middleware.
+ */
+function validate(schemas) {
+    return (req, res, next) => {
+        const details = [];
+        const parsed = {};
+        for (const location of LOCATIONS) {
+            if (!schemas[location]) {
+                continue;
+            }
+            const issues = [];
+            parsed[location] = schemas[location].parse(req[location] ?? {}, [], issues);
+            details.push(...issues.map((issue) => ({ location, ...issue })));
+        }
+        if (details.length > 0) {
+            return next(new ValidationError(details));
+        }
+
+        for (const [location, value] of Object.entries(parsed)) {
+            // req.query is a getter in newer Express versions, so it is redefined rather than assigned
+            Object.defineProperty(req, location, { value, writable: true, configurable: true, enumerable: true });
+        }
+        next();
+    };
+}
+
+export { validate };
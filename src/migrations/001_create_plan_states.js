@@ -0,0 +1,23 @@
+// src/migrations/001_create_plan_states.js
+// Baseline schema. Uses IF NOT EXISTS so databases created by the old inline DDL in server.js adopt it cleanly.
+
+export const up = `
+    CREATE TABLE IF NOT EXISTS plan_states (
+        website_id VARCHAR(255) PRIMARY KEY,
+        plan_id VARCHAR(255) NOT NULL,
+        free_trial_start_date TIMESTAMP WITH TIME ZONE,
+        next_billing_date TIMESTAMP WITH TIME ZONE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        free_trial_end_notified_5d BOOLEAN DEFAULT FALSE,
+        free_trial_end_notified_3d BOOLEAN DEFAULT FALSE,
+        free_trial_end_notified_1d BOOLEAN DEFAULT FALSE,
+        free_trial_ended_action_taken BOOLEAN DEFAULT FALSE,
+        billing_date_notified_3d BOOLEAN DEFAULT FALSE,
+        last_scheduler_run TIMESTAMP WITH TIME ZONE DEFAULT NULL
+    );
+`;
+
+export const down = `
+    DROP TABLE IF EXISTS plan_states;
+`;
@@ -0,0 +1,14 @@
+// src/migrations/002_add_billing_notification_flags.js
+// The scheduler has always written billing_date_notified_5d/1d, but the original DDL never created them.
+
+export const up = `
+    ALTER TABLE plan_states
+        ADD COLUMN IF NOT EXISTS billing_date_notified_5d BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS billing_date_notified_1d BOOLEAN DEFAULT FALSE;
+`;
+
+export const down = `
+    ALTER TABLE plan_states
+        DROP COLUMN IF EXISTS billing_date_notified_5d,
+        DROP COLUMN IF EXISTS billing_date_notified_1d;
+`;
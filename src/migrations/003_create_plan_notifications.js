@@ -0,0 +1,58 @@
+// src/migrations/003_create_plan_notifications.js
+// Replaces the per-offset boolean flags with a ledger of sent notifications.
+// Existing flags are carried over so warnings already sent for the current period are not repeated.
+// Period keys are the UTC date of the trial start / billing date, matching the scheduler.
+
+export const up = `
+    CREATE TABLE IF NOT EXISTS plan_notifications (
+        id BIGSERIAL PRIMARY KEY,
+        website_id VARCHAR(255) NOT NULL REFERENCES plan_states (website_id) ON DELETE CASCADE,
+        event_type VARCHAR(64) NOT NULL,
+        offset_key VARCHAR(16) NOT NULL,
+        period_key VARCHAR(32) NOT NULL,
+        sent_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (website_id, event_type, offset_key, period_key)
+    );
+
+    INSERT INTO plan_notifications (website_id, event_type, offset_key, period_key)
+    SELECT website_id, 'free_trial_end', flag.offset_key, to_char(free_trial_start_date AT TIME ZONE 'UTC', 'YYYY-MM-DD')
+    FROM plan_states
+    CROSS JOIN LATERAL (VALUES
+        ('5d', free_trial_end_notified_5d),
+        ('3d', free_trial_end_notified_3d),
+        ('1d', free_trial_end_notified_1d)
+    ) AS flag (offset_key, sent)
+    WHERE free_trial_start_date IS NOT NULL AND flag.sent
+    ON CONFLICT DO NOTHING;
+
+    INSERT INTO plan_notifications (website_id, event_type, offset_key, period_key)
+    SELECT website_id, 'billing', flag.offset_key, to_char(next_billing_date AT TIME ZONE 'UTC', 'YYYY-MM-DD')
+    FROM plan_states
+    CROSS JOIN LATERAL (VALUES
+        ('5d', billing_date_notified_5d),
+        ('3d', billing_date_notified_3d),
+        ('1d', billing_date_notified_1d)
+    ) AS flag (offset_key, sent)
+    WHERE next_billing_date IS NOT NULL AND flag.sent
+    ON CONFLICT DO NOTHING;
+
+    ALTER TABLE plan_states
+        DROP COLUMN IF EXISTS free_trial_end_notified_5d,
+        DROP COLUMN IF EXISTS free_trial_end_notified_3d,
+        DROP COLUMN IF EXISTS free_trial_end_notified_1d,
+        DROP COLUMN IF EXISTS billing_date_notified_5d,
+        DROP COLUMN IF EXISTS billing_date_notified_3d,
+        DROP COLUMN IF EXISTS billing_date_notified_1d;
+`;
+
+export const down = `
+    ALTER TABLE plan_states
+        ADD COLUMN IF NOT EXISTS free_trial_end_notified_5d BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS free_trial_end_notified_3d BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS free_trial_end_notified_1d BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS billing_date_notified_5d BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS billing_date_notified_3d BOOLEAN DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS billing_date_notified_1d BOOLEAN DEFAULT FALSE;
+
+    DROP TABLE IF EXISTS plan_notifications;
+`;
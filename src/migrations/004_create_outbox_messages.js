@@ -0,0 +1,32 @@
+// src/migrations/004_create_outbox_messages.js
+// Transactional outbox for calls to the main backend. Rows are written in the same statement as the
+// state change they announce and delivered asynchronously by the outbox dispatcher.
+
+export const up = `
+    CREATE TABLE IF NOT EXISTS outbox_messages (
+        id BIGSERIAL PRIMARY KEY,
+        event_type VARCHAR(64) NOT NULL,
+        website_id VARCHAR(255),
+        method VARCHAR(8) NOT NULL,
+        path TEXT NOT NULL,
+        payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+        status VARCHAR(16) NOT NULL DEFAULT 'pending'
+            CHECK (status IN ('pending', 'delivered', 'dead', 'discarded')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 8,
+        next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        delivered_at TIMESTAMP WITH TIME ZONE
+    );
+
+    CREATE INDEX IF NOT EXISTS outbox_messages_pending_idx
+        ON outbox_messages (next_attempt_at) WHERE status = 'pending';
+    CREATE INDEX IF NOT EXISTS outbox_messages_status_idx
+        ON outbox_messages (status, id);
+`;
+
+export const down = `
+    DROP TABLE IF EXISTS outbox_messages;
+`;
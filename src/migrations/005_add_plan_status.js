@@ -0,0 +1,33 @@
+// src/migrations/005_add_plan_status.js
+// Explicit subscription lifecycle status. Existing rows are trialing while their trial has not been
+// ended by the scheduler, and active otherwise.
+
+export const up = `
+    ALTER TABLE plan_states
+        ADD COLUMN IF NOT EXISTS status VARCHAR(16) NOT NULL DEFAULT 'active',
+        ADD COLUMN IF NOT EXISTS status_changed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS resume_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS cancel_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS canceled_at TIMESTAMP WITH TIME ZONE;
+
+    UPDATE plan_states
+    SET status = 'trialing'
+    WHERE free_trial_start_date IS NOT NULL AND free_trial_ended_action_taken IS NOT TRUE;
+
+    ALTER TABLE plan_states
+        ADD CONSTRAINT plan_states_status_check
+        CHECK (status IN ('trialing', 'active', 'past_due', 'paused', 'canceled'));
+
+    CREATE INDEX IF NOT EXISTS plan_states_status_idx ON plan_states (status);
+`;
+
+export const down = `
+    DROP INDEX IF EXISTS plan_states_status_idx;
+    ALTER TABLE plan_states
+        DROP CONSTRAINT IF EXISTS plan_states_status_check,
+        DROP COLUMN IF EXISTS status,
+        DROP COLUMN IF EXISTS status_changed_at,
+        DROP COLUMN IF EXISTS resume_at,
+        DROP COLUMN IF EXISTS cancel_at,
+        DROP COLUMN IF EXISTS canceled_at;
+`;
@@ -0,0 +1,34 @@
+// src/migrations/006_create_plan_state_events.js
+// Append-only audit log of every plan state mutation. No foreign key to plan_states, so history
+// outlives the row it describes.
+
+export const up = `
+    CREATE TABLE IF NOT EXISTS plan_state_events (
+        id BIGSERIAL PRIMARY KEY,
+        website_id VARCHAR(255) NOT NULL,
+        event_type VARCHAR(64) NOT NULL,
+        actor VARCHAR(255) NOT NULL,
+        before JSONB,
+        after JSONB,
+        metadata JSONB,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS plan_state_events_website_idx ON plan_state_events (website_id, id DESC);
+
+    -- Enforce append-only at the database level
+    CREATE OR REPLACE FUNCTION plan_state_events_append_only() RETURNS trigger AS $$
+    BEGIN
+        RAISE EXCEPTION 'plan_state_events is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER plan_state_events_no_update_delete
+        BEFORE UPDATE OR DELETE ON plan_state_events
+        FOR EACH ROW EXECUTE FUNCTION plan_state_events_append_only();
+`;
+
+export const down = `
+    DROP TABLE IF EXISTS plan_state_events;
+    DROP FUNCTION IF EXISTS plan_state_events_append_only();
+`;
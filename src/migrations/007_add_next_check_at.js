@@ -0,0 +1,42 @@
+// src/migrations/007_add_next_check_at.js
+// next_check_at is the earliest time the scheduler needs to look at a row again. The scheduler
+// computes it after each visit; the trigger pulls it forward to "now" whenever a column the
+// scheduler's decisions depend on changes, so writes from any code path are picked up on the next run.
+// Migrations that add such columns must CREATE OR REPLACE plan_states_reset_next_check_at().
+
+export const up = `
+    ALTER TABLE plan_states
+        ADD COLUMN IF NOT EXISTS next_check_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP;
+
+    UPDATE plan_states SET next_check_at = CURRENT_TIMESTAMP WHERE next_check_at IS NULL;
+
+    CREATE INDEX IF NOT EXISTS plan_states_next_check_idx ON plan_states (next_check_at, website_id);
+
+    CREATE OR REPLACE FUNCTION plan_states_reset_next_check_at() RETURNS trigger AS $$
+    BEGIN
+        IF NEW.next_check_at IS NOT DISTINCT FROM OLD.next_check_at AND (
+            NEW.plan_id IS DISTINCT FROM OLD.plan_id
+            OR NEW.free_trial_start_date IS DISTINCT FROM OLD.free_trial_start_date
+            OR NEW.next_billing_date IS DISTINCT FROM OLD.next_billing_date
+            OR NEW.free_trial_ended_action_taken IS DISTINCT FROM OLD.free_trial_ended_action_taken
+            OR NEW.status IS DISTINCT FROM OLD.status
+            OR NEW.resume_at IS DISTINCT FROM OLD.resume_at
+            OR NEW.cancel_at IS DISTINCT FROM OLD.cancel_at
+        ) THEN
+            NEW.next_check_at := CURRENT_TIMESTAMP;
+        END IF;
+        RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER plan_states_reset_next_check_at
+        BEFORE UPDATE ON plan_states
+        FOR EACH ROW EXECUTE FUNCTION plan_states_reset_next_check_at();
+`;
+
+export const down = `
+    DROP TRIGGER IF EXISTS plan_states_reset_next_check_at ON plan_states;
+    DROP FUNCTION IF EXISTS plan_states_reset_next_check_at();
+    DROP INDEX IF EXISTS plan_states_next_check_idx;
+    ALTER TABLE plan_states DROP COLUMN IF EXISTS next_check_at;
+`;
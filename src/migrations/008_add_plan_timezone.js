@@ -0,0 +1,36 @@
+// src/migrations/008_add_plan_timezone.js
+// IANA timezone of each website; trial and billing days are counted in it. Existing rows get UTC.
+// A timezone change moves day boundaries, so it also pulls next_check_at forward.
+
+const resetNextCheckFunction = (extraCondition) => `
+    CREATE OR REPLACE FUNCTION plan_states_reset_next_check_at() RETURNS trigger AS $$
+    BEGIN
+        IF NEW.next_check_at IS NOT DISTINCT FROM OLD.next_check_at AND (
+            NEW.plan_id IS DISTINCT FROM OLD.plan_id
+            OR NEW.free_trial_start_date IS DISTINCT FROM OLD.free_trial_start_date
+            OR NEW.next_billing_date IS DISTINCT FROM OLD.next_billing_date
+            OR NEW.free_trial_ended_action_taken IS DISTINCT FROM OLD.free_trial_ended_action_taken
+            OR NEW.status IS DISTINCT FROM OLD.status
+            OR NEW.resume_at IS DISTINCT FROM OLD.resume_at
+            OR NEW.cancel_at IS DISTINCT FROM OLD.cancel_at${extraCondition}
+        ) THEN
+            NEW.next_check_at := CURRENT_TIMESTAMP;
+        END IF;
+        RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+`;
+
+export const up = `
+    ALTER TABLE plan_states
+        ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+    ${resetNextCheckFunction(`
+            OR NEW.timezone IS DISTINCT FROM OLD.timezone`)}
+`;
+
+export const down = `
+    ${resetNextCheckFunction('')}
+
+    ALTER TABLE plan_states DROP COLUMN IF EXISTS timezone;
+`;
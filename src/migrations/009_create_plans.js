@@ -0,0 +1,31 @@
+// src/migrations/009_create_plans.js
+// Catalog of sellable plans. plan_states.plan_id now references it; plan ids already in use are
+// backfilled with defaults (no own trial length, monthly billing, no grace period, shared ladder).
+
+export const up = `
+    CREATE TABLE IF NOT EXISTS plans (
+        plan_id VARCHAR(255) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        trial_days INTEGER CHECK (trial_days >= 0), -- NULL: FREE_TRIAL_DURATION_DAYS shared variable
+        billing_interval VARCHAR(16) NOT NULL DEFAULT 'month' CHECK (billing_interval IN ('month', 'year')),
+        grace_period_days INTEGER NOT NULL DEFAULT 0 CHECK (grace_period_days >= 0),
+        notifications JSONB, -- Ladder offsets per event type; NULL or a missing event type: NOTIFICATION_LADDER
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    INSERT INTO plans (plan_id, name)
+    SELECT DISTINCT plan_id, plan_id FROM plan_states
+    ON CONFLICT (plan_id) DO NOTHING;
+
+    ALTER TABLE plan_states
+        ADD CONSTRAINT plan_states_plan_id_fkey FOREIGN KEY (plan_id) REFERENCES plans (plan_id);
+
+    CREATE INDEX IF NOT EXISTS plan_states_plan_id_idx ON plan_states (plan_id);
+`;
+
+export const down = `
+    DROP INDEX IF EXISTS plan_states_plan_id_idx;
+    ALTER TABLE plan_states DROP CONSTRAINT IF EXISTS plan_states_plan_id_fkey;
+    DROP TABLE IF EXISTS plans;
+`;
@@ -0,0 +1,14 @@
+// src/migrations/010_add_billing_anchor_date.js
+// The billing date last set by the main service. Automatic rollovers count whole intervals from it,
+// so a plan billed on the 31st goes back to the 31st after a shorter month instead of drifting.
+
+export const up = `
+    ALTER TABLE plan_states
+        ADD COLUMN IF NOT EXISTS billing_anchor_date TIMESTAMP WITH TIME ZONE;
+
+    UPDATE plan_states SET billing_anchor_date = next_billing_date WHERE billing_anchor_date IS NULL;
+`;
+
+export const down = `
+    ALTER TABLE plan_states DROP COLUMN IF EXISTS billing_anchor_date;
+`;
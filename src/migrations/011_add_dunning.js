@@ -0,0 +1,44 @@
+// src/migrations/011_add_dunning.js
+// Dunning after a failed payment: when it started, when the grace period runs out and when the site
+// was suspended for non-payment. The columns drive the scheduler, so they also pull next_check_at forward.
+
+const resetNextCheckFunction = (extraCondition) => `
+    CREATE OR REPLACE FUNCTION plan_states_reset_next_check_at() RETURNS trigger AS $$
+    BEGIN
+        IF NEW.next_check_at IS NOT DISTINCT FROM OLD.next_check_at AND (
+            NEW.plan_id IS DISTINCT FROM OLD.plan_id
+            OR NEW.free_trial_start_date IS DISTINCT FROM OLD.free_trial_start_date
+            OR NEW.next_billing_date IS DISTINCT FROM OLD.next_billing_date
+            OR NEW.free_trial_ended_action_taken IS DISTINCT FROM OLD.free_trial_ended_action_taken
+            OR NEW.status IS DISTINCT FROM OLD.status
+            OR NEW.resume_at IS DISTINCT FROM OLD.resume_at
+            OR NEW.cancel_at IS DISTINCT FROM OLD.cancel_at
+            OR NEW.timezone IS DISTINCT FROM OLD.timezone${extraCondition}
+        ) THEN
+            NEW.next_check_at := CURRENT_TIMESTAMP;
+        END IF;
+        RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+`;
+
+export const up = `
+    ALTER TABLE plan_states
+        ADD COLUMN IF NOT EXISTS payment_failed_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS grace_period_ends_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP WITH TIME ZONE;
+
+    ${resetNextCheckFunction(`
+            OR NEW.payment_failed_at IS DISTINCT FROM OLD.payment_failed_at
+            OR NEW.grace_period_ends_at IS DISTINCT FROM OLD.grace_period_ends_at
+            OR NEW.suspended_at IS DISTINCT FROM OLD.suspended_at`)}
+`;
+
+export const down = `
+    ${resetNextCheckFunction('')}
+
+    ALTER TABLE plan_states
+        DROP COLUMN IF EXISTS payment_failed_at,
+        DROP COLUMN IF EXISTS grace_period_ends_at,
+        DROP COLUMN IF EXISTS suspended_at;
+`;
@@ -0,0 +1,30 @@
+// src/migrations/012_create_scheduler_runs.js
+// One row per scheduler run, whether started by the cron tick or on demand: when it ran, what it
+// covered and what came of it, so the admin panel can show scheduler history without reading logs.
+
+export const up = `
+    CREATE TABLE IF NOT EXISTS scheduler_runs (
+        id BIGSERIAL PRIMARY KEY,
+        trigger VARCHAR(16) NOT NULL CHECK (trigger IN ('cron', 'manual')),
+        requested_by VARCHAR(255) NOT NULL,
+        website_ids TEXT[],
+        status VARCHAR(16) NOT NULL DEFAULT 'running'
+            CHECK (status IN ('running', 'succeeded', 'failed')),
+        started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP WITH TIME ZONE,
+        rows_scanned INTEGER NOT NULL DEFAULT 0,
+        actions_taken INTEGER NOT NULL DEFAULT 0,
+        notifications_sent INTEGER NOT NULL DEFAULT 0,
+        notifications_failed INTEGER NOT NULL DEFAULT 0,
+        sites_failed INTEGER NOT NULL DEFAULT 0,
+        budget_exhausted BOOLEAN NOT NULL DEFAULT FALSE,
+        site_errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+        error TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS scheduler_runs_status_idx ON scheduler_runs (status, id DESC);
+`;
+
+export const down = `
+    DROP TABLE IF EXISTS scheduler_runs;
+`;
@@ -0,0 +1,35 @@
+// src/migrations/013_create_webhook_subscriptions.js
+// Webhook subscribers (analytics, email, ...) registered at runtime. Every event queued for the main
+// backend is also queued once per active subscription to its type; those deliveries are outbox rows
+// carrying the subscription id, and all deliveries of one event share its event_id.
+
+export const up = `
+    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id BIGSERIAL PRIMARY KEY,
+        url TEXT NOT NULL,
+        event_types TEXT[] NOT NULL,
+        secret TEXT NOT NULL,
+        description TEXT,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS webhook_subscriptions_event_types_idx
+        ON webhook_subscriptions USING GIN (event_types) WHERE active;
+
+    ALTER TABLE outbox_messages
+        ADD COLUMN IF NOT EXISTS event_id UUID NOT NULL DEFAULT gen_random_uuid(),
+        ADD COLUMN IF NOT EXISTS subscription_id BIGINT REFERENCES webhook_subscriptions (id) ON DELETE CASCADE;
+
+    CREATE INDEX IF NOT EXISTS outbox_messages_subscription_idx
+        ON outbox_messages (subscription_id, id) WHERE subscription_id IS NOT NULL;
+`;
+
+export const down = `
+    ALTER TABLE outbox_messages
+        DROP COLUMN IF EXISTS subscription_id,
+        DROP COLUMN IF EXISTS event_id;
+
+    DROP TABLE IF EXISTS webhook_subscriptions;
+`;
@@ -0,0 +1,25 @@
+// src/migrations/014_create_api_keys.js
+// API keys for callers of this service. Only a SHA-256 hash of each key is stored; the prefix is the
+// public part of the key used to look it up. Keys sharing a name belong to the same caller, which is
+// how old and new keys overlap during a rotation.
+
+export const up = `
+    CREATE TABLE IF NOT EXISTS api_keys (
+        id BIGSERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        prefix VARCHAR(32) NOT NULL UNIQUE,
+        key_hash CHAR(64) NOT NULL,
+        scopes TEXT[] NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE,
+        revoked_at TIMESTAMP WITH TIME ZONE,
+        last_used_at TIMESTAMP WITH TIME ZONE,
+        created_by VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS api_keys_name_idx ON api_keys (name, id);
+`;
+
+export const down = `
+    DROP TABLE IF EXISTS api_keys;
+`;
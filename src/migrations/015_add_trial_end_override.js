@@ -0,0 +1,42 @@
+// src/migrations/015_add_trial_end_override.js
+// Trial end set through the trial endpoints (extended, ended early or converted to paid): the start of
+// the trial's last day, like the computed one. NULL means the trial lasts the plan's trial length from
+// free_trial_start_date. The column drives the scheduler, so it also pulls next_check_at forward.
+
+const resetNextCheckFunction = (extraCondition) => `
+    CREATE OR REPLACE FUNCTION plan_states_reset_next_check_at() RETURNS trigger AS $$
+    BEGIN
+        IF NEW.next_check_at IS NOT DISTINCT FROM OLD.next_check_at AND (
+            NEW.plan_id IS DISTINCT FROM OLD.plan_id
+            OR NEW.free_trial_start_date IS DISTINCT FROM OLD.free_trial_start_date
+            OR NEW.next_billing_date IS DISTINCT FROM OLD.next_billing_date
+            OR NEW.free_trial_ended_action_taken IS DISTINCT FROM OLD.free_trial_ended_action_taken
+            OR NEW.status IS DISTINCT FROM OLD.status
+            OR NEW.resume_at IS DISTINCT FROM OLD.resume_at
+            OR NEW.cancel_at IS DISTINCT FROM OLD.cancel_at
+            OR NEW.timezone IS DISTINCT FROM OLD.timezone
+            OR NEW.payment_failed_at IS DISTINCT FROM OLD.payment_failed_at
+            OR NEW.grace_period_ends_at IS DISTINCT FROM OLD.grace_period_ends_at
+            OR NEW.suspended_at IS DISTINCT FROM OLD.suspended_at${extraCondition}
+        ) THEN
+            NEW.next_check_at := CURRENT_TIMESTAMP;
+        END IF;
+        RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+`;
+
+export const up = `
+    ALTER TABLE plan_states
+        ADD COLUMN IF NOT EXISTS trial_end_override TIMESTAMP WITH TIME ZONE;
+
+    ${resetNextCheckFunction(`
+            OR NEW.trial_end_override IS DISTINCT FROM OLD.trial_end_override`)}
+`;
+
+export const down = `
+    ${resetNextCheckFunction('')}
+
+    ALTER TABLE plan_states
+        DROP COLUMN IF EXISTS trial_end_override;
+`;
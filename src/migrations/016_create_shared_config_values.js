@@ -0,0 +1,16 @@
+// src/migrations/016_create_shared_config_values.js
+// Last value fetched from the shared-variables service for each shared variable this service reads
+// (see config/sharedConfig.js). On startup these are used until the service answers, so a restart while
+// it is down does not fall back to the built-in defaults. value is the raw value as the service sent it.
+
+export const up = `
+    CREATE TABLE IF NOT EXISTS shared_config_values (
+        name VARCHAR(255) PRIMARY KEY,
+        value JSONB NOT NULL,
+        updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+    );
+`;
+
+export const down = `
+    DROP TABLE IF EXISTS shared_config_values;
+`;
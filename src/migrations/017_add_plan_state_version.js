@@ -0,0 +1,33 @@
+// src/migrations/017_add_plan_state_version.js
+// version counts the changes to a plan state; the API exposes it as the ETag, and If-Match on a write
+// must name the current one. The trigger bumps it on any change except the scheduler's bookkeeping
+// (last_scheduler_run, next_check_at) and updated_at, so a routine scheduler pass does not make a
+// caller's copy stale. Writes cannot set it themselves.
+
+export const up = `
+    ALTER TABLE plan_states
+        ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+
+    CREATE OR REPLACE FUNCTION plan_states_bump_version() RETURNS trigger AS $$
+    DECLARE
+        bookkeeping CONSTANT TEXT[] := ARRAY['version', 'updated_at', 'last_scheduler_run', 'next_check_at'];
+    BEGIN
+        IF (to_jsonb(NEW) - bookkeeping) IS DISTINCT FROM (to_jsonb(OLD) - bookkeeping) THEN
+            NEW.version := OLD.version + 1;
+        ELSE
+            NEW.version := OLD.version;
+        END IF;
+        RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER plan_states_bump_version
+        BEFORE UPDATE ON plan_states
+        FOR EACH ROW EXECUTE FUNCTION plan_states_bump_version();
+`;
+
+export const down = `
+    DROP TRIGGER IF EXISTS plan_states_bump_version ON plan_states;
+    DROP FUNCTION IF EXISTS plan_states_bump_version();
+    ALTER TABLE plan_states DROP COLUMN IF EXISTS version;
+`;
@@ -0,0 +1,26 @@
+// src/migrations/018_create_idempotency_keys.js
+// Idempotency-Key headers seen on write endpoints (see middleware/idempotency.js), per caller (owner is
+// the API key's actor). request_hash identifies the request the key was first used with; status_code
+// is NULL while that request is in progress, locked_until bounds how long a crashed one holds the key.
+// Rows past expires_at are deleted on the scheduler's cron tick.
+
+export const up = `
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+        owner VARCHAR(255) NOT NULL,
+        key VARCHAR(255) NOT NULL,
+        request_hash CHAR(64) NOT NULL,
+        status_code INTEGER,
+        response_body JSONB,
+        response_etag VARCHAR(255),
+        created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+        locked_until TIMESTAMP WITH TIME ZONE NOT NULL,
+        expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+        PRIMARY KEY (owner, key)
+    );
+
+    CREATE INDEX IF NOT EXISTS idempotency_keys_expires_idx ON idempotency_keys (expires_at);
+`;
+
+export const down = `
+    DROP TABLE IF EXISTS idempotency_keys;
+`;
@@ -0,0 +1,29 @@
+// src/routes/apiKey.routes.js
+import express from 'express';
+import {
+    listApiKeysController,
+    createApiKeyController,
+    rotateApiKeyController,
+    revokeApiKeyController
+} from '../controllers/apiKey.controller.js';
+import { requireScope } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { createApiKeySchema, rotateApiKeySchema, revokeApiKeySchema } from '../schemas/apiKey.schemas.js';
+
+const router = express.Router();
+
+router.use(requireScope('api-keys:manage'));
+
+// List keys (never their values)
+router.get('/', listApiKeysController);
+
+// Create a key (the response carries the key itself)
+router.post('/', validate(createApiKeySchema), createApiKeyController);
+
+// Replace a key, keeping the old one valid for an overlap window
+router.post('/:keyId/rotate', validate(rotateApiKeySchema), rotateApiKeyController);
+
+// Revoke a key immediately
+router.post('/:keyId/revoke', validate(revokeApiKeySchema), revokeApiKeyController);
+
+export default router;
@@ -0,0 +1,11 @@
+// src/routes/config.routes.js
+import express from 'express';
+import { getConfigController } from '../controllers/config.controller.js';
+import { requireScope } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Effective shared variables and their sources
+router.get('/', requireScope('config:read'), getConfigController);
+
+export default router;
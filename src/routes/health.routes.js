@@ -0,0 +1,16 @@
+// src/routes/health.routes.js
+import express from 'express';
+import { livenessController, readinessController, healthController } from '../controllers/health.controller.js';
+
+const router = express.Router();
+
+// Readiness and system load for the admin panel (503 when degraded)
+router.get('/', healthController);
+
+// Liveness probe (always 200 while the process runs)
+router.get('/live', livenessController);
+
+// Readiness probe (503 when Postgres, shared variables or the scheduler are degraded, or while shutting down)
+router.get('/ready', readinessController);
+
+export default router;
@@ -0,0 +1,24 @@
+// src/routes/outbox.routes.js
+import express from 'express';
+import {
+    listOutboxMessagesController,
+    retryOutboxMessageController,
+    discardOutboxMessageController
+} from '../controllers/outbox.controller.js';
+import { requireScope } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { validate } from '../middleware/validate.js';
+import { listOutboxMessagesSchema, outboxMessageSchema } from '../schemas/outbox.schemas.js';
+
+const router = express.Router();
+
+// List outbox messages (dead-lettered by default)
+router.get('/', requireScope('outbox:read'), validate(listOutboxMessagesSchema), listOutboxMessagesController);
+
+// Requeue a dead-lettered message
+router.post('/:messageId/retry', requireScope('outbox:write'), idempotency, validate(outboxMessageSchema), retryOutboxMessageController);
+
+// Discard a dead-lettered message
+router.post('/:messageId/discard', requireScope('outbox:write'), idempotency, validate(outboxMessageSchema), discardOutboxMessageController);
+
+export default router;
@@ -0,0 +1,32 @@
+// src/routes/plan.routes.js
+import express from 'express';
+import {
+    listPlansController,
+    getPlanController,
+    createPlanController,
+    updatePlanController,
+    deletePlanController
+} from '../controllers/plan.controller.js';
+import { requireScope } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { validate } from '../middleware/validate.js';
+import { getPlanSchema, createPlanSchema, updatePlanSchema } from '../schemas/plan.schemas.js';
+
+const router = express.Router();
+
+// List the plan catalog
+router.get('/', requireScope('plans:read'), listPlansController);
+
+// Get a single plan
+router.get('/:planId', requireScope('plans:read'), validate(getPlanSchema), getPlanController);
+
+// Add a plan
+router.post('/', requireScope('plans:write'), idempotency, validate(createPlanSchema), createPlanController);
+
+// Update trial length, billing interval, grace period or notifications of a plan
+router.patch('/:planId', requireScope('plans:write'), idempotency, validate(updatePlanSchema), updatePlanController);
+
+// Remove a plan that no website is on
+router.delete('/:planId', requireScope('plans:write'), idempotency, validate(getPlanSchema), deletePlanController);
+
+export default router;
@@ -1,13 +1,90 @@
 // src/routes/planState.routes.js
 import express from 'express';
-import { upsertPlanStateController, updateBillingDateController } from '../controllers/planState.controller.js';
+import {
+    upsertPlanStateController,
+    updateBillingDateController,
+    getPlanStateController,
+    listPlanStatesController,
+    getPlanStateHistoryController,
+    simulatePlanStatesController
+} from '../controllers/planState.controller.js';
+import {
+    activatePlanController,
+    markPastDueController,
+    pausePlanController,
+    resumePlanController,
+    cancelPlanController
+} from '../controllers/planLifecycle.controller.js';
+import { paymentFailedController, paymentSucceededController } from '../controllers/dunning.controller.js';
+import { extendTrialController, endTrialController, convertTrialController } from '../controllers/trial.controller.js';
+import { IMPORT_MEDIA_TYPES, importPlanStatesController, exportPlanStatesController } from '../controllers/planStateTransfer.controller.js';
+import { requireScope } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { validate } from '../middleware/validate.js';
+import {
+    upsertPlanStateSchema,
+    updateBillingDateSchema,
+    getPlanStateSchema,
+    listPlanStatesSchema,
+    planStateHistorySchema,
+    simulatePlanStatesSchema,
+    pausePlanSchema,
+    cancelPlanSchema,
+    paymentFailedSchema,
+    extendTrialSchema,
+    finishTrialSchema,
+    importPlanStatesSchema,
+    exportPlanStatesSchema
+} from '../schemas/planState.schemas.js';
 
 const router = express.Router();
 
+// Writes take an optional Idempotency-Key (see middleware/idempotency.js), and those on a single website an
+// optional If-Match with the ETag of a previous response (412 if the plan state has changed since)
+
+// List plan states (filters + cursor pagination)
+router.get('/', requireScope('plan-states:read'), validate(listPlanStatesSchema), listPlanStatesController);
+
+// Dry run of the scheduler for a time or date range (sends nothing, changes nothing)
+router.post('/simulate', requireScope('plan-states:read'), validate(simulatePlanStatesSchema), simulatePlanStatesController);
+
+// Bulk import (CSV or NDJSON body, validated per row, written in batches) and streaming export
+router.post(
+    '/import',
+    requireScope('plan-states:write'),
+    express.text({ type: IMPORT_MEDIA_TYPES, limit: '20mb' }),
+    idempotency,
+    validate(importPlanStatesSchema),
+    importPlanStatesController
+);
+router.get('/export', requireScope('plan-states:read'), validate(exportPlanStatesSchema), exportPlanStatesController);
+
+// Get a single website's plan state
+router.get('/:websiteId', requireScope('plan-states:read'), validate(getPlanStateSchema), getPlanStateController);
+
+// Get a website's change history (audit log)
+router.get('/:websiteId/history', requireScope('plan-states:read'), validate(planStateHistorySchema), getPlanStateHistoryController);
+
 // Create or Update a website's plan state
-router.post('/', upsertPlanStateController);
+router.post('/', requireScope('plan-states:write'), idempotency, validate(upsertPlanStateSchema), upsertPlanStateController);
 
 // Update a website's next billing date
-router.put('/:websiteId/update-billing-date', updateBillingDateController);
+router.put('/:websiteId/update-billing-date', requireScope('plan-states:write'), idempotency, validate(updateBillingDateSchema), updateBillingDateController);
+
+// Lifecycle transitions (illegal transitions respond with 409)
+router.post('/:websiteId/activate', requireScope('plan-states:write'), idempotency, validate(getPlanStateSchema), activatePlanController);
+router.post('/:websiteId/past-due', requireScope('plan-states:write'), idempotency, validate(getPlanStateSchema), markPastDueController);
+router.post('/:websiteId/pause', requireScope('plan-states:write'), idempotency, validate(pausePlanSchema), pausePlanController);
+router.post('/:websiteId/resume', requireScope('plan-states:write'), idempotency, validate(getPlanStateSchema), resumePlanController);
+router.post('/:websiteId/cancel', requireScope('plan-states:write'), idempotency, validate(cancelPlanSchema), cancelPlanController);
+
+// Payment outcomes reported by the main service (start and end dunning)
+router.post('/:websiteId/payment-failed', requireScope('plan-states:write'), idempotency, validate(paymentFailedSchema), paymentFailedController);
+router.post('/:websiteId/payment-succeeded', requireScope('plan-states:write'), idempotency, validate(getPlanStateSchema), paymentSucceededController);
+
+// Support actions on a running trial (each requires a reason; only trial fields and trial warnings change)
+router.post('/:websiteId/trial/extend', requireScope('plan-states:write'), idempotency, validate(extendTrialSchema), extendTrialController);
+router.post('/:websiteId/trial/end', requireScope('plan-states:write'), idempotency, validate(finishTrialSchema), endTrialController);
+router.post('/:websiteId/trial/convert', requireScope('plan-states:write'), idempotency, validate(finishTrialSchema), convertTrialController);
 
 export default router;
\ No newline at end of file
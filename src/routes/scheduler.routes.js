@@ -0,0 +1,24 @@
+// src/routes/scheduler.routes.js
+import express from 'express';
+import {
+    startSchedulerRunController,
+    listSchedulerRunsController,
+    getSchedulerRunController
+} from '../controllers/scheduler.controller.js';
+import { requireScope } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { validate } from '../middleware/validate.js';
+import { startSchedulerRunSchema, listSchedulerRunsSchema, schedulerRunSchema } from '../schemas/scheduler.schemas.js';
+
+const router = express.Router();
+
+// Scheduler history (newest first) and last successful run
+router.get('/runs', requireScope('scheduler:read'), validate(listSchedulerRunsSchema), listSchedulerRunsController);
+
+// Start a run now, optionally limited to some websites (responds 202; the run continues in the background)
+router.post('/runs', requireScope('scheduler:run'), idempotency, validate(startSchedulerRunSchema), startSchedulerRunController);
+
+// A single run's report
+router.get('/runs/:runId', requireScope('scheduler:read'), validate(schedulerRunSchema), getSchedulerRunController);
+
+export default router;
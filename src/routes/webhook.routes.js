@@ -0,0 +1,33 @@
+// src/routes/webhook.routes.js
+import express from 'express';
+import {
+    listWebhooksController,
+    getWebhookController,
+    createWebhookController,
+    updateWebhookController,
+    deleteWebhookController
+} from '../controllers/webhook.controller.js';
+import { requireScope } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { validate } from '../middleware/validate.js';
+import { getWebhookSchema, createWebhookSchema, updateWebhookSchema } from '../schemas/webhook.schemas.js';
+
+const router = express.Router();
+
+// List webhook subscriptions
+router.get('/', requireScope('webhooks:read'), listWebhooksController);
+
+// Get a single subscription
+router.get('/:webhookId', requireScope('webhooks:read'), validate(getWebhookSchema), getWebhookController);
+
+// Register a subscription (the response carries its signing secret, so it takes no Idempotency-Key:
+// replaying would mean storing the secret)
+router.post('/', requireScope('webhooks:write'), validate(createWebhookSchema), createWebhookController);
+
+// Change url, event types, secret, description or active flag
+router.patch('/:webhookId', requireScope('webhooks:write'), idempotency, validate(updateWebhookSchema), updateWebhookController);
+
+// Remove a subscription and its deliveries
+router.delete('/:webhookId', requireScope('webhooks:write'), idempotency, validate(getWebhookSchema), deleteWebhookController);
+
+export default router;
@@ -0,0 +1,37 @@
+// src/schemas/apiKey.schemas.js
+// Request schemas for /api-keys.
+import { API_KEY_SCOPES } from '../services/apiKey.service.js';
+import { string, numericId, enumOf, number, date, array, object } from '../utils/schema.js';
+
+const DEFAULT_ROTATION_OVERLAP_HOURS = 24;
+const MAX_ROTATION_OVERLAP_HOURS = 24 * 30;
+
+const apiKeyParams = object({ keyId: numericId() });
+
+// Optional expiry of a new key: omitted or null for no expiry
+const expiresAt = date({ future: true }).nullable().default(null);
+
+const createApiKeySchema = {
+    body: object({
+        name: string({
+            max: 200,
+            pattern: /^[A-Za-z0-9][A-Za-z0-9._-]*$/,
+            patternMessage: 'Expected letters, digits, dots, dashes or underscores, starting with a letter or digit.'
+        }),
+        scopes: array(enumOf(API_KEY_SCOPES), { min: 1, unique: 'drop' }),
+        expiresAt
+    })
+};
+
+const rotateApiKeySchema = {
+    params: apiKeyParams,
+    body: object({
+        // How long the old key keeps working
+        overlapHours: number({ min: 0, max: MAX_ROTATION_OVERLAP_HOURS }).default(DEFAULT_ROTATION_OVERLAP_HOURS),
+        expiresAt
+    })
+};
+
+const revokeApiKeySchema = { params: apiKeyParams };
+
+export { createApiKeySchema, rotateApiKeySchema, revokeApiKeySchema };
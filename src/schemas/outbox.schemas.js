@@ -0,0 +1,19 @@
+// src/schemas/outbox.schemas.js
+// Request schemas for /outbox.
+import { numericId, enumOf, integer, object } from '../utils/schema.js';
+
+const OUTBOX_STATUSES = ['pending', 'delivered', 'dead', 'discarded'];
+
+const listOutboxMessagesSchema = {
+    query: object({
+        status: enumOf(OUTBOX_STATUSES).default('dead'),
+        limit: integer({ min: 1, max: 200, coerce: true }).default(50),
+        cursor: numericId().optional()
+    })
+};
+
+const outboxMessageSchema = {
+    params: object({ messageId: numericId() })
+};
+
+export { listOutboxMessagesSchema, outboxMessageSchema };
@@ -0,0 +1,40 @@
+// src/schemas/plan.schemas.js
+// Request schemas for /plans.
+import { BILLING_INTERVALS } from '../services/plan.service.js';
+import { parseNotificationLadder } from '../services/notificationLadder.js';
+import { string, enumOf, integer, any, object } from '../utils/schema.js';
+
+const planParams = object({ planId: string({ max: 255 }) });
+
+// trialDays and notifications may be null to fall back to the shared variables
+const planFields = {
+    name: string({ trim: true, max: 255 }),
+    trialDays: integer({ min: 0 }).nullable(),
+    billingInterval: enumOf(BILLING_INTERVALS),
+    gracePeriodDays: integer({ min: 0 }),
+    // Stored in normalized form, e.g. { "billing": ["7d", "1d"] }
+    notifications: any().nullable().transform(ladder => Object.fromEntries(
+        Object.entries(parseNotificationLadder(ladder)).map(([eventType, offsets]) => [eventType, offsets.map(offset => offset.key)])
+    ))
+};
+
+const optionalPlanFields = Object.fromEntries(Object.entries(planFields).map(([key, schema]) => [key, schema.optional()]));
+
+const getPlanSchema = { params: planParams };
+
+const createPlanSchema = {
+    body: object({
+        planId: string({ max: 255 }),
+        ...optionalPlanFields,
+        name: planFields.name
+    })
+};
+
+const updatePlanSchema = {
+    params: planParams,
+    body: object(optionalPlanFields).refine(fields => (Object.keys(fields).length === 0
+        ? { code: 'required', message: `No updatable fields provided. Expected any of: ${Object.keys(planFields).join(', ')}.` }
+        : null))
+};
+
+export { getPlanSchema, createPlanSchema, updatePlanSchema };
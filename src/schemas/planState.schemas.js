@@ -0,0 +1,183 @@
+// src/schemas/planState.schemas.js
+// Request schemas for /plan-states, including the lifecycle and dunning endpoints.
+import { PLAN_STATE_SORT_COLUMNS } from '../services/planState.service.js';
+import { PLAN_STATUSES } from '../services/planLifecycle.service.js';
+import { string, numericId, enumOf, integer, boolean, date, timeZone, object } from '../utils/schema.js';
+
+const TRIAL_STATUSES = ['in_trial', 'ending_soon', 'ended', 'none'];
+
+const MAX_SIMULATION_DAYS = 366;
+const MAX_TRIAL_EXTENSION_DAYS = 365;
+const MAX_IMPORT_BATCH_SIZE = 1000;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const websiteId = () => string({ max: 255 });
+
+const websiteParams = object({ websiteId: websiteId() });
+
+const upsertPlanStateSchema = {
+    body: object({
+        websiteId: websiteId(),
+        planId: string({ max: 255 }),
+        // Null (or omitted) means the website has no free trial
+        freeTrialStartDate: date().nullable().optional(),
+        nextBillingDate: date(),
+        // IANA timezone, e.g. 'Europe/Berlin'; omitted or null keeps the stored one
+        timezone: timeZone().nullable().optional()
+    })
+};
+
+const updateBillingDateSchema = {
+    params: websiteParams,
+    body: object({ nextBillingDate: date() })
+};
+
+const getPlanStateSchema = { params: websiteParams };
+
+const listPlanStatesSchema = {
+    query: object({
+        planId: string({ max: 255 }).optional(),
+        status: enumOf(PLAN_STATUSES).optional(),
+        trialStatus: enumOf(TRIAL_STATUSES).optional(),
+        endingWithinDays: integer({ min: 0, coerce: true }).default(7),
+        billingFrom: date().optional(),
+        billingTo: date().optional(),
+        sort: enumOf(Object.keys(PLAN_STATE_SORT_COLUMNS)).default('websiteId'),
+        order: enumOf(['asc', 'desc']).default('asc'),
+        limit: integer({ min: 1, max: 200, coerce: true }).default(50),
+        // Checked against the sort order by the controller
+        cursor: string().optional()
+    })
+};
+
+const planStateHistorySchema = {
+    params: websiteParams,
+    query: object({
+        limit: integer({ min: 1, max: 200, coerce: true }).default(50),
+        cursor: numericId().optional()
+    })
+};
+
+const simulatePlanStatesSchema = {
+    body: object({
+        asOf: date().optional(),
+        from: date().optional(),
+        to: date().optional(),
+        websiteId: websiteId().optional(),
+        filter: object({
+            planId: string({ max: 255 }).optional(),
+            status: enumOf(PLAN_STATUSES).optional()
+        }).default(() => ({})),
+        limit: integer({ min: 1, max: 100 }).default(20),
+        cursor: string().optional()
+    })
+        .refine(({ asOf, from, to }) => {
+            if (asOf !== undefined && (from !== undefined || to !== undefined)) {
+                return { field: 'asOf', code: 'invalid_combination', message: 'Provide either asOf or from and to, not both.' };
+            }
+            if (asOf === undefined && (from === undefined || to === undefined)) {
+                return {
+                    field: from === undefined ? 'from' : 'to',
+                    code: 'required',
+                    message: 'Missing time range. Expected asOf, or from and to.'
+                };
+            }
+            return null;
+        })
+        .refine(({ from, to }) => {
+            if (from === undefined) {
+                return null;
+            }
+            if (from > to) {
+                return { field: 'to', code: 'too_small', message: 'Must not be before from.' };
+            }
+            if (to - from > MAX_SIMULATION_DAYS * MS_PER_DAY) {
+                return { field: 'to', code: 'too_big', message: `Expected at most ${MAX_SIMULATION_DAYS} days after from.` };
+            }
+            return null;
+        })
+};
+
+const pausePlanSchema = {
+    params: websiteParams,
+    // Omitted or null pauses until resumed manually
+    body: object({ resumeAt: date({ future: true }).nullable().optional() })
+};
+
+const cancelPlanSchema = {
+    params: websiteParams,
+    body: object({ atPeriodEnd: boolean().default(false) })
+};
+
+const paymentFailedSchema = {
+    params: websiteParams,
+    body: object({
+        // Defaults to now
+        failedAt: date({ notFuture: true }).optional(),
+        reason: string({ min: 0 }).nullable().optional()
+    })
+};
+
+// Why support changed a trial; kept in the audit log and sent to the main service
+const trialReason = () => string({ trim: true, max: 500 });
+
+const extendTrialSchema = {
+    params: websiteParams,
+    body: object({
+        days: integer({ min: 1, max: MAX_TRIAL_EXTENSION_DAYS }),
+        reason: trialReason()
+    })
+};
+
+const finishTrialSchema = {
+    params: websiteParams,
+    body: object({ reason: trialReason() })
+};
+
+const importPlanStatesSchema = {
+    query: object({
+        // Validate and report what would change, without writing anything
+        dryRun: boolean({ coerce: true }).default(false),
+        // preserve keeps trial-ended flags and sent warnings of existing websites; reset clears both, so warnings
+        // already delivered for the current period are sent again (POST /plan-states keeps sent warnings)
+        notifications: enumOf(['preserve', 'reset']).default('preserve'),
+        // Rows written per statement; each batch is applied completely or not at all
+        batchSize: integer({ min: 1, max: MAX_IMPORT_BATCH_SIZE, coerce: true }).default(500)
+    })
+};
+
+// One record of an import file (a CSV row or an NDJSON line); columns of an export that are not listed here are ignored
+const importPlanStateRowSchema = object({
+    websiteId: websiteId(),
+    planId: string({ max: 255 }),
+    freeTrialStartDate: date().nullable().optional(),
+    nextBillingDate: date(),
+    timezone: timeZone().nullable().optional(),
+    // Whether the end of the trial was already handled (e.g. by the old billing system); only used with notifications=preserve
+    freeTrialEndedActionTaken: boolean({ coerce: true }).nullable().optional()
+});
+
+const exportPlanStatesSchema = {
+    query: object({
+        format: enumOf(['csv', 'ndjson']).default('csv'),
+        planId: string({ max: 255 }).optional(),
+        status: enumOf(PLAN_STATUSES).optional()
+    })
+};
+
+export {
+    upsertPlanStateSchema,
+    updateBillingDateSchema,
+    getPlanStateSchema,
+    listPlanStatesSchema,
+    planStateHistorySchema,
+    simulatePlanStatesSchema,
+    pausePlanSchema,
+    cancelPlanSchema,
+    paymentFailedSchema,
+    extendTrialSchema,
+    finishTrialSchema,
+    importPlanStatesSchema,
+    importPlanStateRowSchema,
+    exportPlanStatesSchema
+};
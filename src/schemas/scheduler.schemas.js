@@ -0,0 +1,27 @@
+// src/schemas/scheduler.schemas.js
+// Request schemas for /scheduler.
+import { string, numericId, enumOf, integer, array, object } from '../utils/schema.js';
+
+const RUN_STATUSES = ['running', 'succeeded', 'failed'];
+const MAX_SCOPED_WEBSITES = 100;
+
+const startSchedulerRunSchema = {
+    body: object({
+        // Limits the run to these websites; duplicates are ignored
+        websiteIds: array(string({ max: 255 }), { min: 1, max: MAX_SCOPED_WEBSITES, unique: 'drop' }).optional()
+    })
+};
+
+const listSchedulerRunsSchema = {
+    query: object({
+        status: enumOf(RUN_STATUSES).optional(),
+        limit: integer({ min: 1, max: 200, coerce: true }).default(50),
+        cursor: numericId().optional()
+    })
+};
+
+const schedulerRunSchema = {
+    params: object({ runId: numericId() })
+};
+
+export { startSchedulerRunSchema, listSchedulerRunsSchema, schedulerRunSchema };
@@ -0,0 +1,46 @@
+// src/schemas/webhook.schemas.js
+// Request schemas for /webhooks.
+import { WEBHOOK_EVENT_TYPES } from '../services/webhook.service.js';
+import { string, numericId, enumOf, boolean, array, object } from '../utils/schema.js';
+
+const MIN_SECRET_LENGTH = 16;
+
+function isHttpUrl(value) {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+const webhookParams = object({ webhookId: numericId() });
+
+const webhookFields = {
+    url: string().refine(url => (isHttpUrl(url) ? null : { code: 'invalid_format', message: 'Expected an http or https URL.' })),
+    eventTypes: array(enumOf(WEBHOOK_EVENT_TYPES), { min: 1, unique: 'drop' }),
+    secret: string({ min: MIN_SECRET_LENGTH, max: 255 }),
+    description: string({ min: 0 }).nullable(),
+    active: boolean()
+};
+
+const optionalWebhookFields = Object.fromEntries(Object.entries(webhookFields).map(([key, schema]) => [key, schema.optional()]));
+
+const getWebhookSchema = { params: webhookParams };
+
+const createWebhookSchema = {
+    body: object({
+        ...optionalWebhookFields,
+        url: webhookFields.url,
+        eventTypes: webhookFields.eventTypes
+    })
+};
+
+const updateWebhookSchema = {
+    params: webhookParams,
+    body: object(optionalWebhookFields).refine(fields => (Object.keys(fields).length === 0
+        ? { code: 'required', message: `No updatable fields provided. Expected any of: ${Object.keys(webhookFields).join(', ')}.` }
+        : null))
+};
+
+export { getWebhookSchema, createWebhookSchema, updateWebhookSchema };
@@ -0,0 +1,216 @@
+// src/services/apiKey.service.js
+import crypto from 'crypto';
+import { db } from '../config/db.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('ApiKeyService');
+
+const API_KEY_SCOPES = [
+    'plan-states:read',
+    'plan-states:write',
+    'plans:read',
+    'plans:write',
+    'scheduler:read',
+    'scheduler:run',
+    'outbox:read',
+    'outbox:write',
+    'webhooks:read',
+    'webhooks:write',
+    'config:read',
+    'api-keys:manage'
+];
+
+// Keys look like pck_<prefix>_<secret>; the prefix identifies the key, the whole key is the credential
+const API_KEY_PATTERN = /^pck_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+
+// Everything but the hash
+const PUBLIC_COLUMNS = 'id, name, prefix, scopes, expires_at, revoked_at, last_used_at, created_by, created_at';
+
+// last_used_at is refreshed at most this often per key, to keep writes off the request path
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateApiKey() {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    return { prefix, key: `pck_${prefix}_${crypto.randomBytes(32).toString('base64url')}` };
+}
+
+/**
+ * Compares two strings in constant time (for their length), via their SHA-256 digests.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+    return crypto.timingSafeEqual(
+        crypto.createHash('sha256').update(a).digest(),
+        crypto.createHash('sha256').update(b).digest()
+    );
+}
+
+/**
+ * Lists API keys (without hashes), grouped by name.
+ * @returns {Promise<Array<any>>}
+ */
+async function listApiKeys() {
+    try {
+        const result = await db.query(`SELECT ${PUBLIC_COLUMNS} FROM api_keys ORDER BY name, id;`);
+        return result.rows;
+    } catch (error) {
+        log.error('Error listing API keys.', { error });
+        throw new Error('Failed to list API keys.', { cause: error });
+    }
+}
+
+/**
+ * Creates an API key. The plaintext key is only returned here; the store keeps its hash.
+ * @param {object} options
+ * @param {string} options.name - Who the key is for (e.g. 'main-service'); recorded as the caller of every request made with it.
+ * @param {Array<string>} options.scopes - Subset of API_KEY_SCOPES.
+ * @param {Date | null} [options.expiresAt]
+ * @param {string} createdBy - Actor creating the key.
+ * @returns {Promise<{apiKey: any, key: string}>}
+ */
+async function createApiKey({ name, scopes, expiresAt = null }, createdBy) {
+    const { prefix, key } = generateApiKey();
+    try {
+        const query = `
+            INSERT INTO api_keys (name, prefix, key_hash, scopes, expires_at, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING ${PUBLIC_COLUMNS};
+        `;
+        const result = await db.query(query, [name, prefix, hashApiKey(key), scopes, expiresAt, createdBy]);
+        log.info('Created API key.', { prefix, name, scopes });
+        return { apiKey: result.rows[0], key };
+    } catch (error) {
+        log.error('Error creating API key.', { name, error });
+        throw new Error('Failed to create API key.', { cause: error });
+    }
+}
+
+/**
+ * Replaces an active key with a new one for the same name and scopes. The old key keeps working until
+ * the end of the overlap window (or its own expiry, if sooner), so callers can switch without downtime.
+ * @param {string|number} id - The key being replaced.
+ * @param {object} options
+ * @param {Date} options.oldKeyExpiresAt - End of the overlap window.
+ * @param {Date | null} [options.expiresAt] - Expiry of the new key.
+ * @param {string} createdBy - Actor rotating the key.
+ * @returns {Promise<{apiKey: any, key: string, previous: any} | null>} null if no active key has that id.
+ */
+async function rotateApiKey(id, { oldKeyExpiresAt, expiresAt = null }, createdBy) {
+    const { prefix, key } = generateApiKey();
+    try {
+        const query = `
+            WITH previous AS (
+                UPDATE api_keys
+                SET expires_at = LEAST(COALESCE(expires_at, $2), $2)
+                WHERE id = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+                RETURNING ${PUBLIC_COLUMNS}
+            ),
+            created AS (
+                INSERT INTO api_keys (name, prefix, key_hash, scopes, expires_at, created_by)
+                SELECT name, $3, $4, scopes, $5, $6 FROM previous
+                RETURNING ${PUBLIC_COLUMNS}
+            )
+            SELECT 'created' AS role, * FROM created
+            UNION ALL
+            SELECT 'previous' AS role, * FROM previous;
+        `;
+        const result = await db.query(query, [id, oldKeyExpiresAt, prefix, hashApiKey(key), expiresAt, createdBy]);
+        const rows = Object.fromEntries(result.rows.map(({ role, ...row }) => [role, row]));
+        if (!rows.created) {
+            return null;
+        }
+        const { created: apiKey, previous } = rows;
+        log.info('Rotated API key; the old key expires after the overlap.', { name: previous.name, previousPrefix: previous.prefix, prefix, previousExpiresAt: previous.expires_at.toISOString() });
+        return { apiKey, key, previous };
+    } catch (error) {
+        log.error('Error rotating API key.', { apiKeyId: id, error });
+        throw new Error('Failed to rotate API key.', { cause: error });
+    }
+}
+
+/**
+ * Revokes a key immediately.
+ * @param {string|number} id
+ * @returns {Promise<any | null>} The revoked key, or null if no unrevoked key has that id.
+ */
+async function revokeApiKey(id) {
+    try {
+        const query = `
+            UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND revoked_at IS NULL
+            RETURNING ${PUBLIC_COLUMNS};
+        `;
+        const result = await db.query(query, [id]);
+        if (result.rowCount > 0) {
+            log.info('Revoked API key.', { prefix: result.rows[0].prefix, name: result.rows[0].name });
+        }
+        return result.rows[0] || null;
+    } catch (error) {
+        log.error('Error revoking API key.', { apiKeyId: id, error });
+        throw new Error('Failed to revoke API key.', { cause: error });
+    }
+}
+
+/**
+ * Resolves a presented key to its stored record, if it is valid: known, not revoked and not expired.
+ * @param {string} key - The key as sent by the caller.
+ * @returns {Promise<any | null>}
+ */
+async function findActiveApiKey(key) {
+    const match = API_KEY_PATTERN.exec(key);
+    if (!match) {
+        return null;
+    }
+
+    let result;
+    try {
+        const query = `
+            SELECT ${PUBLIC_COLUMNS}, key_hash FROM api_keys
+            WHERE prefix = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP);
+        `;
+        result = await db.query(query, [match[1]]);
+    } catch (error) {
+        log.error('Error looking up API key.', { error });
+        throw new Error('Failed to verify API key.', { cause: error });
+    }
+
+    const stored = result.rows[0];
+    if (!stored || !safeEqual(hashApiKey(key), stored.key_hash)) {
+        return null;
+    }
+    const { key_hash: keyHash, ...apiKey } = stored;
+    return apiKey;
+}
+
+/**
+ * Records that a key was used. Best effort: failures are logged, not thrown.
+ * @param {string|number} id
+ */
+async function touchApiKey(id) {
+    try {
+        const query = `
+            UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - make_interval(secs => $2));
+        `;
+        await db.query(query, [id, LAST_USED_RESOLUTION_SECONDS]);
+    } catch (error) {
+        log.error('Error recording use of API key.', { apiKeyId: id, error: error.message });
+    }
+}
+
+export {
+    API_KEY_SCOPES,
+    safeEqual,
+    listApiKeys,
+    createApiKey,
+    rotateApiKey,
+    revokeApiKey,
+    findActiveApiKey,
+    touchApiKey
+};
@@ -0,0 +1,177 @@
+// src/services/dunning.service.js
+import { db } from '../config/db.js';
+import { getPlanState, versionMatches, versionsParam, assertExpectedVersion } from './planState.service.js';
+import { getPlan } from './plan.service.js';
+import { SCHEDULER_ACTOR, auditedMutationCtes } from './planStateEvent.service.js';
+import { outboxInsertFromCte, outboxParams } from './outbox.service.js';
+import { NotFoundError, InvalidTransitionError } from '../utils/errors.js';
+import { DEFAULT_TIMEZONE, addDays } from '../utils/dates.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('DunningService');
+
+/**
+ * Puts a website into dunning after the main service reports a failed payment: the plan becomes
+ * past_due and the grace period starts. It covers the day of the failure plus the plan's
+ * grace_period_days, in the website's timezone. A repeated report while dunning is already running
+ * leaves the running grace period unchanged.
+ * @param {string} websiteId
+ * @param {object} options
+ * @param {Date} options.failedAt - When the payment failed.
+ * @param {string | null} [options.reason] - Failure reason from the payment provider, kept in the audit log.
+ * @param {string} actor - Who reported the failure, recorded in the audit log.
+ * @param {Array<number> | '*' | null} [expectedVersions] - From If-Match: only change the website if it has one of these versions.
+ * @returns {Promise<{planState: any, started: boolean}>}
+ * @throws {NotFoundError | PreconditionFailedError | InvalidTransitionError}
+ */
+async function startDunning(websiteId, { failedAt, reason = null }, actor, expectedVersions = null) {
+    const current = await getPlanState(websiteId);
+    if (!current) {
+        throw new NotFoundError('Website plan state not found.');
+    }
+    assertExpectedVersion(current, expectedVersions);
+    if (current.status === 'past_due' && current.payment_failed_at) {
+        return { planState: current, started: false };
+    }
+
+    const plan = await getPlan(current.plan_id);
+    const gracePeriodDays = plan?.grace_period_days ?? 0;
+    const gracePeriodEndsAt = addDays(failedAt, gracePeriodDays + 1, current.timezone || DEFAULT_TIMEZONE);
+
+    let result;
+    try {
+        const query = `
+            ${auditedMutationCtes({
+                beforeWhere: 'website_id = $1',
+                eventType: `'payment_failed'`,
+                actor: '$4',
+                metadata: '$5',
+                mutation: `
+            UPDATE plan_states
+            SET status = 'past_due',
+                status_changed_at = CASE WHEN status = 'past_due' THEN status_changed_at ELSE CURRENT_TIMESTAMP END,
+                payment_failed_at = $2, grace_period_ends_at = $3, suspended_at = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE website_id = $1 AND (status = 'active' OR (status = 'past_due' AND payment_failed_at IS NULL))
+                AND ${versionMatches('$6')}
+            RETURNING *`
+            })}
+            SELECT * FROM changed;
+        `;
+        const metadata = JSON.stringify({ reason, gracePeriodDays });
+        result = await db.query(query, [websiteId, failedAt, gracePeriodEndsAt, actor, metadata, versionsParam(expectedVersions)]);
+    } catch (error) {
+        log.error('Error starting dunning.', { websiteId, error });
+        throw new Error('Failed to record failed payment.', { cause: error });
+    }
+
+    if (result.rowCount === 0) {
+        // Changed since it was read: report the status it has now
+        const latest = await getPlanState(websiteId);
+        if (!latest) {
+            throw new NotFoundError('Website plan state not found.');
+        }
+        assertExpectedVersion(latest, expectedVersions);
+        if (latest.status === 'past_due' && latest.payment_failed_at) {
+            return { planState: latest, started: false };
+        }
+        throw new InvalidTransitionError(latest.status, 'past_due');
+    }
+
+    log.info('Website entered dunning.', { websiteId, gracePeriodEndsAt: gracePeriodEndsAt.toISOString() });
+    return { planState: result.rows[0], started: true };
+}
+
+/**
+ * Ends dunning after the main service reports a successful payment: the plan becomes active again and
+ * the dunning state is cleared. If the site had already been suspended, the restore call to the main
+ * service is queued in the same statement.
+ * @param {string} websiteId
+ * @param {string} actor - Who reported the payment, recorded in the audit log.
+ * @param {Array<number> | '*' | null} [expectedVersions] - From If-Match: only change the website if it has one of these versions.
+ * @returns {Promise<{planState: any, ended: boolean, restored: boolean}>} ended is false if the plan was not past due.
+ * @throws {NotFoundError | PreconditionFailedError}
+ */
+async function endDunning(websiteId, actor, expectedVersions = null) {
+    const restoreMessage = {
+        eventType: 'site_restored',
+        method: 'POST',
+        path: `/api/websites/${websiteId}/restore`,
+        payload: { reason: 'payment_succeeded' }
+    };
+
+    let result;
+    try {
+        const query = `
+            ${auditedMutationCtes({
+                beforeWhere: 'website_id = $1',
+                eventType: `'payment_succeeded'`,
+                actor: '$2',
+                mutation: `
+            UPDATE plan_states
+            SET status = 'active', status_changed_at = CURRENT_TIMESTAMP,
+                payment_failed_at = NULL, grace_period_ends_at = NULL, suspended_at = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE website_id = $1 AND status = 'past_due' AND ${versionMatches('$3')}
+            RETURNING *`
+            })},
+            restored AS (
+                SELECT changed.website_id FROM changed
+                JOIN before ON before.website_id = changed.website_id
+                WHERE before.suspended_at IS NOT NULL
+            ),
+            restore_message AS (
+                ${outboxInsertFromCte('restored', 4)}
+            )
+            SELECT changed.*, EXISTS (SELECT 1 FROM restored) AS restored FROM changed;
+        `;
+        result = await db.query(query, [websiteId, actor, versionsParam(expectedVersions), ...outboxParams(restoreMessage)]);
+    } catch (error) {
+        log.error('Error ending dunning.', { websiteId, error });
+        throw new Error('Failed to record successful payment.', { cause: error });
+    }
+
+    if (result.rowCount === 0) {
+        const current = await getPlanState(websiteId);
+        if (!current) {
+            throw new NotFoundError('Website plan state not found.');
+        }
+        assertExpectedVersion(current, expectedVersions);
+        return { planState: current, ended: false, restored: false };
+    }
+
+    const { restored, ...planState } = result.rows[0];
+    log.info('Website left dunning after a successful payment.', { websiteId, restoreQueued: restored });
+    return { planState, ended: true, restored };
+}
+
+/**
+ * Marks a website as suspended for non-payment once its grace period has run out, and queues the
+ * suspend call to the main service.
+ * @param {string} websiteId
+ * @param {object} message - Outbox message for the main service.
+ * @returns {Promise<boolean>} True if the website was suspended by this call.
+ */
+async function suspendForNonPayment(websiteId, message) {
+    try {
+        const query = `
+            ${auditedMutationCtes({
+                beforeWhere: 'website_id = $1',
+                eventType: `'suspended_for_nonpayment'`,
+                actor: '$2',
+                mutation: `
+            UPDATE plan_states
+            SET suspended_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE website_id = $1 AND status = 'past_due' AND suspended_at IS NULL
+                AND grace_period_ends_at <= CURRENT_TIMESTAMP
+            RETURNING *`
+            })}
+            ${outboxInsertFromCte('changed', 3)};
+        `;
+        const result = await db.query(query, [websiteId, SCHEDULER_ACTOR, ...outboxParams(message)]);
+        return result.rowCount > 0;
+    } catch (error) {
+        log.error('Error suspending website.', { websiteId, error });
+        throw new Error('Failed to suspend website.', { cause: error });
+    }
+}
+
+export { startDunning, endDunning, suspendForNonPayment };
@@ -0,0 +1,91 @@
+// src/services/health.service.js
+// Readiness checks. Each check reports status 'ok' or 'degraded' with what it found; the service is
+// ready when every check is ok.
+import { checkPostgres } from '../config/db.js';
+import { describeSharedConfig } from '../config/sharedConfig.js';
+import { getSchedulerStatus } from './scheduler.js';
+import { getLastSuccessfulRunAt } from './schedulerRun.service.js';
+import { intFromEnv } from '../utils/env.js';
+
+const MS_PER_MINUTE = 60 * 1000;
+
+// Set once shutdown has started: the instance is draining and must get no new requests
+let shuttingDown = false;
+
+/**
+ * Makes readiness fail from now on, so load balancers stop routing to this instance while it drains.
+ */
+function markShuttingDown() {
+    shuttingDown = true;
+}
+
+// How long since the last successful full run (or since the scheduler started) before it counts as stale;
+// READINESS_SCHEDULER_MAX_AGE_MINUTES, default three scheduler intervals
+function getSchedulerMaxAgeMinutes(intervalMinutes) {
+    return intFromEnv('READINESS_SCHEDULER_MAX_AGE_MINUTES', intervalMinutes * 3);
+}
+
+async function checkDatabase() {
+    const { status, error, pool } = await checkPostgres();
+    return { status: status === 'connected' ? 'ok' : 'degraded', error, pool };
+}
+
+// Stale values are fine (an outage of the shared-variables service should not take every replica out of
+// rotation); only required variables still on their placeholder default, neither fetched nor restored,
+// make the service unready.
+function checkSharedConfig() {
+    const { variables, refresh } = describeSharedConfig();
+    const unconfirmed = variables
+        .filter(variable => variable.required && variable.source === 'default' && variable.fetchedAt === null)
+        .map(variable => variable.name);
+    const stale = variables.filter(variable => variable.stale).map(variable => variable.name);
+    return {
+        status: refresh.started && unconfirmed.length === 0 ? 'ok' : 'degraded',
+        started: refresh.started,
+        lastSuccessAt: refresh.lastSuccessAt,
+        unconfirmed,
+        stale
+    };
+}
+
+async function checkScheduler() {
+    const { started, startedAt, intervalMinutes, running } = getSchedulerStatus();
+    if (!started) {
+        return { status: 'degraded', error: 'Scheduler is not running.' };
+    }
+
+    let lastSuccessAt;
+    try {
+        lastSuccessAt = await getLastSuccessfulRunAt();
+    } catch (error) {
+        return { status: 'degraded', error: error.message };
+    }
+    const maxAgeMinutes = getSchedulerMaxAgeMinutes(intervalMinutes);
+    // A new process gets the same time to finish its first run
+    const since = Math.max(lastSuccessAt ? lastSuccessAt.getTime() : 0, startedAt.getTime());
+    const fresh = Date.now() - since <= maxAgeMinutes * MS_PER_MINUTE;
+    return {
+        status: fresh ? 'ok' : 'degraded',
+        lastSuccessAt: lastSuccessAt ? lastSuccessAt.toISOString() : null,
+        maxAgeMinutes,
+        running,
+        ...(!fresh && { error: `No successful scheduler run in the last ${maxAgeMinutes} minutes.` })
+    };
+}
+
+/**
+ * Runs the readiness checks: Postgres (and the pool), shared variables and scheduler freshness. Once
+ * shutdown has started the instance is never ready, whatever the checks say.
+ * @returns {Promise<{ready: boolean, shuttingDown: boolean, checks: {postgres: object, sharedConfig: object, scheduler: object}}>}
+ */
+async function checkReadiness() {
+    const [postgres, scheduler] = await Promise.all([checkDatabase(), checkScheduler()]);
+    const checks = { postgres, sharedConfig: checkSharedConfig(), scheduler };
+    return {
+        ready: !shuttingDown && Object.values(checks).every(check => check.status === 'ok'),
+        shuttingDown,
+        checks
+    };
+}
+
+export { checkReadiness, markShuttingDown };
@@ -0,0 +1,94 @@
+// src/services/idempotencyKey.service.js
+// Idempotency keys sent by callers on write endpoints and the responses stored for them (see
+// middleware/idempotency.js).
+import { db } from '../config/db.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('IdempotencyKeyService');
+
+/**
+ * Claims a key for a request about to run. A key is free when it was never used, when it has expired, or
+ * when the same request holds it but its lock ran out (the process handling it died).
+ * @param {object} options
+ * @param {string} options.owner - Actor of the caller's API key; keys of different callers never collide.
+ * @param {string} options.key
+ * @param {string} options.requestHash - Identifies the request (method, path and payload).
+ * @param {number} options.lockSeconds - How long the request may run before a retry may take the key over.
+ * @param {number} options.ttlSeconds - How long the key and its response are kept.
+ * @returns {Promise<object | null>} null if the key was claimed; otherwise the idempotency_keys row holding it.
+ */
+async function claimIdempotencyKey({ owner, key, requestHash, lockSeconds, ttlSeconds }) {
+    try {
+        const query = `
+            INSERT INTO idempotency_keys (owner, key, request_hash, locked_until, expires_at)
+            VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(secs => $4), CURRENT_TIMESTAMP + make_interval(secs => $5))
+            ON CONFLICT (owner, key) DO UPDATE
+            SET request_hash = EXCLUDED.request_hash, status_code = NULL, response_body = NULL, response_etag = NULL,
+                created_at = CURRENT_TIMESTAMP, locked_until = EXCLUDED.locked_until, expires_at = EXCLUDED.expires_at
+            WHERE idempotency_keys.expires_at <= CURRENT_TIMESTAMP
+                OR (idempotency_keys.status_code IS NULL AND idempotency_keys.locked_until <= CURRENT_TIMESTAMP
+                    AND idempotency_keys.request_hash = EXCLUDED.request_hash)
+            RETURNING key;
+        `;
+        const claimed = await db.query(query, [owner, key, requestHash, lockSeconds, ttlSeconds]);
+        if (claimed.rowCount > 0) {
+            return null;
+        }
+        const existing = await db.query(`SELECT * FROM idempotency_keys WHERE owner = $1 AND key = $2;`, [owner, key]);
+        // Deleted in between (expired): the caller retries on the next request
+        return existing.rows[0] || { owner, key, request_hash: requestHash, status_code: null };
+    } catch (error) {
+        log.error('Error claiming idempotency key.', { owner, error });
+        throw new Error('Failed to check the idempotency key.', { cause: error });
+    }
+}
+
+/**
+ * Stores the response of the request holding a key, to be replayed for retries.
+ * @param {string} owner
+ * @param {string} key
+ * @param {{statusCode: number, body: any, etag: string | null}} response
+ */
+async function completeIdempotencyKey(owner, key, { statusCode, body, etag }) {
+    try {
+        const query = `
+            UPDATE idempotency_keys
+            SET status_code = $3, response_body = $4::jsonb, response_etag = $5
+            WHERE owner = $1 AND key = $2 AND status_code IS NULL;
+        `;
+        await db.query(query, [owner, key, statusCode, JSON.stringify(body ?? null), etag]);
+    } catch (error) {
+        log.error('Error storing idempotent response.', { owner, error });
+        throw new Error('Failed to store the response for the idempotency key.', { cause: error });
+    }
+}
+
+/**
+ * Frees a key whose request failed without a result worth replaying, so a retry runs it again.
+ * @param {string} owner
+ * @param {string} key
+ */
+async function releaseIdempotencyKey(owner, key) {
+    try {
+        await db.query(`DELETE FROM idempotency_keys WHERE owner = $1 AND key = $2 AND status_code IS NULL;`, [owner, key]);
+    } catch (error) {
+        log.error('Error releasing idempotency key.', { owner, error });
+        throw new Error('Failed to release the idempotency key.', { cause: error });
+    }
+}
+
+/**
+ * Deletes expired keys and their stored responses.
+ * @returns {Promise<number>} How many were deleted.
+ */
+async function deleteExpiredIdempotencyKeys() {
+    try {
+        const result = await db.query(`DELETE FROM idempotency_keys WHERE expires_at <= CURRENT_TIMESTAMP;`);
+        return result.rowCount;
+    } catch (error) {
+        log.error('Error deleting expired idempotency keys.', { error });
+        throw new Error('Failed to delete expired idempotency keys.', { cause: error });
+    }
+}
+
+export { claimIdempotencyKey, completeIdempotencyKey, releaseIdempotencyKey, deleteExpiredIdempotencyKeys };
@@ -0,0 +1,170 @@
+// src/services/notificationLadder.js
+import { defineSharedVariable, getSharedVariable } from '../config/sharedConfig.js';
+import { DEFAULT_TIMEZONE, addDays, atTimeOfDay } from '../utils/dates.js';
+import { string, any } from '../utils/schema.js';
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+const OFFSET_PATTERN = /^(\d+)([dh])$/;
+const SEND_TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Local time of day at which day-based warnings are sent, unless the NOTIFICATION_SEND_TIME shared variable is set
+const DEFAULT_SEND_TIME = '09:00';
+
+// Used unless the NOTIFICATION_LADDER shared variable is set.
+// Trial and billing warnings match what the scheduler historically sent (5, 3 and 1 days before each event);
+// payment_overdue warnings are counted back from the end of the grace period (the suspension).
+const DEFAULT_NOTIFICATION_LADDER = {
+    free_trial_end: ['5d', '3d', '1d'],
+    billing: ['5d', '3d', '1d'],
+    payment_overdue: ['7d', '3d', '1d']
+};
+
+/**
+ * Parses an offset such as '14d' (days before the event) or '6h' (hours before the event).
+ * @param {string} key
+ * @returns {{key: string, unit: 'd' | 'h', amount: number}}
+ */
+function parseOffset(key) {
+    const match = OFFSET_PATTERN.exec(String(key).trim());
+    if (!match) {
+        throw new Error(`Invalid notification offset '${key}'. Expected e.g. '7d' or '12h'.`);
+    }
+    return { key: `${match[1]}${match[2]}`, unit: match[2], amount: parseInt(match[1], 10) };
+}
+
+/**
+ * Validates a ladder definition ({ eventType: ['14d', '7d', ...] }) and parses its offsets.
+ * @param {object | string} raw - Ladder object, or its JSON representation.
+ * @returns {Object<string, Array<{key: string, unit: string, amount: number}>>}
+ */
+function parseNotificationLadder(raw) {
+    const ladder = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    if (!ladder || typeof ladder !== 'object' || Array.isArray(ladder)) {
+        throw new Error('Notification ladder must be an object keyed by event type.');
+    }
+
+    const parsed = {};
+    for (const [eventType, offsets] of Object.entries(ladder)) {
+        if (!Array.isArray(offsets)) {
+            throw new Error(`Notification ladder for '${eventType}' must be an array of offsets.`);
+        }
+        parsed[eventType] = offsets.map(parseOffset);
+    }
+    return parsed;
+}
+
+/**
+ * Parses a time of day such as '09:30' (24-hour clock).
+ * @param {string} value
+ * @returns {{hour: number, minute: number}}
+ */
+function parseSendTime(value) {
+    const match = SEND_TIME_PATTERN.exec(String(value).trim());
+    if (!match) {
+        throw new Error(`Invalid send time '${value}'. Expected HH:MM, e.g. '09:00'.`);
+    }
+    return { hour: parseInt(match[1], 10), minute: parseInt(match[2], 10) };
+}
+
+defineSharedVariable({
+    name: 'NOTIFICATION_SEND_TIME',
+    description: 'Local time of day (HH:MM) at which day-based warnings are sent.',
+    schema: string({ trim: true, pattern: SEND_TIME_PATTERN, patternMessage: "Expected HH:MM, e.g. '09:00'." }),
+    defaultValue: DEFAULT_SEND_TIME
+});
+defineSharedVariable({
+    name: 'NOTIFICATION_LADDER',
+    description: "Warning offsets per event type for plans without their own, e.g. { \"billing\": [\"7d\", \"1d\"] }.",
+    // Stored as sent (an object, or its JSON representation) once it is known to parse
+    schema: any().transform((raw) => {
+        parseNotificationLadder(raw);
+        return typeof raw === 'string' ? JSON.parse(raw) : raw;
+    }),
+    defaultValue: DEFAULT_NOTIFICATION_LADDER
+});
+
+/**
+ * The local time of day for day-based warnings (the NOTIFICATION_SEND_TIME shared variable).
+ * @returns {{hour: number, minute: number}}
+ */
+function loadNotificationSendTime() {
+    return parseSendTime(getSharedVariable('NOTIFICATION_SEND_TIME'));
+}
+
+/**
+ * The notification ladder (the NOTIFICATION_LADDER shared variable). Event types missing from the shared
+ * variable keep their default offsets.
+ * @returns {Object<string, Array<object>>}
+ */
+function loadNotificationLadder() {
+    return {
+        ...parseNotificationLadder(DEFAULT_NOTIFICATION_LADDER),
+        ...parseNotificationLadder(getSharedVariable('NOTIFICATION_LADDER'))
+    };
+}
+
+// Time at which an offset's notification becomes due (ms since epoch). Day offsets fire at the send time
+// on that calendar day in the website's timezone; hour offsets are exact, counted back from the start of the event day.
+function offsetTriggerTime(offset, eventDay, { timeZone = DEFAULT_TIMEZONE, sendTime = null } = {}) {
+    if (offset.unit === 'h') {
+        return eventDay.getTime() - offset.amount * MS_PER_HOUR;
+    }
+    const day = addDays(eventDay, -offset.amount, timeZone);
+    return (sendTime ? atTimeOfDay(day, sendTime, timeZone) : day).getTime();
+}
+
+/**
+ * Picks the ladder offset that is currently due for an event, if any.
+ * An offset is due once its trigger time (event day minus the offset) has been reached.
+ * When several are due (e.g. the scheduler was down, or the site was created late), only the
+ * closest one to the event is returned, so customers never get a stale '14 days left' warning.
+ * @param {Array<{key: string, unit: string, amount: number}>} offsets
+ * @param {Date} eventDay - Start of the day the event happens on, in the website's timezone.
+ * @param {Date} now
+ * @param {{timeZone?: string, sendTime?: {hour: number, minute: number}}} [schedule] - Website timezone and send time.
+ * @returns {{key: string, unit: string, amount: number} | null}
+ */
+function selectDueOffset(offsets, eventDay, now, schedule = {}) {
+    let selected = null;
+    let selectedTriggerAt = null;
+
+    for (const offset of offsets || []) {
+        const triggerAt = offsetTriggerTime(offset, eventDay, schedule);
+        if (triggerAt <= now.getTime() && (selectedTriggerAt === null || triggerAt > selectedTriggerAt)) {
+            selected = offset;
+            selectedTriggerAt = triggerAt;
+        }
+    }
+    return selected;
+}
+
+/**
+ * Returns when the next not-yet-due offset of an event becomes due, so the scheduler knows when to look again.
+ * @param {Array<{key: string, unit: string, amount: number}>} offsets
+ * @param {Date} eventDay - Start of the day the event happens on, in the website's timezone.
+ * @param {Date} now
+ * @param {{timeZone?: string, sendTime?: {hour: number, minute: number}}} [schedule] - Website timezone and send time.
+ * @returns {Date | null} null when every offset is already due.
+ */
+function nextOffsetTriggerAt(offsets, eventDay, now, schedule = {}) {
+    let next = null;
+    for (const offset of offsets || []) {
+        const triggerAt = offsetTriggerTime(offset, eventDay, schedule);
+        if (triggerAt > now.getTime() && (next === null || triggerAt < next)) {
+            next = triggerAt;
+        }
+    }
+    return next === null ? null : new Date(next);
+}
+
+export {
+    DEFAULT_NOTIFICATION_LADDER,
+    DEFAULT_SEND_TIME,
+    parseOffset,
+    parseNotificationLadder,
+    parseSendTime,
+    loadNotificationLadder,
+    loadNotificationSendTime,
+    selectDueOffset,
+    nextOffsetTriggerAt
+};
@@ -0,0 +1,216 @@
+// src/services/outbox.service.js
+import { db } from '../config/db.js';
+import { intFromEnv } from '../utils/env.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('OutboxService');
+
+const OUTBOX_MAX_ATTEMPTS = intFromEnv('OUTBOX_MAX_ATTEMPTS', 8);
+const OUTBOX_BACKOFF_BASE_SECONDS = intFromEnv('OUTBOX_BACKOFF_BASE_SECONDS', 30);
+const OUTBOX_BACKOFF_MAX_SECONDS = intFromEnv('OUTBOX_BACKOFF_MAX_SECONDS', 3600);
+
+/**
+ * Builds the INSERT that writes one outbox message per row returned by a preceding CTE.
+ * Callers put their state change in the CTE (RETURNING website_id), so the change and the
+ * message are committed atomically by a single statement.
+ * Each row is one event: besides the main backend message, it is queued once for every active webhook
+ * subscription to the event type, and all of these share the event's event_id.
+ * @param {string} cteName - Name of the CTE whose rows produce messages.
+ * @param {number} firstParamIndex - Index of the first placeholder used for the message values.
+ * @returns {string}
+ */
+function outboxInsertFromCte(cteName, firstParamIndex) {
+    const p = (offset) => `$${firstParamIndex + offset}`;
+    // The event ids are materialized so each event gets exactly one, however the join is planned
+    return `
+        INSERT INTO outbox_messages (event_type, website_id, method, path, payload, max_attempts, event_id, subscription_id)
+        WITH event AS MATERIALIZED (
+            SELECT website_id, gen_random_uuid() AS event_id FROM ${cteName}
+        )
+        SELECT ${p(0)}::text, event.website_id, ${p(1)}, ${p(2)}, ${p(3)}::jsonb, ${p(4)}, event.event_id, subscriber.id
+        FROM event
+        CROSS JOIN (
+            SELECT NULL::bigint AS id
+            UNION ALL
+            SELECT id FROM webhook_subscriptions WHERE active AND ${p(0)}::text = ANY (event_types)
+        ) AS subscriber
+        RETURNING id
+    `;
+}
+
+/**
+ * Parameter values matching outboxInsertFromCte().
+ * @param {{eventType: string, method: string, path: string, payload?: object}} message
+ * @returns {Array<any>}
+ */
+function outboxParams(message) {
+    return [message.eventType, message.method, message.path, JSON.stringify(message.payload || {}), OUTBOX_MAX_ATTEMPTS];
+}
+
+/**
+ * Claims due pending messages for delivery. Claimed rows are leased by pushing next_attempt_at
+ * forward, so other dispatchers (in this or another replica) skip them while they are in flight.
+ * Webhook deliveries come with their subscription's current url, secret and active flag.
+ * @param {number} limit
+ * @param {number} leaseSeconds
+ * @returns {Promise<Array<any>>}
+ */
+async function claimDueMessages(limit, leaseSeconds) {
+    try {
+        const query = `
+            WITH claimed AS (
+                UPDATE outbox_messages
+                SET next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2), updated_at = CURRENT_TIMESTAMP
+                WHERE id IN (
+                    SELECT id FROM outbox_messages
+                    WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+                    ORDER BY next_attempt_at
+                    LIMIT $1
+                    FOR UPDATE SKIP LOCKED
+                )
+                RETURNING *
+            )
+            SELECT claimed.*, subscriber.url AS webhook_url, subscriber.secret AS webhook_secret,
+                subscriber.active AS webhook_active
+            FROM claimed
+            LEFT JOIN webhook_subscriptions subscriber ON subscriber.id = claimed.subscription_id;
+        `;
+        const result = await db.query(query, [limit, leaseSeconds]);
+        return result.rows.sort((a, b) => Number(a.id) - Number(b.id));
+    } catch (error) {
+        log.error('Error claiming due outbox messages.', { error });
+        throw new Error('Failed to claim outbox messages.', { cause: error });
+    }
+}
+
+/**
+ * Marks a message as delivered.
+ * @param {string|number} id
+ */
+async function markMessageDelivered(id) {
+    try {
+        const query = `
+            UPDATE outbox_messages
+            SET status = 'delivered', attempts = attempts + 1, last_error = NULL,
+                delivered_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1;
+        `;
+        await db.query(query, [id]);
+    } catch (error) {
+        log.error('Error marking outbox message as delivered.', { messageId: id, error });
+        throw new Error('Failed to update outbox message.', { cause: error });
+    }
+}
+
+/**
+ * Records a failed delivery attempt. The message is rescheduled with exponential backoff,
+ * or dead-lettered once it runs out of attempts (or immediately if the failure is permanent).
+ * @param {object} message - The claimed outbox row.
+ * @param {string} errorMessage
+ * @param {boolean} [permanent=false]
+ * @returns {Promise<'pending' | 'dead'>} The message's new status.
+ */
+async function markMessageFailed(message, errorMessage, permanent = false) {
+    const attempts = message.attempts + 1;
+    const status = permanent || attempts >= message.max_attempts ? 'dead' : 'pending';
+    // 30s, 60s, 120s, ... capped, with up to 10% jitter so retries from an outage don't arrive in lockstep
+    const backoffSeconds = Math.min(OUTBOX_BACKOFF_BASE_SECONDS * 2 ** (attempts - 1), OUTBOX_BACKOFF_MAX_SECONDS);
+    const delaySeconds = Math.round(backoffSeconds * (1 + Math.random() * 0.1));
+
+    try {
+        const query = `
+            UPDATE outbox_messages
+            SET status = $2, attempts = $3, last_error = $4,
+                next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $5), updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1;
+        `;
+        await db.query(query, [message.id, status, attempts, errorMessage, delaySeconds]);
+        return status;
+    } catch (error) {
+        log.error('Error recording failed attempt for outbox message.', { messageId: message.id, error });
+        throw new Error('Failed to update outbox message.', { cause: error });
+    }
+}
+
+/**
+ * Lists outbox messages, newest first, with keyset pagination on id.
+ * @param {object} options
+ * @param {string} [options.status] - Filter by status (e.g. 'dead').
+ * @param {number} [options.limit=50]
+ * @param {string|number} [options.beforeId] - Only return messages with a smaller id.
+ * @returns {Promise<Array<any>>}
+ */
+async function listOutboxMessages({ status, limit = 50, beforeId } = {}) {
+    try {
+        const query = `
+            SELECT * FROM outbox_messages
+            WHERE ($1::text IS NULL OR status = $1) AND ($2::bigint IS NULL OR id < $2)
+            ORDER BY id DESC
+            LIMIT $3;
+        `;
+        const result = await db.query(query, [status || null, beforeId || null, limit]);
+        return result.rows;
+    } catch (error) {
+        log.error('Error listing outbox messages.', { error });
+        throw new Error('Failed to list outbox messages.', { cause: error });
+    }
+}
+
+/**
+ * Moves a dead-lettered message back to pending with a fresh attempt budget.
+ * @param {string|number} id
+ * @returns {Promise<any | null>} The updated message, or null if no dead-lettered message has that id.
+ */
+async function retryDeadMessage(id) {
+    try {
+        const query = `
+            UPDATE outbox_messages
+            SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'dead'
+            RETURNING *;
+        `;
+        const result = await db.query(query, [id]);
+        if (result.rowCount > 0) {
+            log.info('Dead-lettered outbox message requeued for delivery.', { messageId: id });
+        }
+        return result.rows[0] || null;
+    } catch (error) {
+        log.error('Error retrying outbox message.', { messageId: id, error });
+        throw new Error('Failed to retry outbox message.', { cause: error });
+    }
+}
+
+/**
+ * Discards a dead-lettered message so it is never delivered.
+ * @param {string|number} id
+ * @returns {Promise<any | null>} The updated message, or null if no dead-lettered message has that id.
+ */
+async function discardDeadMessage(id) {
+    try {
+        const query = `
+            UPDATE outbox_messages
+            SET status = 'discarded', updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1 AND status = 'dead'
+            RETURNING *;
+        `;
+        const result = await db.query(query, [id]);
+        if (result.rowCount > 0) {
+            log.info('Dead-lettered outbox message discarded.', { messageId: id });
+        }
+        return result.rows[0] || null;
+    } catch (error) {
+        log.error('Error discarding outbox message.', { messageId: id, error });
+        throw new Error('Failed to discard outbox message.', { cause: error });
+    }
+}
+
+export {
+    outboxInsertFromCte,
+    outboxParams,
+    claimDueMessages,
+    markMessageDelivered,
+    markMessageFailed,
+    listOutboxMessages,
+    retryDeadMessage,
+    discardDeadMessage
+};
@@ -0,0 +1,180 @@
+// src/services/outboxDispatcher.js
+import axios from 'axios';
+import { mainBackendUrl } from '../config/services.js';
+import { claimDueMessages, markMessageDelivered, markMessageFailed } from './outbox.service.js';
+import { buildWebhookDelivery } from './webhook.service.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { intFromEnv } from '../utils/env.js';
+import { counter, histogram } from '../utils/metrics.js';
+import { createLogger, runWithLogContext } from '../utils/logger.js';
+
+const log = createLogger('OutboxDispatcher');
+
+const DISPATCH_BATCH_SIZE = 50;
+const DISPATCH_LEASE_SECONDS = 120;
+const DELIVERY_TIMEOUT_MS = 10000;
+// Maximum number of requests in flight (main backend and webhooks together)
+const DISPATCH_CONCURRENCY = intFromEnv('OUTBOX_DISPATCH_CONCURRENCY', 5);
+
+// The dispatch run in progress, if any
+let currentDispatch = null;
+// Set by stopOutboxDispatcher(): no new runs, and a run in progress stops after its in-flight deliveries
+let stopRequested = false;
+let pollTimer = null;
+
+// Messages to the main backend only; webhook copies of the same events are not counted
+const deliveriesTotal = counter({
+    name: 'plan_controller_main_backend_deliveries_total',
+    help: 'Deliveries of messages to the main backend by event type, warning type and offset; outcome is sent or failed (each failed attempt).',
+    labelNames: ['event_type', 'type', 'offset', 'outcome']
+});
+const mainBackendRequestDuration = histogram({
+    name: 'plan_controller_main_backend_request_duration_seconds',
+    help: 'Latency of calls to the main backend by event type and HTTP status code (none if there was no response).',
+    labelNames: ['event_type', 'status_code'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+});
+
+// Records a main backend delivery attempt; payment warnings carry their type and offset in the payload
+function recordMainBackendDelivery(message, outcome, statusCode, endTimer) {
+    endTimer({ status_code: statusCode ?? 'none' });
+    deliveriesTotal.inc({
+        event_type: message.event_type,
+        type: message.payload?.type,
+        offset: message.payload?.offset,
+        outcome
+    });
+}
+
+// Headers the main backend expects for each message type: the free-trial-ended downgrade endpoint
+// authenticates the plan controller's key, the other endpoints the main-service key
+function buildHeaders(eventType) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (eventType === 'free_trial_ended') {
+        headers['x-plan-controller-api-key'] = process.env.PLAN_CONTROLLER_API_KEY;
+    } else {
+        headers['x-main-service-api-key'] = process.env.MAIN_SERVICE_API_KEY;
+    }
+    return headers;
+}
+
+// 4xx responses (other than timeouts and rate limiting) will not succeed on retry
+function isPermanentFailure(error) {
+    const status = error.response?.status;
+    return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+// Where and how a message is sent: webhook deliveries go to the subscription's url as a signed envelope,
+// everything else to the main backend in the form it expects
+function buildRequest(message) {
+    if (message.subscription_id) {
+        const { body, headers } = buildWebhookDelivery(message);
+        return { method: 'POST', url: message.webhook_url, data: body, headers };
+    }
+    return {
+        method: message.method,
+        url: `${mainBackendUrl}${message.path}`,
+        data: message.payload,
+        headers: buildHeaders(message.event_type)
+    };
+}
+
+function describeTarget(message) {
+    return message.subscription_id ? `webhook ${message.subscription_id}` : 'main backend';
+}
+
+/**
+ * Delivers one outbox message and records the outcome.
+ * @param {object} message - Claimed outbox row.
+ */
+async function deliverMessage(message) {
+    if (message.subscription_id && !message.webhook_active) {
+        await markMessageFailed(message, 'Webhook subscription is disabled.', true);
+        return;
+    }
+    if (!message.subscription_id && !mainBackendUrl) {
+        await markMessageFailed(message, 'Main backend URL not configured.');
+        return;
+    }
+
+    const endTimer = mainBackendRequestDuration.startTimer({ event_type: message.event_type });
+    let response = null;
+    try {
+        response = await axios({ ...buildRequest(message), timeout: DELIVERY_TIMEOUT_MS });
+        if (!message.subscription_id) {
+            recordMainBackendDelivery(message, 'sent', response.status, endTimer);
+        }
+        await markMessageDelivered(message.id);
+        log.info('Message delivered.', { target: describeTarget(message) });
+    } catch (error) {
+        // Not when the call succeeded and only recording the delivery failed
+        if (!message.subscription_id && !response) {
+            recordMainBackendDelivery(message, 'failed', error.response?.status, endTimer);
+        }
+        const detail = error.response ? `HTTP ${error.response.status}: ${JSON.stringify(error.response.data)}` : error.message;
+        const status = await markMessageFailed(message, detail, isPermanentFailure(error));
+        if (status === 'dead') {
+            log.error('Message dead-lettered.', { target: describeTarget(message), attempts: message.attempts + 1, error: detail });
+        } else {
+            log.warn('Delivery failed; will retry.', { target: describeTarget(message), attempts: message.attempts + 1, error: detail });
+        }
+    }
+}
+
+async function dispatchDueMessages() {
+    try {
+        let batch;
+        do {
+            batch = await claimDueMessages(DISPATCH_BATCH_SIZE, DISPATCH_LEASE_SECONDS);
+            await mapWithConcurrency(batch, DISPATCH_CONCURRENCY, (message) => {
+                // Left leased; delivered once the lease runs out (by another replica, or after the restart)
+                if (stopRequested) return null;
+                return runWithLogContext(
+                    { messageId: message.id, websiteId: message.website_id, eventType: message.event_type },
+                    () => deliverMessage(message)
+                );
+            });
+        } while (batch.length === DISPATCH_BATCH_SIZE && !stopRequested);
+    } catch (error) {
+        log.error('Dispatch run failed.', { error: error.message });
+    }
+}
+
+/**
+ * Delivers all currently due outbox messages, batch by batch, with a bounded number of requests in flight.
+ * While a run is in progress, calls return that run instead of starting another.
+ * @returns {Promise<void>} Resolves when the run is over; never rejects.
+ */
+function dispatchOutbox() {
+    if (!currentDispatch && !stopRequested) {
+        currentDispatch = dispatchDueMessages().finally(() => {
+            currentDispatch = null;
+        });
+    }
+    return currentDispatch || Promise.resolve();
+}
+
+function startOutboxDispatcher() {
+    const intervalSeconds = parseInt(process.env.OUTBOX_POLL_INTERVAL_SECONDS || '15', 10);
+    if (isNaN(intervalSeconds) || intervalSeconds <= 0) {
+        log.error('Invalid OUTBOX_POLL_INTERVAL_SECONDS. Outbox dispatcher will not start.');
+        return;
+    }
+
+    dispatchOutbox();
+    pollTimer = setInterval(dispatchOutbox, intervalSeconds * 1000);
+    log.info('Polling outbox.', { intervalSeconds });
+}
+
+/**
+ * Stops polling and lets a dispatch run in progress finish the deliveries in flight; messages not yet
+ * sent stay in the outbox.
+ * @returns {Promise<void>} Resolves once no delivery is in flight.
+ */
+async function stopOutboxDispatcher() {
+    stopRequested = true;
+    clearInterval(pollTimer);
+    await currentDispatch;
+}
+
+export { startOutboxDispatcher, stopOutboxDispatcher, dispatchOutbox };
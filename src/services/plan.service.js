@@ -0,0 +1,177 @@
+// src/services/plan.service.js
+import { db } from '../config/db.js';
+import { parseNotificationLadder } from './notificationLadder.js';
+import { ConflictError } from '../utils/errors.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('PlanService');
+
+// Writable plan fields and their columns
+const PLAN_COLUMNS = {
+    name: 'name',
+    trialDays: 'trial_days',
+    billingInterval: 'billing_interval',
+    gracePeriodDays: 'grace_period_days',
+    notifications: 'notifications'
+};
+
+const BILLING_INTERVALS = ['month', 'year'];
+
+const UNIQUE_VIOLATION = '23505';
+const FOREIGN_KEY_VIOLATION = '23503';
+
+function columnValue(field, value) {
+    return field === 'notifications' && value !== null ? JSON.stringify(value) : value;
+}
+
+/**
+ * Lists all plans in the catalog.
+ * @returns {Promise<Array<any>>}
+ */
+async function listPlans() {
+    try {
+        const result = await db.query(`SELECT * FROM plans ORDER BY plan_id;`);
+        return result.rows;
+    } catch (error) {
+        log.error('Error listing plans.', { error });
+        throw new Error('Failed to list plans.', { cause: error });
+    }
+}
+
+/**
+ * Retrieves a single plan.
+ * @param {string} planId
+ * @returns {Promise<any | null>} The plan, or null if not found.
+ */
+async function getPlan(planId) {
+    try {
+        const result = await db.query(`SELECT * FROM plans WHERE plan_id = $1;`, [planId]);
+        return result.rows[0] || null;
+    } catch (error) {
+        log.error('Error getting plan.', { planId, error });
+        throw new Error('Failed to retrieve plan.', { cause: error });
+    }
+}
+
+/**
+ * Adds a plan to the catalog.
+ * @param {string} planId
+ * @param {object} fields - Values keyed by PLAN_COLUMNS; omitted fields take the column defaults.
+ * @returns {Promise<any>} The created plan.
+ * @throws {ConflictError} If a plan with this id already exists.
+ */
+async function createPlan(planId, fields) {
+    const keys = Object.keys(fields);
+    const columns = ['plan_id', ...keys.map(key => PLAN_COLUMNS[key])];
+    const values = [planId, ...keys.map(key => columnValue(key, fields[key]))];
+
+    try {
+        const query = `
+            INSERT INTO plans (${columns.join(', ')})
+            VALUES (${values.map((value, index) => `$${index + 1}`).join(', ')})
+            RETURNING *;
+        `;
+        const result = await db.query(query, values);
+        log.info('Created plan.', { planId });
+        return result.rows[0];
+    } catch (error) {
+        if (error.code === UNIQUE_VIOLATION) {
+            throw new ConflictError(`Plan '${planId}' already exists.`);
+        }
+        log.error('Error creating plan.', { planId, error });
+        throw new Error('Failed to create plan.', { cause: error });
+    }
+}
+
+/**
+ * Updates some fields of a plan. Websites on the plan are rechecked by the next scheduler run,
+ * since their trial end or notification ladder may have moved.
+ * @param {string} planId
+ * @param {object} fields - Values keyed by PLAN_COLUMNS.
+ * @returns {Promise<any | null>} The updated plan, or null if not found.
+ */
+async function updatePlan(planId, fields) {
+    const keys = Object.keys(fields);
+    const assignments = keys.map((key, index) => `${PLAN_COLUMNS[key]} = $${index + 2}`);
+
+    try {
+        const query = `
+            WITH updated AS (
+                UPDATE plans
+                SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+                WHERE plan_id = $1
+                RETURNING *
+            ), recheck AS (
+                UPDATE plan_states SET next_check_at = CURRENT_TIMESTAMP
+                WHERE plan_id IN (SELECT plan_id FROM updated) AND status <> 'canceled'
+            )
+            SELECT * FROM updated;
+        `;
+        const result = await db.query(query, [planId, ...keys.map(key => columnValue(key, fields[key]))]);
+        if (result.rowCount > 0) {
+            log.info('Updated plan.', { planId });
+        }
+        return result.rows[0] || null;
+    } catch (error) {
+        log.error('Error updating plan.', { planId, error });
+        throw new Error('Failed to update plan.', { cause: error });
+    }
+}
+
+/**
+ * Removes a plan from the catalog.
+ * @param {string} planId
+ * @returns {Promise<any | null>} The deleted plan, or null if not found.
+ * @throws {ConflictError} If websites are still on the plan.
+ */
+async function deletePlan(planId) {
+    try {
+        const result = await db.query(`DELETE FROM plans WHERE plan_id = $1 RETURNING *;`, [planId]);
+        if (result.rowCount > 0) {
+            log.info('Deleted plan.', { planId });
+        }
+        return result.rows[0] || null;
+    } catch (error) {
+        if (error.code === FOREIGN_KEY_VIOLATION) {
+            throw new ConflictError(`Plan '${planId}' is still assigned to websites.`);
+        }
+        log.error('Error deleting plan.', { planId, error });
+        throw new Error('Failed to delete plan.', { cause: error });
+    }
+}
+
+/**
+ * Resolves the settings the scheduler uses for a plan, falling back to the shared defaults
+ * for anything the plan does not define (or for websites whose plan is missing from the catalog).
+ * @param {object | null | undefined} plan - plans row.
+ * @param {{trialDays: number, ladder: object}} defaults - FREE_TRIAL_DURATION_DAYS and the parsed NOTIFICATION_LADDER.
+ * @returns {{trialDays: number, ladder: object, billingInterval: string, gracePeriodDays: number}}
+ */
+function resolvePlanSettings(plan, defaults) {
+    let ladder = defaults.ladder;
+    if (plan?.notifications) {
+        try {
+            ladder = { ...defaults.ladder, ...parseNotificationLadder(plan.notifications) };
+        } catch (error) {
+            log.error('Ignoring invalid notifications of plan.', { planId: plan.plan_id, error: error.message });
+        }
+    }
+
+    return {
+        trialDays: plan?.trial_days ?? defaults.trialDays,
+        ladder,
+        billingInterval: plan?.billing_interval ?? 'month',
+        gracePeriodDays: plan?.grace_period_days ?? 0
+    };
+}
+
+export {
+    PLAN_COLUMNS,
+    BILLING_INTERVALS,
+    listPlans,
+    getPlan,
+    createPlan,
+    updatePlan,
+    deletePlan,
+    resolvePlanSettings
+};
@@ -0,0 +1,178 @@
+// src/services/planLifecycle.service.js
+import { db } from '../config/db.js';
+import { getPlanState, versionMatches, versionsParam, assertExpectedVersion } from './planState.service.js';
+import { SCHEDULER_ACTOR, auditedMutationCtes } from './planStateEvent.service.js';
+import { NotFoundError, ConflictError, InvalidTransitionError } from '../utils/errors.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('PlanLifecycleService');
+
+const PLAN_STATUSES = ['trialing', 'active', 'past_due', 'paused', 'canceled'];
+
+// Allowed status transitions. 'canceled' is terminal.
+const ALLOWED_TRANSITIONS = {
+    trialing: ['active', 'canceled'],
+    active: ['past_due', 'paused', 'canceled'],
+    past_due: ['active', 'canceled'],
+    paused: ['active', 'canceled'],
+    canceled: []
+};
+
+/**
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @returns {boolean}
+ */
+function canTransition(fromStatus, toStatus) {
+    return (ALLOWED_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * Moves a plan state to a new status, provided its current status is one of `fromStatuses`.
+ * The check and the update happen in one conditional UPDATE, so concurrent transitions cannot both win.
+ * @param {string} websiteId
+ * @param {string} toStatus
+ * @param {Array<string>} fromStatuses - Statuses this particular transition may start from.
+ * @param {string} actor - Who made the change, recorded in the audit log.
+ * @param {object} [extraColumns] - Additional columns to set, e.g. { resume_at: date }.
+ * @param {Array<number> | '*' | null} [expectedVersions] - From If-Match: only change the website if it has one of these versions.
+ * @returns {Promise<any>} The updated plan state record.
+ * @throws {NotFoundError | PreconditionFailedError | InvalidTransitionError}
+ */
+async function transitionPlanStatus(websiteId, toStatus, fromStatuses, actor, extraColumns = {}, expectedVersions = null) {
+    const allowedFrom = fromStatuses.filter(status => canTransition(status, toStatus));
+    const extraKeys = Object.keys(extraColumns);
+    const extraClauses = extraKeys.map((key, index) => `, ${key} = $${index + 6}`).join('');
+
+    let result;
+    try {
+        const query = `
+            ${auditedMutationCtes({
+                beforeWhere: 'website_id = $1',
+                eventType: `'status_changed'`,
+                actor: '$4',
+                mutation: `
+            UPDATE plan_states
+            SET status = $2, status_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP${extraClauses}
+            WHERE website_id = $1 AND status = ANY($3) AND ${versionMatches('$5')}
+            RETURNING *`
+            })}
+            SELECT * FROM changed;
+        `;
+        result = await db.query(query, [websiteId, toStatus, allowedFrom, actor, versionsParam(expectedVersions), ...Object.values(extraColumns)]);
+    } catch (error) {
+        log.error('Error transitioning website.', { websiteId, toStatus, error });
+        throw new Error('Failed to update plan status.', { cause: error });
+    }
+
+    if (result.rowCount === 0) {
+        const current = await getPlanState(websiteId);
+        if (!current) {
+            throw new NotFoundError('Website plan state not found.');
+        }
+        assertExpectedVersion(current, expectedVersions);
+        throw new InvalidTransitionError(current.status, toStatus);
+    }
+
+    log.info('Website transitioned.', { websiteId, status: toStatus });
+    return result.rows[0];
+}
+
+/**
+ * Schedules a cancellation for the end of the current billing period.
+ * The scheduler performs the transition to 'canceled' once cancel_at has passed.
+ * @param {string} websiteId
+ * @param {string} actor - Who made the change, recorded in the audit log.
+ * @param {Array<number> | '*' | null} [expectedVersions] - From If-Match: only change the website if it has one of these versions.
+ * @returns {Promise<any>} The updated plan state record.
+ * @throws {NotFoundError | PreconditionFailedError | InvalidTransitionError | ConflictError}
+ */
+async function scheduleCancellation(websiteId, actor, expectedVersions = null) {
+    let result;
+    try {
+        const query = `
+            ${auditedMutationCtes({
+                beforeWhere: 'website_id = $1',
+                eventType: `'cancellation_scheduled'`,
+                actor: '$2',
+                mutation: `
+            UPDATE plan_states
+            SET cancel_at = next_billing_date, updated_at = CURRENT_TIMESTAMP
+            WHERE website_id = $1 AND status <> 'canceled' AND next_billing_date IS NOT NULL AND ${versionMatches('$3')}
+            RETURNING *`
+            })}
+            SELECT * FROM changed;
+        `;
+        result = await db.query(query, [websiteId, actor, versionsParam(expectedVersions)]);
+    } catch (error) {
+        log.error('Error scheduling cancellation.', { websiteId, error });
+        throw new Error('Failed to schedule cancellation.', { cause: error });
+    }
+
+    if (result.rowCount === 0) {
+        const current = await getPlanState(websiteId);
+        if (!current) {
+            throw new NotFoundError('Website plan state not found.');
+        }
+        assertExpectedVersion(current, expectedVersions);
+        if (current.status === 'canceled') {
+            throw new InvalidTransitionError(current.status, 'canceled');
+        }
+        throw new ConflictError('Cannot cancel at period end: website has no next billing date.');
+    }
+
+    log.info('Website scheduled to cancel.', { websiteId, cancelAt: result.rows[0].cancel_at.toISOString() });
+    return result.rows[0];
+}
+
+/**
+ * Applies the time-based transitions that are due: paused plans whose resume_at has passed become
+ * active again, and plans whose cancel_at has passed become canceled.
+ * @param {Date} [asOf] - The scheduler run's time.
+ * @param {Array<string> | null} [websiteIds] - Limits the transitions to these websites (scoped runs).
+ * @returns {Promise<{resumed: Array<string>, canceled: Array<string>}>} Affected website ids.
+ */
+async function applyScheduledTransitions(asOf = new Date(), websiteIds = null) {
+    try {
+        const scope = `($3::varchar[] IS NULL OR website_id = ANY($3::varchar[]))`;
+        const resumeCondition = `status = 'paused' AND resume_at <= $2 AND ${scope}`;
+        const resumed = await db.query(`
+            ${auditedMutationCtes({
+                beforeWhere: resumeCondition,
+                eventType: `'status_changed'`,
+                actor: '$1',
+                mutation: `
+            UPDATE plan_states
+            SET status = 'active', resume_at = NULL, status_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE ${resumeCondition}
+            RETURNING *`
+            })}
+            SELECT website_id FROM changed;
+        `, [SCHEDULER_ACTOR, asOf, websiteIds]);
+
+        const cancelCondition = `status <> 'canceled' AND cancel_at <= $2 AND ${scope}`;
+        const canceled = await db.query(`
+            ${auditedMutationCtes({
+                beforeWhere: cancelCondition,
+                eventType: `'status_changed'`,
+                actor: '$1',
+                mutation: `
+            UPDATE plan_states
+            SET status = 'canceled', canceled_at = CURRENT_TIMESTAMP, cancel_at = NULL, resume_at = NULL,
+                status_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE ${cancelCondition}
+            RETURNING *`
+            })}
+            SELECT website_id FROM changed;
+        `, [SCHEDULER_ACTOR, asOf, websiteIds]);
+        return {
+            resumed: resumed.rows.map(row => row.website_id),
+            canceled: canceled.rows.map(row => row.website_id)
+        };
+    } catch (error) {
+        log.error('Error applying scheduled transitions.', { error });
+        throw new Error('Failed to apply scheduled status transitions.', { cause: error });
+    }
+}
+
+export { PLAN_STATUSES, ALLOWED_TRANSITIONS, canTransition, transitionPlanStatus, scheduleCancellation, applyScheduledTransitions };
@@ -0,0 +1,65 @@
+// src/services/planNotification.service.js
+import { db } from '../config/db.js';
+import { outboxInsertFromCte, outboxParams } from './outbox.service.js';
+import { SCHEDULER_ACTOR } from './planStateEvent.service.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('PlanNotificationService');
+
+/**
+ * Records a notification in the ledger, appends it to the website's audit log and enqueues its
+ * outbound message in a single statement.
+ * The unique constraint on the ledger makes this the dedup check as well: when the same
+ * (website, event, offset, period) was already recorded, nothing is written and no message is queued.
+ * @param {string} websiteId
+ * @param {string} eventType - e.g. 'free_trial_end', 'billing'.
+ * @param {string} offsetKey - Ladder offset, e.g. '7d' or '12h'.
+ * @param {string} periodKey - Identifies the trial / billing period the notification belongs to.
+ * @param {{eventType: string, method: string, path: string, payload?: object}} message - Outbox message to deliver.
+ * @returns {Promise<boolean>} True if newly recorded, false if it had already been sent.
+ */
+async function recordNotificationWithMessage(websiteId, eventType, offsetKey, periodKey, message) {
+    try {
+        const query = `
+            WITH notified AS (
+                INSERT INTO plan_notifications (website_id, event_type, offset_key, period_key)
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT (website_id, event_type, offset_key, period_key) DO NOTHING
+                RETURNING website_id
+            ),
+            audit AS (
+                INSERT INTO plan_state_events (website_id, event_type, actor, metadata)
+                SELECT website_id, 'notification_queued', $5,
+                    jsonb_build_object('eventType', $2::text, 'offset', $3::text, 'period', $4::text)
+                FROM notified
+            )
+            ${outboxInsertFromCte('notified', 6)};
+        `;
+        const result = await db.query(query, [websiteId, eventType, offsetKey, periodKey, SCHEDULER_ACTOR, ...outboxParams(message)]);
+        return result.rowCount > 0;
+    } catch (error) {
+        log.error('Error recording notification.', { websiteId, eventType, offset: offsetKey, error });
+        throw new Error('Failed to record notification.', { cause: error });
+    }
+}
+
+/**
+ * Lists the notifications already recorded in the ledger for the given websites.
+ * @param {Array<string>} websiteIds
+ * @returns {Promise<Array<{website_id: string, event_type: string, offset_key: string, period_key: string}>>}
+ */
+async function listSentNotifications(websiteIds) {
+    try {
+        const query = `
+            SELECT website_id, event_type, offset_key, period_key FROM plan_notifications
+            WHERE website_id = ANY($1);
+        `;
+        const result = await db.query(query, [websiteIds]);
+        return result.rows;
+    } catch (error) {
+        log.error('Error listing sent notifications.', { error });
+        throw new Error('Failed to list sent notifications.', { cause: error });
+    }
+}
+
+export { recordNotificationWithMessage, listSentNotifications };
@@ -1,46 +1,225 @@
 // src/services/planState.service.js
-import { pgClient } from '../config/db.js';
+import { db } from '../config/db.js';
+import { outboxInsertFromCte, outboxParams } from './outbox.service.js';
+import { SCHEDULER_ACTOR, auditedMutationCtes } from './planStateEvent.service.js';
+import { ConflictError, PreconditionFailedError } from '../utils/errors.js';
+import { ANY_VERSION } from '../utils/etag.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('PlanStateService');
+
+/**
+ * SQL condition for a write made with If-Match: the row must still have one of the versions the caller read.
+ * @param {string} param - Placeholder of the expected versions (integer[], see versionsParam()); NULL puts no condition.
+ * @returns {string}
+ */
+function versionMatches(param) {
+    return `(${param}::integer[] IS NULL OR plan_states.version = ANY(${param}::integer[]))`;
+}
+
+/**
+ * Value for the versionMatches() placeholder. "*" puts no condition on the version; an UPDATE only finds
+ * existing rows anyway, and an insert has to check for the row itself.
+ * @param {Array<number> | '*' | null} expectedVersions
+ * @returns {Array<number> | '*' | null}
+ */
+function versionsParam(expectedVersions) {
+    return expectedVersions === ANY_VERSION ? null : expectedVersions;
+}
+
+/**
+ * Throws unless the plan state exists and has one of the versions named in the caller's If-Match.
+ * @param {object | null} state - Current plan_states row; null if the website has none.
+ * @param {Array<number> | '*' | null} expectedVersions - From If-Match (see utils/etag.js); null means no
+ *     precondition, '*' any version of an existing plan state.
+ * @throws {PreconditionFailedError}
+ */
+function assertExpectedVersion(state, expectedVersions) {
+    if (!expectedVersions) {
+        return;
+    }
+    if (!state) {
+        throw new PreconditionFailedError('The website has no plan state for If-Match to match.');
+    }
+    if (expectedVersions !== ANY_VERSION && !expectedVersions.includes(state.version)) {
+        throw new PreconditionFailedError();
+    }
+}
 
 /**
  * Creates or updates a website's plan state in the database.
- * Resets notification flags on update/insert for a new period.
+ * Sent warnings are tracked per trial/billing period in plan_notifications,
+ * so a new trial start or billing date starts a fresh notification ladder. A trial end set through
+ * the trial endpoints is dropped, so the trial again lasts the plan's trial length from its start.
+ * New rows start as 'trialing' (with a trial start date) or 'active'; the status of existing
+ * rows is only changed through the lifecycle endpoints.
  * @param {string} websiteId
  * @param {string} planId
  * @param {Date | null} freeTrialStartDate
  * @param {Date | null} nextBillingDate
+ * @param {string} actor - Who made the change, recorded in the audit log.
+ * @param {string | null} [timezone] - IANA timezone of the website; null keeps the stored one (UTC for new rows).
+ * @param {Array<number> | '*' | null} [expectedVersions] - From If-Match: only update the website if it has one of
+ *     these versions, or any version for '*' (it is never created then).
  * @returns {Promise<any>} The created/updated plan state record.
+ * @throws {PreconditionFailedError}
  */
-async function upsertPlanState(websiteId, planId, freeTrialStartDate, nextBillingDate) {
+async function upsertPlanState(websiteId, planId, freeTrialStartDate, nextBillingDate, actor, timezone = null, expectedVersions = null) {
+    let result;
     try {
         const query = `
+            ${auditedMutationCtes({
+                beforeWhere: 'website_id = $1',
+                eventType: `'upserted'`,
+                actor: '$5',
+                mutation: `
             INSERT INTO plan_states (
-                website_id, plan_id, free_trial_start_date, next_billing_date, updated_at,
-                free_trial_end_notified_5d, free_trial_end_notified_3d, free_trial_end_notified_1d,
-                free_trial_ended_action_taken, billing_date_notified_3d
+                website_id, plan_id, free_trial_start_date, next_billing_date, billing_anchor_date,
+                updated_at, free_trial_ended_action_taken, status, timezone
             )
-            VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, FALSE, FALSE, FALSE, FALSE, FALSE) -- Reset flags on insert
+            SELECT
+                $1, $2::varchar, $3::timestamptz, $4::timestamptz, $4::timestamptz, CURRENT_TIMESTAMP, FALSE,
+                CASE WHEN $3::timestamptz IS NULL THEN 'active' ELSE 'trialing' END, COALESCE($6::varchar, 'UTC')
+            WHERE NOT $8::boolean OR EXISTS (SELECT 1 FROM before)
             ON CONFLICT (website_id) DO UPDATE
             SET
                 plan_id = $2,
                 free_trial_start_date = $3,
+                trial_end_override = NULL,
                 next_billing_date = $4,
+                billing_anchor_date = $4,
+                timezone = COALESCE($6, plan_states.timezone),
                 updated_at = CURRENT_TIMESTAMP,
-                -- Always reset notification flags when the state is updated by Main Service
-                free_trial_end_notified_5d = FALSE,
-                free_trial_end_notified_3d = FALSE,
-                free_trial_end_notified_1d = FALSE,
                 free_trial_ended_action_taken = FALSE,
-                billing_date_notified_3d = FALSE,
-                last_scheduler_run = NULL -- Reset last_scheduler_run to force initial check
-            RETURNING *;
+                last_scheduler_run = NULL, -- Reset last_scheduler_run to force initial check
+                next_check_at = CURRENT_TIMESTAMP
+            WHERE ${versionMatches('$7')}
+            RETURNING *`
+            })}
+            SELECT * FROM changed;
         `;
-        const values = [websiteId, planId, freeTrialStartDate, nextBillingDate];
-        const result = await pgClient.query(query, values);
-        console.log(`[PlanStateService] Upserted plan state for website ${websiteId}. Notification flags reset.`);
-        return result.rows[0];
+        const values = [
+            websiteId, planId, freeTrialStartDate, nextBillingDate, actor, timezone,
+            versionsParam(expectedVersions), expectedVersions !== null
+        ];
+        result = await db.query(query, values);
     } catch (error) {
-        console.error(`[PlanStateService] Error upserting plan state for website ${websiteId}:`, error);
-        throw new Error('Failed to create/update plan state.');
+        log.error('Error upserting plan state.', { websiteId, error });
+        throw new Error('Failed to create/update plan state.', { cause: error });
+    }
+
+    if (result.rowCount === 0) {
+        // Only a write with If-Match is skipped: the website is missing or has another version by now
+        assertExpectedVersion(await getPlanState(websiteId), expectedVersions);
+        throw new ConflictError('The record was changed concurrently. Retry the request.', 'CONCURRENT_MODIFICATION');
+    }
+    log.info('Upserted plan state.', { websiteId });
+    return result.rows[0];
+}
+
+/**
+ * Creates or updates many plan states in one statement, so a batch is applied completely or not at all.
+ * Works like upsertPlanState() (including the audit event per website), except for notification state:
+ * with resetNotifications the trial-ended flag and the trial end set through the trial endpoints are
+ * cleared, as upsertPlanState() does, and so are the sent warnings in plan_notifications, which
+ * upsertPlanState() leaves alone. Warnings already delivered for the current trial or billing period are
+ * then sent again. Without it all of these are kept unless the trial start changes, and a row's
+ * freeTrialEndedActionTaken, if given, sets the flag.
+ * @param {Array<{websiteId: string, planId: string, freeTrialStartDate: Date | null, nextBillingDate: Date,
+ *     timezone: string | null, freeTrialEndedActionTaken: boolean | null}>} rows - Distinct website ids.
+ * @param {object} options
+ * @param {boolean} options.resetNotifications
+ * @param {string} options.actor - Who made the change, recorded in the audit log.
+ * @returns {Promise<Array<{website_id: string, created: boolean}>>}
+ */
+async function importPlanStateBatch(rows, { resetNotifications, actor }) {
+    try {
+        // `existing` is the same snapshot as `before`; it supplies the values a row keeps
+        const query = `
+            ${auditedMutationCtes({
+                beforeWhere: 'website_id = ANY($1::varchar[])',
+                eventType: `'imported'`,
+                actor: '$8',
+                metadata: '$9',
+                mutation: `
+            INSERT INTO plan_states (
+                website_id, plan_id, free_trial_start_date, next_billing_date, billing_anchor_date,
+                updated_at, free_trial_ended_action_taken, trial_end_override, status, timezone
+            )
+            SELECT
+                v.website_id, v.plan_id, v.free_trial_start_date, v.next_billing_date, v.next_billing_date,
+                CURRENT_TIMESTAMP, keep.ended_action_taken, keep.trial_end_override,
+                CASE WHEN v.free_trial_start_date IS NULL OR keep.ended_action_taken THEN 'active' ELSE 'trialing' END,
+                COALESCE(v.timezone, existing.timezone, 'UTC')
+            FROM unnest($1::varchar[], $2::varchar[], $3::timestamptz[], $4::timestamptz[], $5::varchar[], $6::boolean[])
+                AS v (website_id, plan_id, free_trial_start_date, next_billing_date, timezone, ended_action_taken)
+            LEFT JOIN plan_states AS existing ON existing.website_id = v.website_id
+            CROSS JOIN LATERAL (
+                SELECT
+                    CASE WHEN $7 THEN FALSE ELSE COALESCE(
+                        v.ended_action_taken,
+                        CASE WHEN existing.free_trial_start_date IS NOT DISTINCT FROM v.free_trial_start_date THEN existing.free_trial_ended_action_taken END,
+                        FALSE
+                    ) END AS ended_action_taken,
+                    CASE WHEN NOT $7 AND existing.free_trial_start_date IS NOT DISTINCT FROM v.free_trial_start_date
+                        THEN existing.trial_end_override END AS trial_end_override
+            ) AS keep
+            ON CONFLICT (website_id) DO UPDATE
+            SET
+                plan_id = EXCLUDED.plan_id,
+                free_trial_start_date = EXCLUDED.free_trial_start_date,
+                trial_end_override = EXCLUDED.trial_end_override,
+                next_billing_date = EXCLUDED.next_billing_date,
+                billing_anchor_date = EXCLUDED.billing_anchor_date,
+                timezone = EXCLUDED.timezone,
+                updated_at = CURRENT_TIMESTAMP,
+                free_trial_ended_action_taken = EXCLUDED.free_trial_ended_action_taken,
+                -- As when the scheduler ends a trial
+                status = CASE WHEN EXCLUDED.free_trial_ended_action_taken AND plan_states.status = 'trialing' THEN 'active' ELSE plan_states.status END,
+                status_changed_at = CASE WHEN EXCLUDED.free_trial_ended_action_taken AND plan_states.status = 'trialing' THEN CURRENT_TIMESTAMP ELSE plan_states.status_changed_at END,
+                last_scheduler_run = CASE WHEN $7 THEN NULL ELSE plan_states.last_scheduler_run END,
+                next_check_at = CURRENT_TIMESTAMP
+            RETURNING *`
+            })},
+            reset AS (
+                DELETE FROM plan_notifications
+                WHERE $7 AND website_id IN (SELECT website_id FROM changed)
+            )
+            SELECT changed.website_id, before.website_id IS NULL AS created
+            FROM changed LEFT JOIN before ON before.website_id = changed.website_id;
+        `;
+        const values = [
+            rows.map(row => row.websiteId),
+            rows.map(row => row.planId),
+            rows.map(row => row.freeTrialStartDate),
+            rows.map(row => row.nextBillingDate),
+            rows.map(row => row.timezone),
+            rows.map(row => row.freeTrialEndedActionTaken),
+            resetNotifications,
+            actor,
+            JSON.stringify({ notifications: resetNotifications ? 'reset' : 'preserve' })
+        ];
+        const result = await db.query(query, values);
+        return result.rows;
+    } catch (error) {
+        log.error('Error importing a batch of plan states.', { rows: rows.length, error });
+        throw new Error('Failed to import plan states.', { cause: error });
+    }
+}
+
+/**
+ * Returns which of the given websites have a plan state.
+ * @param {Array<string>} websiteIds
+ * @returns {Promise<Set<string>>}
+ */
+async function findExistingWebsiteIds(websiteIds) {
+    try {
+        const query = `SELECT website_id FROM plan_states WHERE website_id = ANY($1::varchar[]);`;
+        const result = await db.query(query, [websiteIds]);
+        return new Set(result.rows.map(row => row.website_id));
+    } catch (error) {
+        log.error('Error looking up existing plan states.', { error });
+        throw new Error('Failed to look up plan states.', { cause: error });
     }
 }
 
@@ -52,11 +231,11 @@ async function upsertPlanState(websiteId, planId, freeTrialStartDate, nextBillin
 async function getPlanState(websiteId) {
     try {
         const query = `SELECT * FROM plan_states WHERE website_id = $1;`;
-        const result = await pgClient.query(query, [websiteId]);
+        const result = await db.query(query, [websiteId]);
         return result.rows[0] || null;
     } catch (error) {
-        console.error(`[PlanStateService] Error getting plan state for website ${websiteId}:`, error);
-        throw new Error('Failed to retrieve plan state.');
+        log.error('Error getting plan state.', { websiteId, error });
+        throw new Error('Failed to retrieve plan state.', { cause: error });
     }
 }
 
@@ -67,11 +246,245 @@ async function getPlanState(websiteId) {
 async function getAllPlanStates() {
     try {
         const query = `SELECT * FROM plan_states;`;
-        const result = await pgClient.query(query);
+        const result = await db.query(query);
+        return result.rows;
+    } catch (error) {
+        log.error('Error getting all plan states.', { error });
+        throw new Error('Failed to retrieve all plan states.', { cause: error });
+    }
+}
+
+/**
+ * Claims the next batch of due plan states for the current scheduler run.
+ * Only rows whose next_check_at has been reached are considered, walked in (next_check_at, website_id)
+ * order using the index on those columns; `after` is the position of the previous batch's last row.
+ * Rows are claimed by stamping last_scheduler_run with the run's start time; rows locked by another
+ * replica's claim are skipped (FOR UPDATE SKIP LOCKED), and rows already claimed within the claim
+ * window are not eligible again, so each website is processed by exactly one replica per run.
+ * @param {Date} runStartedAt
+ * @param {Date} claimedBefore - Rows whose last_scheduler_run is at or after this are considered done for this run.
+ * @param {number} limit - Maximum number of rows to claim.
+ * @param {{nextCheckKey: string, websiteId: string} | null} after - Keyset position (next_check_key and website_id of the previous batch's last row).
+ * @returns {Promise<Array<any>>} The claimed plan state records, in keyset order.
+ */
+async function claimDuePlanStates(runStartedAt, claimedBefore, limit, after) {
+    try {
+        // next_check_key is next_check_at as text: a JS Date would drop the microseconds, and the
+        // exact value is needed both for the keyset position and for setNextCheckTimes()
+        const query = `
+            WITH claimed AS (
+                UPDATE plan_states
+                SET last_scheduler_run = $1
+                WHERE website_id IN (
+                    SELECT website_id FROM plan_states
+                    WHERE next_check_at <= $1
+                        AND (last_scheduler_run IS NULL OR last_scheduler_run < $2)
+                        AND ($4::timestamptz IS NULL OR (next_check_at, website_id) > ($4::timestamptz, $5::varchar))
+                    ORDER BY next_check_at, website_id
+                    LIMIT $3
+                    FOR UPDATE SKIP LOCKED
+                )
+                RETURNING *
+            )
+            SELECT *, next_check_at::text AS next_check_key FROM claimed
+            ORDER BY next_check_at, website_id;
+        `;
+        const values = [runStartedAt, claimedBefore, limit, after ? after.nextCheckKey : null, after ? after.websiteId : null];
+        const result = await db.query(query, values);
+        return result.rows;
+    } catch (error) {
+        log.error('Error claiming plan states for scheduler run.', { error });
+        throw new Error('Failed to claim plan states.', { cause: error });
+    }
+}
+
+/**
+ * Claims the given websites for an on-demand run limited to them, whether or not they are due.
+ * Rows locked by another replica's claim are skipped, as in claimDuePlanStates().
+ * @param {Date} runStartedAt
+ * @param {Array<string>} websiteIds
+ * @returns {Promise<Array<any>>} The claimed plan state records (websites that do not exist are left out).
+ */
+async function claimPlanStatesByIds(runStartedAt, websiteIds) {
+    try {
+        const query = `
+            WITH claimed AS (
+                UPDATE plan_states
+                SET last_scheduler_run = $1
+                WHERE website_id IN (
+                    SELECT website_id FROM plan_states
+                    WHERE website_id = ANY($2::varchar[])
+                    ORDER BY website_id
+                    FOR UPDATE SKIP LOCKED
+                )
+                RETURNING *
+            )
+            SELECT *, next_check_at::text AS next_check_key FROM claimed
+            ORDER BY website_id;
+        `;
+        const result = await db.query(query, [runStartedAt, websiteIds]);
         return result.rows;
     } catch (error) {
-        console.error('[PlanStateService] Error getting all plan states:', error);
-        throw new Error('Failed to retrieve all plan states.');
+        log.error('Error claiming plan states by id for scheduler run.', { error });
+        throw new Error('Failed to claim plan states.', { cause: error });
+    }
+}
+
+/**
+ * Makes every website that is not canceled due for the next scheduler run, e.g. after a setting that next
+ * check times are computed from has changed.
+ * @returns {Promise<number>} How many websites were marked.
+ */
+async function markAllPlanStatesDue() {
+    try {
+        const result = await db.query(`
+            UPDATE plan_states SET next_check_at = CURRENT_TIMESTAMP
+            WHERE status <> 'canceled' AND (next_check_at IS NULL OR next_check_at > CURRENT_TIMESTAMP);
+        `);
+        return result.rowCount;
+    } catch (error) {
+        log.error('Error marking plan states due.', { error });
+        throw new Error('Failed to mark plan states due.', { cause: error });
+    }
+}
+
+/**
+ * Stores the next time the scheduler has to look at each website, in one statement.
+ * A row is skipped if its next_check_at changed since it was claimed (a write during the run pulled it
+ * forward), so that change is still picked up on the next run.
+ * @param {Array<{websiteId: string, nextCheckKey: string, nextCheckAt: Date | null}>} entries - nextCheckKey is the
+ *     next_check_key returned by claimDuePlanStates(); a null nextCheckAt means the row never needs another check.
+ */
+async function setNextCheckTimes(entries) {
+    if (entries.length === 0) return;
+    try {
+        const query = `
+            UPDATE plan_states AS p
+            SET next_check_at = v.next_check_at
+            FROM unnest($1::varchar[], $2::timestamptz[], $3::timestamptz[]) AS v (website_id, claimed_next_check_at, next_check_at)
+            WHERE p.website_id = v.website_id AND p.next_check_at IS NOT DISTINCT FROM v.claimed_next_check_at;
+        `;
+        await db.query(query, [
+            entries.map(entry => entry.websiteId),
+            entries.map(entry => entry.nextCheckKey),
+            entries.map(entry => entry.nextCheckAt)
+        ]);
+    } catch (error) {
+        log.error('Error storing next check times.', { error });
+        throw new Error('Failed to store next check times.', { cause: error });
+    }
+}
+
+// Sortable columns for listPlanStates, keyed by the API's sort field names
+const PLAN_STATE_SORT_COLUMNS = {
+    websiteId: 'website_id',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    nextBillingDate: 'next_billing_date',
+    freeTrialStartDate: 'free_trial_start_date'
+};
+
+/**
+ * Lists plan states with filtering and keyset (cursor) pagination.
+ * Rows are ordered by the sort column (NULLs last) with website_id as tie-breaker.
+ * @param {object} options
+ * @param {string} [options.planId]
+ * @param {string} [options.status] - Lifecycle status, e.g. 'active'.
+ * @param {'in_trial' | 'ending_soon' | 'ended' | 'none'} [options.trialStatus]
+ * @param {number} [options.endingWithinDays] - Window for trialStatus 'ending_soon'.
+ * @param {number} options.trialDurationDays - Trial length for websites whose plan does not define one.
+ * @param {Date} [options.billingFrom] - Inclusive lower bound on next_billing_date.
+ * @param {Date} [options.billingTo] - Inclusive upper bound on next_billing_date.
+ * @param {string} [options.sort='websiteId'] - One of PLAN_STATE_SORT_COLUMNS.
+ * @param {'asc' | 'desc'} [options.order='asc']
+ * @param {{value: string | null, websiteId: string} | null} [options.after] - Decoded cursor of the last row of the previous page.
+ * @param {number} [options.limit=50]
+ * @returns {Promise<{rows: Array<any>, nextCursor: {value: string | null, websiteId: string} | null}>}
+ */
+async function listPlanStates({
+    planId, status, trialStatus, endingWithinDays, trialDurationDays, billingFrom, billingTo,
+    sort = 'websiteId', order = 'asc', after = null, limit = 50
+}) {
+    const column = PLAN_STATE_SORT_COLUMNS[sort];
+    const descending = order === 'desc';
+    const conditions = [];
+    const values = [];
+    const param = (value) => {
+        values.push(value);
+        return `$${values.length}`;
+    };
+
+    if (planId) {
+        conditions.push(`plan_id = ${param(planId)}`);
+    }
+    if (status) {
+        conditions.push(`status = ${param(status)}`);
+    }
+    if (trialStatus) {
+        // Calendar dates in each website's own timezone
+        const trialDays = `COALESCE((SELECT trial_days FROM plans WHERE plans.plan_id = plan_states.plan_id), ${param(trialDurationDays)}::int)`;
+        const trialEnd = `COALESCE((trial_end_override AT TIME ZONE timezone)::date, (free_trial_start_date AT TIME ZONE timezone)::date + (${trialDays} - 1))`;
+        const today = `(CURRENT_TIMESTAMP AT TIME ZONE timezone)::date`;
+        if (trialStatus === 'none') {
+            conditions.push('free_trial_start_date IS NULL');
+        } else if (trialStatus === 'ended') {
+            // A trial ended early or converted is over even on its last day
+            conditions.push(`free_trial_start_date IS NOT NULL AND (${trialEnd} < ${today} OR free_trial_ended_action_taken IS TRUE)`);
+        } else {
+            conditions.push(`free_trial_start_date IS NOT NULL AND ${trialEnd} >= ${today} AND free_trial_ended_action_taken IS NOT TRUE`);
+            if (trialStatus === 'ending_soon') {
+                conditions.push(`${trialEnd} <= ${today} + ${param(endingWithinDays)}::int`);
+            }
+        }
+    }
+    if (billingFrom) {
+        conditions.push(`next_billing_date >= ${param(billingFrom)}`);
+    }
+    if (billingTo) {
+        conditions.push(`next_billing_date <= ${param(billingTo)}`);
+    }
+
+    if (after) {
+        const cmp = descending ? '<' : '>';
+        const idParam = param(after.websiteId);
+        if (column === 'website_id') {
+            conditions.push(`website_id ${cmp} ${idParam}`);
+        } else if (after.value === null) {
+            // Already inside the trailing NULL block
+            conditions.push(`${column} IS NULL AND website_id ${cmp} ${idParam}`);
+        } else {
+            const valueParam = param(after.value);
+            conditions.push(`(${column} ${cmp} ${valueParam} OR (${column} = ${valueParam} AND website_id ${cmp} ${idParam}) OR ${column} IS NULL)`);
+        }
+    }
+
+    const direction = descending ? 'DESC' : 'ASC';
+    const orderBy = column === 'website_id'
+        ? `website_id ${direction}`
+        : `${column} ${direction} NULLS LAST, website_id ${direction}`;
+
+    try {
+        // Fetch one extra row to know whether another page exists; the cursor value is selected
+        // as text so timestamps keep their full (microsecond) precision.
+        const query = `
+            SELECT *, ${column}::text AS cursor_value FROM plan_states
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY ${orderBy}
+            LIMIT ${param(limit + 1)};
+        `;
+        const result = await db.query(query, values);
+        const hasMore = result.rows.length > limit;
+        const pageRows = result.rows.slice(0, limit);
+        const last = pageRows[pageRows.length - 1];
+        const rows = pageRows.map(({ cursor_value, ...row }) => row);
+
+        return {
+            rows,
+            nextCursor: hasMore ? { value: last.cursor_value, websiteId: last.website_id } : null
+        };
+    } catch (error) {
+        log.error('Error listing plan states.', { error });
+        throw new Error('Failed to list plan states.', { cause: error });
     }
 }
 
@@ -80,75 +493,198 @@ async function getAllPlanStates() {
  * This function will likely be deprecated if upsertPlanState handles all updates.
  * @param {string} websiteId
  * @param {Date} newNextBillingDate
- * @returns {Promise<boolean>} True if updated, false if not found.
+ * @param {string} actor - Who made the change, recorded in the audit log.
+ * @param {Array<number> | '*' | null} [expectedVersions] - From If-Match: only update the website if it has one of these versions.
+ * @returns {Promise<any | null>} The updated plan state record, or null if not found.
+ * @throws {PreconditionFailedError}
  */
-async function updateNextBillingDate(websiteId, newNextBillingDate) {
+async function updateNextBillingDate(websiteId, newNextBillingDate, actor, expectedVersions = null) {
+    let result;
     try {
         const query = `
+            ${auditedMutationCtes({
+                beforeWhere: 'website_id = $2',
+                eventType: `'billing_date_updated'`,
+                actor: '$3',
+                mutation: `
             UPDATE plan_states
-            SET next_billing_date = $1, updated_at = CURRENT_TIMESTAMP, billing_date_notified_3d = FALSE -- Reset on date change
-            WHERE website_id = $2;
+            SET next_billing_date = $1, billing_anchor_date = $1, updated_at = CURRENT_TIMESTAMP
+            WHERE website_id = $2 AND ${versionMatches('$4')}
+            RETURNING *`
+            })}
+            SELECT * FROM changed;
         `;
-        const result = await pgClient.query(query, [newNextBillingDate, websiteId]);
-        if (result.rowCount === 0) {
-            return false; // Website not found
-        }
-        console.log(`[PlanStateService] Updated next_billing_date for website ${websiteId}. Notification flag reset.`);
-        return true;
+        result = await db.query(query, [newNextBillingDate, websiteId, actor, versionsParam(expectedVersions)]);
     } catch (error) {
-        console.error(`[PlanStateService] Error updating next_billing_date for website ${websiteId}:`, error);
-        throw new Error('Failed to update next billing date.');
+        log.error('Error updating next_billing_date.', { websiteId, error });
+        throw new Error('Failed to update next billing date.', { cause: error });
+    }
+
+    if (result.rowCount === 0) {
+        const current = expectedVersions ? await getPlanState(websiteId) : null;
+        if (!current) {
+            return null; // Website not found
+        }
+        assertExpectedVersion(current, expectedVersions);
+        throw new ConflictError('The record was changed concurrently. Retry the request.', 'CONCURRENT_MODIFICATION');
     }
+    log.info('Updated next_billing_date.', { websiteId });
+    return result.rows[0];
 }
 
 /**
  * Updates specific notification flags for a plan state.
  * @param {string} websiteId
- * @param {object} flags - Object with flags to update (e.g., { free_trial_end_notified_5d: true })
+ * @param {object} flags - Object with flags to update (e.g., { free_trial_ended_action_taken: true })
+ * @param {string} [actor='scheduler'] - Who made the change, recorded in the audit log.
  */
-async function updatePlanStateNotificationFlags(websiteId, flags) {
+async function updatePlanStateNotificationFlags(websiteId, flags, actor = SCHEDULER_ACTOR) {
     try {
-        const setClauses = Object.keys(flags).map((key, index) => `${key} = $${index + 2}`).join(', ');
-        const values = [websiteId, ...Object.values(flags)];
+        const setClauses = Object.keys(flags).map((key, index) => `${key} = $${index + 3}`).join(', ');
+        const values = [websiteId, actor, ...Object.values(flags)];
 
         const query = `
+            ${auditedMutationCtes({
+                beforeWhere: 'website_id = $1',
+                eventType: `'flags_updated'`,
+                actor: '$2',
+                mutation: `
             UPDATE plan_states
             SET ${setClauses}, updated_at = CURRENT_TIMESTAMP
-            WHERE website_id = $1;
+            WHERE website_id = $1
+            RETURNING *`
+            })}
+            SELECT website_id FROM changed;
         `;
-        const result = await pgClient.query(query, values);
+        const result = await db.query(query, values);
         if (result.rowCount === 0) {
-            console.warn(`[PlanStateService] Failed to update notification flags for website ${websiteId}: Not found.`);
+            log.warn('Failed to update notification flags: Not found.', { websiteId });
             return false;
         }
-        console.log(`[PlanStateService] Updated notification flags for website ${websiteId}: ${JSON.stringify(flags)}.`);
+        log.info('Updated notification flags.', { websiteId, flags });
         return true;
     } catch (error) {
-        console.error(`[PlanStateService] Error updating notification flags for website ${websiteId}:`, error);
-        throw new Error('Failed to update notification flags.');
+        log.error('Error updating notification flags.', { websiteId, error });
+        throw new Error('Failed to update notification flags.', { cause: error });
+    }
+}
+
+/**
+ * Marks the free-trial-ended action as taken, moves a 'trialing' plan to 'active' and enqueues the
+ * message telling the main service, in a single statement. Does nothing if the action was already taken.
+ * @param {string} websiteId
+ * @param {{eventType: string, method: string, path: string, payload?: object}} message - Outbox message to deliver.
+ * @returns {Promise<boolean>} True if the action was recorded now, false if it had been taken before.
+ */
+async function markFreeTrialEnded(websiteId, message) {
+    try {
+        const query = `
+            ${auditedMutationCtes({
+                beforeWhere: 'website_id = $1',
+                eventType: `'free_trial_ended'`,
+                actor: '$2',
+                mutation: `
+            UPDATE plan_states
+            SET free_trial_ended_action_taken = TRUE, updated_at = CURRENT_TIMESTAMP,
+                status = CASE WHEN status = 'trialing' THEN 'active' ELSE status END,
+                status_changed_at = CASE WHEN status = 'trialing' THEN CURRENT_TIMESTAMP ELSE status_changed_at END
+            WHERE website_id = $1 AND free_trial_ended_action_taken IS NOT TRUE
+            RETURNING *`
+            })}
+            ${outboxInsertFromCte('changed', 3)};
+        `;
+        const result = await db.query(query, [websiteId, SCHEDULER_ACTOR, ...outboxParams(message)]);
+        return result.rowCount > 0;
+    } catch (error) {
+        log.error('Error marking free trial ended.', { websiteId, error });
+        throw new Error('Failed to mark free trial ended.', { cause: error });
+    }
+}
+
+/**
+ * Advances a website's billing date to the next period once the previous one has passed and the main
+ * service has not set a new date, and queues the billing_period_rolled call to the main service.
+ * The billing anchor is kept, so later rollovers still count from the date the main service set.
+ * Sent notifications are tracked per billing date, so the new period starts with a fresh ladder.
+ * The update only applies while next_billing_date still holds the value the scheduler saw; if the
+ * main service changed it in the meantime, its date wins.
+ * @param {string} websiteId
+ * @param {Date} previousBillingDate - next_billing_date as read by the scheduler.
+ * @param {Date} nextBillingDate
+ * @param {object} message - Outbox message for the main service.
+ * @returns {Promise<boolean>} True if the billing date was advanced.
+ */
+async function rollBillingPeriod(websiteId, previousBillingDate, nextBillingDate, message) {
+    try {
+        const query = `
+            ${auditedMutationCtes({
+                beforeWhere: 'website_id = $1',
+                eventType: `'billing_period_rolled'`,
+                actor: '$4',
+                mutation: `
+            UPDATE plan_states
+            SET next_billing_date = $3, updated_at = CURRENT_TIMESTAMP
+            WHERE website_id = $1 AND date_trunc('milliseconds', next_billing_date) = $2
+            RETURNING *`
+            })}
+            ${outboxInsertFromCte('changed', 5)};
+        `;
+        const values = [websiteId, previousBillingDate, nextBillingDate, SCHEDULER_ACTOR, ...outboxParams(message)];
+        const result = await db.query(query, values);
+        return result.rowCount > 0;
+    } catch (error) {
+        log.error('Error rolling billing period.', { websiteId, error });
+        throw new Error('Failed to roll billing period.', { cause: error });
     }
 }
 
 /**
  * Clears free trial info after it has ended and the main service has been notified.
  * @param {string} websiteId
+ * @param {string} [actor='scheduler'] - Who made the change, recorded in the audit log.
  */
-async function clearFreeTrial(websiteId) {
+async function clearFreeTrial(websiteId, actor = SCHEDULER_ACTOR) {
     try {
         const query = `
+            ${auditedMutationCtes({
+                beforeWhere: 'website_id = $1',
+                eventType: `'free_trial_cleared'`,
+                actor: '$2',
+                mutation: `
             UPDATE plan_states
-            SET free_trial_start_date = NULL, free_trial_end_notified_5d = FALSE,
-            free_trial_end_notified_3d = FALSE, free_trial_end_notified_1d = FALSE,
-            free_trial_ended_action_taken = FALSE, updated_at = CURRENT_TIMESTAMP
-            WHERE website_id = $1;
+            SET free_trial_start_date = NULL, trial_end_override = NULL, free_trial_ended_action_taken = FALSE, updated_at = CURRENT_TIMESTAMP
+            WHERE website_id = $1
+            RETURNING *`
+            })}
+            SELECT website_id FROM changed;
         `;
-        const result = await pgClient.query(query, [websiteId]);
+        const result = await db.query(query, [websiteId, actor]);
         if (result.rowCount > 0) {
-            console.log(`[PlanStateService] Cleared free trial start date and reset its flags for website ${websiteId}.`);
+            log.info('Cleared free trial start date and reset its action flag.', { websiteId });
         }
     } catch (error) {
-        console.error(`[PlanStateService] Error clearing free trial for website ${websiteId}:`, error);
+        log.error('Error clearing free trial.', { websiteId, error });
     }
 }
 
-export { upsertPlanState, getPlanState, getAllPlanStates, updateNextBillingDate, updatePlanStateNotificationFlags, clearFreeTrial };
\ No newline at end of file
+export {
+    PLAN_STATE_SORT_COLUMNS,
+    versionMatches,
+    versionsParam,
+    assertExpectedVersion,
+    upsertPlanState,
+    importPlanStateBatch,
+    findExistingWebsiteIds,
+    getPlanState,
+    getAllPlanStates,
+    claimDuePlanStates,
+    claimPlanStatesByIds,
+    setNextCheckTimes,
+    markAllPlanStatesDue,
+    listPlanStates,
+    updateNextBillingDate,
+    updatePlanStateNotificationFlags,
+    markFreeTrialEnded,
+    rollBillingPeriod,
+    clearFreeTrial
+};
\ No newline at end of file
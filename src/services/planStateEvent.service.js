@@ -0,0 +1,63 @@
+// src/services/planStateEvent.service.js
+import { db } from '../config/db.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('PlanStateEventService');
+
+// Actor recorded for changes made by the scheduler itself
+const SCHEDULER_ACTOR = 'scheduler';
+
+/**
+ * Builds the CTEs that run a plan_states mutation and append its audit event in the same statement.
+ * Defines `before` (the rows as of the statement's snapshot, prior to the change), `changed` (the
+ * mutation's RETURNING rows) and `audit`. The caller appends the final statement, typically
+ * `SELECT * FROM changed`. `before` must not lock (FOR UPDATE would skip rows the same statement updates).
+ * @param {object} options
+ * @param {string} options.beforeWhere - WHERE condition selecting the rows about to change.
+ * @param {string} options.mutation - INSERT/UPDATE on plan_states ending in RETURNING *.
+ * @param {string} options.eventType - SQL expression (usually a placeholder) for the event type.
+ * @param {string} options.actor - SQL expression for the actor.
+ * @param {string} [options.metadata='NULL'] - SQL expression for the JSONB metadata.
+ * @returns {string}
+ */
+function auditedMutationCtes({ beforeWhere, mutation, eventType, actor, metadata = 'NULL' }) {
+    return `
+        WITH before AS (
+            SELECT * FROM plan_states WHERE ${beforeWhere}
+        ),
+        changed AS (
+            ${mutation}
+        ),
+        audit AS (
+            INSERT INTO plan_state_events (website_id, event_type, actor, before, after, metadata)
+            SELECT changed.website_id, ${eventType}, ${actor}, to_jsonb(before), to_jsonb(changed), ${metadata}::jsonb
+            FROM changed LEFT JOIN before ON before.website_id = changed.website_id
+        )
+    `;
+}
+
+/**
+ * Lists a website's audit events, newest first, with keyset pagination on id.
+ * @param {string} websiteId
+ * @param {object} [options]
+ * @param {number} [options.limit=50]
+ * @param {string|number} [options.beforeId] - Only return events with a smaller id.
+ * @returns {Promise<Array<any>>}
+ */
+async function listPlanStateEvents(websiteId, { limit = 50, beforeId } = {}) {
+    try {
+        const query = `
+            SELECT * FROM plan_state_events
+            WHERE website_id = $1 AND ($2::bigint IS NULL OR id < $2)
+            ORDER BY id DESC
+            LIMIT $3;
+        `;
+        const result = await db.query(query, [websiteId, beforeId || null, limit]);
+        return result.rows;
+    } catch (error) {
+        log.error('Error listing history.', { websiteId, error });
+        throw new Error('Failed to retrieve plan state history.', { cause: error });
+    }
+}
+
+export { SCHEDULER_ACTOR, auditedMutationCtes, listPlanStateEvents };
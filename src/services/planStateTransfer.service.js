@@ -0,0 +1,219 @@
+// src/services/planStateTransfer.service.js
+// Bulk import and export of plan states as CSV (with a header row) or NDJSON (one JSON object per line).
+// Both formats use the same field names as POST /plan-states, so an export can be imported again.
+import { importPlanStateBatch, findExistingWebsiteIds, listPlanStates } from './planState.service.js';
+import { listPlans } from './plan.service.js';
+import { getEffectiveTrialEndDate } from './trial.service.js';
+import { freeTrialDurationDays } from '../config/services.js';
+import { importPlanStateRowSchema } from '../schemas/planState.schemas.js';
+import { parseCsv, formatCsvRow } from '../utils/csv.js';
+import { AppError, ValidationError, toAppError } from '../utils/errors.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('PlanStateTransferService');
+
+const MAX_IMPORT_ROWS = 10000;
+const EXPORT_PAGE_SIZE = 500;
+
+const EXPORT_COLUMNS = [
+    'websiteId', 'planId', 'status', 'freeTrialStartDate', 'trialEndDate', 'freeTrialEndedActionTaken',
+    'nextBillingDate', 'billingAnchorDate', 'timezone', 'createdAt', 'updatedAt'
+];
+
+function fileError(message) {
+    return new ValidationError([{ location: 'body', field: null, code: 'invalid_format', message }]);
+}
+
+// CSV records keyed by the header row; empty fields are null (e.g. no trial start date)
+function readCsvRecords(text) {
+    let records;
+    try {
+        records = parseCsv(text);
+    } catch (error) {
+        throw fileError(error.message);
+    }
+    if (records.length === 0) {
+        throw fileError('The file is empty. Expected a header row naming the columns.');
+    }
+    const [header, ...rows] = records;
+    const columns = header.fields.map(name => name.trim());
+    return rows.map(({ line, fields }) => {
+        if (fields.length !== columns.length) {
+            return { line, error: { field: null, code: 'invalid_format', message: `Expected ${columns.length} fields, found ${fields.length}.` } };
+        }
+        return { line, record: Object.fromEntries(columns.map((name, index) => [name, fields[index] === '' ? null : fields[index]])) };
+    });
+}
+
+function readNdjsonRecords(text) {
+    const entries = [];
+    text.split('\n').forEach((content, index) => {
+        if (content.trim() === '') {
+            return;
+        }
+        try {
+            entries.push({ line: index + 1, record: JSON.parse(content) });
+        } catch (error) {
+            entries.push({ line: index + 1, error: { field: null, code: 'invalid_format', message: 'Malformed JSON.' } });
+        }
+    });
+    return entries;
+}
+
+/**
+ * Splits an import file into records.
+ * @param {string} text
+ * @param {'csv' | 'ndjson'} format
+ * @returns {Array<{line: number, record?: object, error?: object}>} One entry per row; rows that cannot be read carry an error.
+ * @throws {ValidationError} If the file as a whole cannot be read.
+ * @throws {AppError} 413 if the file has too many rows.
+ */
+function readImportFile(text, format) {
+    const entries = format === 'csv' ? readCsvRecords(text) : readNdjsonRecords(text);
+    if (entries.length > MAX_IMPORT_ROWS) {
+        throw new AppError(`Too many rows (${entries.length}). Import at most ${MAX_IMPORT_ROWS} rows per request.`, 413, 'TOO_MANY_ROWS');
+    }
+    return entries;
+}
+
+// Checks each row on its own and against the catalog and the rest of the file
+function validateImportRows(entries, planIds) {
+    const lineByWebsiteId = new Map();
+    return entries.map(({ line, record, error }) => {
+        const websiteId = typeof record?.websiteId === 'string' ? record.websiteId : null;
+        if (error) {
+            return { line, websiteId, errors: [error] };
+        }
+        const errors = [];
+        const row = importPlanStateRowSchema.parse(record, [], errors);
+        if (errors.length > 0) {
+            return { line, websiteId, errors };
+        }
+        if (!planIds.has(row.planId)) {
+            return { line, websiteId, errors: [{ field: 'planId', code: 'unknown_reference', message: `Unknown planId '${row.planId}'. Add the plan to the catalog first.` }] };
+        }
+        if (lineByWebsiteId.has(row.websiteId)) {
+            return { line, websiteId, errors: [{ field: 'websiteId', code: 'not_unique', message: `Already imported by line ${lineByWebsiteId.get(row.websiteId)}.` }] };
+        }
+        lineByWebsiteId.set(row.websiteId, line);
+        return { line, websiteId, row };
+    });
+}
+
+/**
+ * Imports plan states from a CSV or NDJSON file. Every row is validated first; invalid rows are
+ * reported and skipped. Valid rows are written in batches, each in a single statement, so a batch
+ * that fails leaves no partial changes and the remaining batches still run.
+ * @param {string} text - File contents.
+ * @param {object} options
+ * @param {'csv' | 'ndjson'} options.format
+ * @param {boolean} options.dryRun - Only validate and report whether each website would be created or updated.
+ * @param {'preserve' | 'reset'} options.notifications - See importPlanStateBatch().
+ * @param {number} options.batchSize
+ * @param {string} actor - Who ran the import, recorded in the audit log.
+ * @returns {Promise<{summary: object, rows: Array<{line: number, websiteId: string | null, result: string, errors?: Array<object>}>}>}
+ *     result is created, updated, invalid or failed (would_create or would_update in a dry run).
+ * @throws {ValidationError | AppError} If the file as a whole cannot be imported.
+ */
+async function importPlanStates(text, { format, dryRun, notifications, batchSize }, actor) {
+    const entries = readImportFile(text, format);
+    const planIds = new Set((await listPlans()).map(plan => plan.plan_id));
+    const checked = validateImportRows(entries, planIds);
+    const valid = checked.filter(entry => entry.row);
+    const resultByWebsiteId = new Map();
+
+    if (dryRun) {
+        const existing = await findExistingWebsiteIds(valid.map(entry => entry.row.websiteId));
+        for (const { row } of valid) {
+            resultByWebsiteId.set(row.websiteId, { result: existing.has(row.websiteId) ? 'would_update' : 'would_create' });
+        }
+    } else {
+        for (let start = 0; start < valid.length; start += batchSize) {
+            const batch = valid.slice(start, start + batchSize).map(entry => ({
+                freeTrialStartDate: null,
+                timezone: null,
+                freeTrialEndedActionTaken: null,
+                ...entry.row
+            }));
+            try {
+                const written = await importPlanStateBatch(batch, { resetNotifications: notifications === 'reset', actor });
+                for (const { website_id, created } of written) {
+                    resultByWebsiteId.set(website_id, { result: created ? 'created' : 'updated' });
+                }
+            } catch (error) {
+                const { errorCode, message } = toAppError(error);
+                for (const row of batch) {
+                    resultByWebsiteId.set(row.websiteId, { result: 'failed', errors: [{ field: null, code: errorCode, message }] });
+                }
+            }
+        }
+    }
+
+    const rows = checked.map(({ line, websiteId, row, errors }) => (
+        row ? { line, websiteId, ...resultByWebsiteId.get(row.websiteId) } : { line, websiteId, result: 'invalid', errors }
+    ));
+    const summary = { total: rows.length };
+    for (const { result } of rows) {
+        summary[result] = (summary[result] || 0) + 1;
+    }
+    if (!dryRun) {
+        log.info('Imported plan states.', { notifications, summary });
+    }
+    return { summary, rows };
+}
+
+// Flat export record of a plan state; dates are ISO timestamps, missing values null
+function toExportRecord(state, plan) {
+    const isoOrNull = value => (value ? new Date(value).toISOString() : null);
+    const trialEndDate = getEffectiveTrialEndDate(state, plan?.trial_days ?? freeTrialDurationDays);
+    return {
+        websiteId: state.website_id,
+        planId: state.plan_id,
+        status: state.status,
+        freeTrialStartDate: isoOrNull(state.free_trial_start_date),
+        trialEndDate: isoOrNull(trialEndDate),
+        freeTrialEndedActionTaken: Boolean(state.free_trial_ended_action_taken),
+        nextBillingDate: isoOrNull(state.next_billing_date),
+        billingAnchorDate: isoOrNull(state.billing_anchor_date),
+        timezone: state.timezone,
+        createdAt: isoOrNull(state.created_at),
+        updatedAt: isoOrNull(state.updated_at)
+    };
+}
+
+/**
+ * Exports plan states ordered by website id, a page at a time, so large exports are never held in
+ * memory. Rows written while the export runs may or may not be included.
+ * @param {object} options
+ * @param {'csv' | 'ndjson'} options.format
+ * @param {string} [options.planId]
+ * @param {string} [options.status]
+ * @returns {AsyncGenerator<string>} Chunks of the file: the CSV header, then one chunk per page.
+ */
+async function* exportPlanStates({ format, planId, status }) {
+    const plansById = new Map((await listPlans()).map(plan => [plan.plan_id, plan]));
+    const formatRecord = format === 'csv'
+        ? record => formatCsvRow(EXPORT_COLUMNS.map(column => record[column]))
+        : record => `${JSON.stringify(record)}\n`;
+
+    if (format === 'csv') {
+        yield formatCsvRow(EXPORT_COLUMNS);
+    }
+    let after = null;
+    do {
+        const page = await listPlanStates({
+            planId,
+            status,
+            trialDurationDays: freeTrialDurationDays,
+            sort: 'websiteId',
+            after,
+            limit: EXPORT_PAGE_SIZE
+        });
+        if (page.rows.length > 0) {
+            yield page.rows.map(state => formatRecord(toExportRecord(state, plansById.get(state.plan_id)))).join('');
+        }
+        after = page.nextCursor;
+    } while (after);
+}
+
+export { importPlanStates, exportPlanStates };
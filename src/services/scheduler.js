@@ -1,190 +1,694 @@
 // src/services/scheduler.js
 import cron from 'node-cron';
-import { getAllPlanStates, updatePlanStateNotificationFlags } from './planState.service.js';
-import { mainBackendUrl, fetchSharedVariable } from '../config/services.js';
-import axios from 'axios';
-
-// Helper function to get the number of full days between two dates
-// This counts days from start-of-day to start-of-day
-function getDaysBetween(date1, date2) {
-    const d1 = new Date(date1);
-    d1.setHours(0, 0, 0, 0);
-    const d2 = new Date(date2);
-    d2.setHours(0, 0, 0, 0);
-    const diffTime = d2.getTime() - d1.getTime();
-    // Using Math.round to handle potential daylight saving time shifts which can cause non-exact day milliseconds
-    const diffDays = Math.round(diffTime / (1000 * 60 * 60 * 24));
-    return diffDays;
-}
-
-// Function to send a warning notification to the main backend
-async function sendWarningNotification(websiteId, type, daysUntilEvent, nextBillingDate = null) {
-    if (!mainBackendUrl) {
-        console.error(`[Scheduler] Cannot send warning notification: Main backend URL not configured.`);
-        return;
-    }
-    const mainServiceApiKey = process.env.MAIN_SERVICE_API_KEY; // Ensure you have this ENV var in your Plan Controller
+import { claimDuePlanStates, claimPlanStatesByIds, setNextCheckTimes, markAllPlanStatesDue, markFreeTrialEnded, rollBillingPeriod } from './planState.service.js';
+import { recordNotificationWithMessage } from './planNotification.service.js';
+import { applyScheduledTransitions } from './planLifecycle.service.js';
+import { suspendForNonPayment } from './dunning.service.js';
+import { getEffectiveTrialEndDate } from './trial.service.js';
+import { listPlans, resolvePlanSettings } from './plan.service.js';
+import { loadNotificationLadder, loadNotificationSendTime, selectDueOffset, nextOffsetTriggerAt } from './notificationLadder.js';
+import { dispatchOutbox } from './outboxDispatcher.js';
+import { SCHEDULER_ACTOR } from './planStateEvent.service.js';
+import { createSchedulerRun, finishSchedulerRun, failAbandonedSchedulerRuns } from './schedulerRun.service.js';
+import { deleteExpiredIdempotencyKeys } from './idempotencyKey.service.js';
+import { freeTrialDurationDays, mainBackendUrl } from '../config/services.js';
+import { onSharedConfigChange } from '../config/sharedConfig.js';
+import { DEFAULT_TIMEZONE, startOfDay, getDaysBetween, addDays, addMonths, toLocalDateString } from '../utils/dates.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { intFromEnv } from '../utils/env.js';
+import { ConflictError, ServiceUnavailableError } from '../utils/errors.js';
+import { systemClock } from '../utils/clock.js';
+import { counter, gauge, histogram } from '../utils/metrics.js';
+import { createLogger, runWithLogContext } from '../utils/logger.js';
 
-    if (!mainServiceApiKey) {
-        console.error(`[Scheduler] Cannot send warning notification: MAIN_SERVICE_API_KEY not configured.`);
-        return;
-    }
+const log = createLogger('Scheduler');
 
-    try {
-        await axios.post(`${mainBackendUrl}/api/websites/${websiteId}/payment-warning`, {
-            type,
+// Period keys identify the trial / billing period a notification belongs to (UTC date of the source date)
+function toPeriodKey(date) {
+    return new Date(date).toISOString().split('T')[0];
+}
+
+// Outbound call warning the customer ahead of a trial end or billing date
+function paymentWarningMessage(websiteId, eventType, offset, daysUntilEvent, nextBillingDate = null) {
+    return {
+        eventType: 'payment_warning',
+        method: 'POST',
+        path: `/api/websites/${websiteId}/payment-warning`,
+        payload: {
+            type: eventType,
             daysUntilEvent,
+            offset: offset.key,
             nextBillingDate: nextBillingDate ? nextBillingDate.toISOString() : null
-        }, {
-            headers: {
-                'Content-Type': 'application/json',
-                'x-main-service-api-key': mainServiceApiKey // Use an API key for internal service authentication
-            }
-        });
-        console.log(`[Scheduler] Successfully sent ${type} warning for website ${websiteId} (ends in ${daysUntilEvent} days).`);
-    } catch (error) {
-        console.error(`[Scheduler] Failed to send ${type} warning for website ${websiteId}:`, error.message);
-        if (axios.isAxiosError(error) && error.response) {
-            console.error(`[Scheduler] Main Service Error Response:`, error.response.data);
         }
+    };
+}
+
+/**
+ * Picks the due ladder warning for one event of a website, as a notification action.
+ * Whether it was already sent is decided when the action is applied (against the notification ledger).
+ * @param {string} eventType - Ladder key, e.g. 'free_trial_end' or 'billing'.
+ * @param {Array<object>} offsets - Parsed ladder offsets for the event type.
+ * @param {Date} eventDay - Start of the day the event happens on, in the website's timezone.
+ * @param {string} periodKey
+ * @param {Date} now
+ * @param {object} schedule - Website timezone and send time, see selectDueOffset().
+ * @param {function(object): object} buildMessage - Builds the outbound message for the selected offset.
+ * @returns {object | null}
+ */
+function ladderWarningAction(eventType, offsets, eventDay, periodKey, now, schedule, buildMessage) {
+    const offset = selectDueOffset(offsets, eventDay, now, schedule);
+    if (!offset) return null;
+    return { type: 'notification', eventType, offset: offset.key, periodKey, message: buildMessage(offset) };
+}
+
+// Outbound call escalating an overdue payment; later rungs are closer to the suspension,
+// so level 1 is the first, gentlest reminder
+function paymentOverdueMessage(state, offsets, offset, daysUntilSuspension) {
+    const hours = (o) => o.amount * (o.unit === 'd' ? 24 : 1);
+    return {
+        eventType: 'payment_overdue',
+        method: 'POST',
+        path: `/api/websites/${state.website_id}/payment-overdue`,
+        payload: {
+            daysUntilSuspension,
+            offset: offset.key,
+            escalationLevel: offsets.filter(o => hours(o) >= hours(offset)).length,
+            paymentFailedAt: new Date(state.payment_failed_at).toISOString(),
+            gracePeriodEndsAt: new Date(state.grace_period_ends_at).toISOString()
+        }
+    };
+}
+
+/**
+ * Works out the billing date following a period that has passed: whole plan intervals counted from the
+ * billing anchor, skipping any periods that were missed entirely (e.g. while the scheduler was down).
+ * @param {object} state - plan_states row.
+ * @param {'month' | 'year'} billingInterval
+ * @param {Date} runAt
+ * @param {string} timeZone
+ * @returns {Date}
+ */
+function getRolledBillingDate(state, billingInterval, runAt, timeZone) {
+    const anchor = state.billing_anchor_date || state.next_billing_date;
+    const monthsPerPeriod = billingInterval === 'year' ? 12 : 1;
+    let periods = 0;
+    let nextBillingDate;
+    do {
+        periods++;
+        nextBillingDate = addMonths(anchor, periods * monthsPerPeriod, timeZone);
+    } while (nextBillingDate <= state.next_billing_date || getDaysBetween(runAt, nextBillingDate, timeZone) < 0);
+    return nextBillingDate;
+}
+
+const CLAIM_BATCH_SIZE = intFromEnv('SCHEDULER_CLAIM_BATCH_SIZE', 100);
+// How many websites of a batch are processed at the same time
+const PROCESS_CONCURRENCY = intFromEnv('SCHEDULER_CONCURRENCY', 5);
+// Upper bound between two visits of a website, so changes to shared variables (trial duration, ladder) are picked up
+const MAX_RECHECK_HOURS = intFromEnv('SCHEDULER_MAX_RECHECK_HOURS', 24);
+
+let isRunning = false;
+// Set once the cron schedule is running
+let schedulerStartedAt = null;
+let cronTask = null;
+// Resolves when the run in progress is over (from before it is recorded until isRunning is cleared)
+let runOver = Promise.resolve();
+let markRunOver = () => {};
+// Set by stopScheduler(): no new runs, and a run in progress stops after the websites it is processing
+let stopRequested = false;
+
+const runDuration = histogram({
+    name: 'plan_controller_scheduler_run_duration_seconds',
+    help: 'Duration of scheduler runs by trigger (cron or manual) and status.',
+    labelNames: ['trigger', 'status'],
+    buckets: [0.1, 0.5, 1, 5, 15, 30, 60, 120, 300, 600]
+});
+const lastSuccess = gauge({
+    name: 'plan_controller_scheduler_last_success_timestamp_seconds',
+    help: 'Unix time at which the last successful scheduler run finished, by trigger.',
+    labelNames: ['trigger']
+});
+const websitesScanned = counter({
+    name: 'plan_controller_scheduler_websites_scanned_total',
+    help: 'Websites claimed and evaluated by scheduler runs.'
+});
+const notificationsTotal = counter({
+    name: 'plan_controller_scheduler_notifications_total',
+    help: 'Warnings queued (sent) or failed to queue by the scheduler, by ladder type and offset.',
+    labelNames: ['type', 'offset', 'outcome']
+});
+const actionsTotal = counter({
+    name: 'plan_controller_scheduler_actions_total',
+    help: 'Other scheduler actions applied, e.g. free_trial_ended (trial-end downgrades), billing_period_rolled, site_suspended.',
+    labelNames: ['action']
+});
+
+function getIntervalMinutes() {
+    return intFromEnv('SCHEDULER_INTERVAL_MINUTES', 60);
+}
+
+// A run stops claiming new batches after this long; what is left stays due and is picked up by the next run
+function getRunBudgetMs() {
+    const budgetSeconds = parseInt(process.env.SCHEDULER_RUN_BUDGET_SECONDS || '', 10);
+    if (!isNaN(budgetSeconds) && budgetSeconds > 0) {
+        return budgetSeconds * 1000;
     }
+    return getIntervalMinutes() * 60 * 1000 * 0.8; // Default: 80% of the interval
 }
 
-async function checkAndTriggerEvents() {
-    console.log(`[Scheduler] Running check at ${new Date().toISOString()}`);
+// Trial length and ladder for a website's plan; plans missing from the catalog use the shared defaults
+function planSettingsFor(state, { planSettings, defaultSettings }) {
+    return planSettings.get(state.plan_id) || defaultSettings;
+}
 
-    const currentFreeTrialDurationDays = await fetchSharedVariable('FREE_TRIAL_DURATION_DAYS');
-    const freeTrialDuration = currentFreeTrialDurationDays !== null && !isNaN(currentFreeTrialDurationDays)
-        ? currentFreeTrialDurationDays
-        : 14; // Fallback to 14 days if value is null or invalid number
+/**
+ * Works out when a website next needs the scheduler: the next ladder warning, the trial end, the
+ * billing rollover, or the periodic recheck, whichever comes first. Writes to the row (upserts, billing
+ * date changes, status transitions) pull next_check_at forward in the database, so they are not waited on here.
+ * @param {object} state - plan_states row as processed in this run.
+ * @param {object} context - Per-run values: plan settings, sendTime and runAt.
+ * @returns {Date | null} null when the website never needs another check.
+ */
+function computeNextCheckAt(state, context) {
+    if (state.status === 'canceled') return null;
 
-    console.log(`[Scheduler] Current Configured Free Trial Duration: ${freeTrialDuration} days`);
-    console.log(`[Scheduler] Main Backend URL: ${mainBackendUrl}`); // This is fetched once at app startup
+    const { sendTime, runAt } = context;
+    const { trialDays, ladder } = planSettingsFor(state, context);
 
-    const planStates = await getAllPlanStates();
-    const now = new Date();
-    // Normalize 'now' to start of day for consistent day calculations
-    now.setHours(0, 0, 0, 0);
+    const timeZone = state.timezone || DEFAULT_TIMEZONE;
+    const schedule = { timeZone, sendTime };
+    const candidates = [new Date(runAt.getTime() + MAX_RECHECK_HOURS * 60 * 60 * 1000)];
 
-    for (const state of planStates) {
-        const websiteId = state.website_id;
+    if (state.status === 'trialing' && state.free_trial_start_date) {
+        const trialEndDate = getEffectiveTrialEndDate(state, trialDays);
+        candidates.push(nextOffsetTriggerAt(ladder.free_trial_end, trialEndDate, runAt, schedule));
+        if (!state.free_trial_ended_action_taken && trialEndDate > runAt) {
+            candidates.push(trialEndDate);
+        }
+    }
 
-        if (!mainBackendUrl) {
-            console.error(`[Scheduler] Skipping checks for website ${websiteId}: Main service URL not configured.`);
-            continue;
+    if (isInDunning(state)) {
+        if (!state.suspended_at) {
+            candidates.push(nextOffsetTriggerAt(ladder.payment_overdue, startOfDay(state.grace_period_ends_at, timeZone), runAt, schedule));
+            candidates.push(new Date(state.grace_period_ends_at));
         }
+    } else if (state.status !== 'paused' && state.next_billing_date) {
+        candidates.push(nextOffsetTriggerAt(ladder.billing, startOfDay(state.next_billing_date, timeZone), runAt, schedule));
+        candidates.push(addDays(state.next_billing_date, 1, timeZone)); // Rollover if the date is not moved by then
+    }
+
+    return new Date(Math.min(...candidates.filter(Boolean).map(date => date.getTime())));
+}
 
-        let updatedFlags = {};
+// A past-due website whose failed payment was reported; dunning replaces billing warnings and rollovers
+function isInDunning(state) {
+    return state.status === 'past_due' && Boolean(state.payment_failed_at);
+}
 
-        // --- Free Trial Monitoring ---
-        if (state.free_trial_start_date) {
-            const trialStartDate = new Date(state.free_trial_start_date);
-            trialStartDate.setHours(0, 0, 0, 0);
+/**
+ * Decides what the scheduler does for one website at context.runAt, without doing it: trial warnings
+ * and the trial-ended action, then either the dunning sequence (overdue warnings and suspension) or
+ * billing rollover and warnings. Days are counted in the website's timezone; trial length and ladder
+ * come from the website's plan.
+ * @param {object} state - plan_states row.
+ * @param {object} context - Per-run values: plan settings, sendTime and runAt.
+ * @returns {{actions: Array<object>, notes: Array<string>}} Actions in the order they must be applied,
+ *     and human-readable notes on the computed dates.
+ */
+function evaluatePlanState(state, context) {
+    const websiteId = state.website_id;
+    const actions = [];
+    const notes = [];
 
-            const trialEndDate = new Date(trialStartDate);
-            trialEndDate.setDate(trialEndDate.getDate() + (freeTrialDuration - 1));
-            trialEndDate.setHours(0, 0, 0, 0);
+    // Canceled plans get no further notifications or actions
+    if (state.status === 'canceled') return { actions, notes };
 
-            const daysRemaining = getDaysBetween(now, trialEndDate);
+    const { sendTime, runAt } = context;
+    const { trialDays, ladder, billingInterval } = planSettingsFor(state, context);
 
-            console.log(`Website ${websiteId}: Trial Start: ${trialStartDate.toISOString().split('T')[0]}, Trial End Day (inclusive): ${trialEndDate.toISOString().split('T')[0]}, Now: ${now.toISOString().split('T')[0]}, Days Remaining: ${daysRemaining}`);
+    const timeZone = state.timezone || DEFAULT_TIMEZONE;
+    const schedule = { timeZone, sendTime };
+    const today = toLocalDateString(runAt, timeZone);
+    const push = (action) => action && actions.push(action);
 
-            if (daysRemaining === 5 && !state.free_trial_end_notified_5d) {
-                console.log(`[Scheduler] Notification: Website ${websiteId} free trial ends in 5 days.`);
-                await sendWarningNotification(websiteId, 'free_trial_end', 5);
-                updatedFlags.free_trial_end_notified_5d = true;
-            }
-            if (daysRemaining === 3 && !state.free_trial_end_notified_3d) {
-                console.log(`[Scheduler] Notification: Website ${websiteId} free trial ends in 3 days.`);
-                await sendWarningNotification(websiteId, 'free_trial_end', 3);
-                updatedFlags.free_trial_end_notified_3d = true;
-            }
-            if (daysRemaining === 1 && !state.free_trial_end_notified_1d) { // Tomorrow
-                console.log(`[Scheduler] Notification: Website ${websiteId} free trial ends tomorrow.`);
-                await sendWarningNotification(websiteId, 'free_trial_end', 1);
-                updatedFlags.free_trial_end_notified_1d = true;
-            }
+    // --- Free Trial Monitoring (only while the plan is still trialing) ---
+    if (state.status === 'trialing' && state.free_trial_start_date) {
+        const trialEndDate = getEffectiveTrialEndDate(state, trialDays);
 
-            if (daysRemaining < 0 && !state.free_trial_ended_action_taken) { // Trial has passed
-                console.log(`[Scheduler] Action: Website ${websiteId} free trial has ended (past due). Notifying main service to downgrade.`);
-                try {
-                    await axios.put(`${mainBackendUrl}/api/websites/${websiteId}/free-trial-ended`, {}, {
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'x-plan-controller-api-key': process.env.PLAN_CONTROLLER_API_KEY
-                        }
-                    });
-                    console.log(`[Scheduler] Main service notified for free trial end of website ${websiteId}.`);
-                    updatedFlags.free_trial_ended_action_taken = true;
-                } catch (error) {
-                    console.error(`[Scheduler] Failed to notify main service for website ${websiteId} free trial end:`, error.message);
+        const daysRemaining = getDaysBetween(runAt, trialEndDate, timeZone);
+
+        notes.push(`Trial Start: ${toLocalDateString(state.free_trial_start_date, timeZone)}, Trial End Day (inclusive): ${toLocalDateString(trialEndDate, timeZone)}, Today: ${today} (${timeZone}), Days Remaining: ${daysRemaining}`);
+
+        if (daysRemaining >= 0) {
+            push(ladderWarningAction(
+                'free_trial_end', ladder.free_trial_end, trialEndDate, toPeriodKey(state.free_trial_start_date), runAt, schedule,
+                (offset) => paymentWarningMessage(websiteId, 'free_trial_end', offset, daysRemaining)
+            ));
+        }
+
+        if (daysRemaining <= 0 && !state.free_trial_ended_action_taken) { // Trial ends today or has passed
+            push({
+                type: 'free_trial_ended',
+                message: { eventType: 'free_trial_ended', method: 'PUT', path: `/api/websites/${websiteId}/free-trial-ended`, payload: {} }
+            });
+        }
+    }
+
+    // --- Dunning (payment failed: overdue warnings until the grace period ends, then suspension) ---
+    if (isInDunning(state)) {
+        if (state.suspended_at) return { actions, notes }; // Nothing left to do until the main service reports a payment
+
+        if (new Date(state.grace_period_ends_at) <= runAt) {
+            push({
+                type: 'site_suspended',
+                message: {
+                    eventType: 'site_suspended',
+                    method: 'POST',
+                    path: `/api/websites/${websiteId}/suspend`,
+                    payload: { reason: 'payment_overdue', paymentFailedAt: new Date(state.payment_failed_at).toISOString() }
                 }
-            } else if (daysRemaining === 0 && !state.free_trial_ended_action_taken) { // Trial ends today
-                console.log(`[Scheduler] Action: Website ${websiteId} free trial ends today. Notifying main service to downgrade.`);
-                try {
-                    await axios.put(`${mainBackendUrl}/api/websites/${websiteId}/free-trial-ended`, {}, {
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'x-plan-controller-api-key': process.env.PLAN_CONTROLLER_API_KEY
-                        }
-                    });
-                    console.log(`[Scheduler] Main service notified for free trial end of website ${websiteId}.`);
-                    updatedFlags.free_trial_ended_action_taken = true;
-                } catch (error) {
-                    console.error(`[Scheduler] Failed to notify main service for website ${websiteId} free trial end:`, error.message);
+            });
+            return { actions, notes };
+        }
+
+        const suspensionDay = startOfDay(state.grace_period_ends_at, timeZone);
+        const daysUntilSuspension = getDaysBetween(runAt, suspensionDay, timeZone);
+
+        notes.push(`In dunning since ${new Date(state.payment_failed_at).toISOString()}, grace period ends ${new Date(state.grace_period_ends_at).toISOString()}, Days until suspension: ${daysUntilSuspension}.`);
+
+        push(ladderWarningAction(
+            'payment_overdue', ladder.payment_overdue, suspensionDay, toPeriodKey(state.payment_failed_at), runAt, schedule,
+            (offset) => paymentOverdueMessage(state, ladder.payment_overdue, offset, daysUntilSuspension)
+        ));
+        return { actions, notes };
+    }
+
+    // --- Billing Date Monitoring (no billing warnings or rollovers while paused) ---
+    if (state.status !== 'paused' && state.next_billing_date) {
+        let billingDate = new Date(state.next_billing_date);
+
+        // The billing day has passed and the main service has not moved the date: start the next period
+        if (getDaysBetween(runAt, billingDate, timeZone) < 0) {
+            const rolledDate = getRolledBillingDate(state, billingInterval, runAt, timeZone);
+            push({
+                type: 'billing_period_rolled',
+                previousBillingDate: billingDate,
+                nextBillingDate: rolledDate,
+                billingInterval,
+                message: {
+                    eventType: 'billing_period_rolled',
+                    method: 'POST',
+                    path: `/api/websites/${websiteId}/billing-period-rolled`,
+                    payload: { previousBillingDate: billingDate.toISOString(), nextBillingDate: rolledDate.toISOString(), billingInterval }
                 }
-            }
+            });
+            billingDate = rolledDate;
         }
 
-        // --- Billing Date Monitoring ---
-        if (state.next_billing_date) {
-            const nextBillingDate = new Date(state.next_billing_date);
-            nextBillingDate.setHours(0, 0, 0, 0);
+        const nextBillingDate = startOfDay(billingDate, timeZone);
 
-            const daysUntilBilling = getDaysBetween(now, nextBillingDate);
+        const daysUntilBilling = getDaysBetween(runAt, nextBillingDate, timeZone);
 
-            console.log(`Website ${websiteId}: Next billing on ${nextBillingDate.toISOString().split('T')[0]}. Now: ${now.toISOString().split('T')[0]}, Days until billing: ${daysUntilBilling}. Flag: 3d=${state.billing_date_notified_3d}`);
+        notes.push(`Next billing on ${toLocalDateString(nextBillingDate, timeZone)}. Today: ${today} (${timeZone}), Days until billing: ${daysUntilBilling}.`);
 
-            if (daysUntilBilling === 5 && !state.billing_date_notified_5d) { // Assuming a 5-day warning
-                console.log(`[Scheduler] Notification: Website ${websiteId} next billing date is in 5 days.`);
-                await sendWarningNotification(websiteId, 'billing', 5, nextBillingDate);
-                updatedFlags.billing_date_notified_5d = true;
+        if (daysUntilBilling >= 0) {
+            push(ladderWarningAction(
+                'billing', ladder.billing, nextBillingDate, toPeriodKey(billingDate), runAt, schedule,
+                (offset) => paymentWarningMessage(websiteId, 'billing', offset, daysUntilBilling, nextBillingDate)
+            ));
+        }
+    }
+
+    return { actions, notes };
+}
+
+/**
+ * Performs one action decided by evaluatePlanState(). State change, audit event and outbound message
+ * are written together; the outbox dispatcher delivers the message.
+ * @param {object} state - plan_states row; next_billing_date is updated in place when a rollover applies.
+ * @param {object} action
+ * @returns {Promise<'applied' | 'unchanged' | 'stale'>} 'unchanged' if it had already been done (e.g. by another
+ *     replica); 'stale' if the row changed underneath and the remaining actions must not be applied.
+ */
+async function applyAction(state, action) {
+    const websiteId = state.website_id;
+
+    switch (action.type) {
+        case 'notification': {
+            const isNew = await recordNotificationWithMessage(websiteId, action.eventType, action.offset, action.periodKey, action.message);
+            if (isNew) {
+                log.info('Warning queued.', { type: action.eventType, offset: action.offset, payload: action.message.payload });
             }
-            if (daysUntilBilling === 3 && !state.billing_date_notified_3d) {
-                console.log(`[Scheduler] Notification: Website ${websiteId} next billing date is in 3 days.`);
-                await sendWarningNotification(websiteId, 'billing', 3, nextBillingDate);
-                updatedFlags.billing_date_notified_3d = true;
+            return isNew ? 'applied' : 'unchanged';
+        }
+        case 'free_trial_ended': {
+            const isNew = await markFreeTrialEnded(websiteId, action.message);
+            if (isNew) {
+                log.info('Free trial has ended; main service notification queued to downgrade.');
             }
-            if (daysUntilBilling === 1 && !state.billing_date_notified_1d) { // Tomorrow
-                console.log(`[Scheduler] Notification: Website ${websiteId} next billing date is tomorrow.`);
-                await sendWarningNotification(websiteId, 'billing', 1, nextBillingDate);
-                updatedFlags.billing_date_notified_1d = true;
+            return isNew ? 'applied' : 'unchanged';
+        }
+        case 'billing_period_rolled': {
+            const rolled = await rollBillingPeriod(websiteId, action.previousBillingDate, action.nextBillingDate, action.message);
+            if (!rolled) return 'stale'; // The main service set a new date meanwhile; it is picked up next run
+            log.info('Billing period rolled.', {
+                previousBillingDate: action.previousBillingDate.toISOString(),
+                nextBillingDate: action.nextBillingDate.toISOString(),
+                billingInterval: action.billingInterval
+            });
+            state.next_billing_date = action.nextBillingDate;
+            return 'applied';
+        }
+        case 'site_suspended': {
+            const isNew = await suspendForNonPayment(websiteId, action.message);
+            if (isNew) {
+                log.info('Grace period ended without payment; main service notification queued to suspend.');
             }
+            return isNew ? 'applied' : 'unchanged';
         }
+        default:
+            throw new Error(`Unknown scheduler action '${action.type}'.`);
+    }
+}
 
-        // --- Update Notification Flags in DB if any were changed ---
-        if (Object.keys(updatedFlags).length > 0) {
-            await updatePlanStateNotificationFlags(websiteId, updatedFlags);
+// Evaluates one website and applies the resulting actions in order, counting them in the run's stats.
+// Logged within the website's log context, so every line carries its websiteId.
+async function processPlanState(state, context, stats) {
+    const { actions, notes } = evaluatePlanState(state, context);
+    for (const note of notes) {
+        log.debug(note);
+    }
+    for (const action of actions) {
+        let outcome;
+        try {
+            outcome = await applyAction(state, action);
+        } catch (error) {
+            if (action.type === 'notification') {
+                stats.notificationsFailed++;
+                notificationsTotal.inc({ type: action.eventType, offset: action.offset, outcome: 'failed' });
+            }
+            throw error;
+        }
+        if (outcome === 'stale') break;
+        if (outcome === 'applied') {
+            if (action.type === 'notification') {
+                stats.notificationsSent++;
+                notificationsTotal.inc({ type: action.eventType, offset: action.offset, outcome: 'sent' });
+            } else {
+                stats.actionsTaken++;
+                actionsTotal.inc({ action: action.type });
+            }
         }
     }
 }
 
-function startScheduler() {
-    const intervalMinutes = parseInt(process.env.SCHEDULER_INTERVAL_MINUTES || '60', 10);
-    if (isNaN(intervalMinutes) || intervalMinutes <= 0) {
-        console.error('Invalid SCHEDULER_INTERVAL_MINUTES. Scheduler will not start.');
+/**
+ * Loads the values every website's evaluation depends on: per-plan trial length and ladder (falling
+ * back to the FREE_TRIAL_DURATION_DAYS and NOTIFICATION_LADDER shared variables) and the send time.
+ * @param {Date} runAt
+ * @returns {Promise<object>} Context for evaluatePlanState() and computeNextCheckAt().
+ */
+async function loadRunContext(runAt) {
+    // Read once, so the whole run uses the same values even if the shared variables change meanwhile
+    const freeTrialDuration = freeTrialDurationDays;
+    const ladder = loadNotificationLadder();
+    const sendTime = loadNotificationSendTime();
+
+    const defaultSettings = resolvePlanSettings(null, { trialDays: freeTrialDuration, ladder });
+    const planSettings = new Map((await listPlans()).map(plan => [
+        plan.plan_id, resolvePlanSettings(plan, { trialDays: freeTrialDuration, ladder })
+    ]));
+    return { freeTrialDuration, ladder, planSettings, defaultSettings, sendTime, runAt };
+}
+
+// Processes one claimed batch and stores each website's next check
+async function processBatch(batch, context, stats) {
+    let skipped = 0;
+    const nextChecks = await mapWithConcurrency(batch, PROCESS_CONCURRENCY, async (state) => {
+        if (stopRequested) {
+            // Still due; claimed by this run, so other replicas take it once the claim is half an interval old
+            skipped++;
+            return null;
+        }
+        try {
+            await runWithLogContext({ websiteId: state.website_id }, () => processPlanState(state, context, stats));
+            return { websiteId: state.website_id, nextCheckKey: state.next_check_key, nextCheckAt: computeNextCheckAt(state, context) };
+        } catch (error) {
+            // Left due, so the website is retried on the next run
+            log.error('Failed to process website.', { websiteId: state.website_id, error: error.message });
+            stats.siteErrors.push({ websiteId: state.website_id, error: error.message, at: new Date().toISOString() });
+            return null;
+        }
+    });
+    await setNextCheckTimes(nextChecks.filter(Boolean));
+    stats.rowsScanned += batch.length - skipped;
+    websitesScanned.inc({}, batch.length - skipped);
+    if (stopRequested) {
+        stats.stoppedByShutdown = true;
+    }
+}
+
+/**
+ * The body of a scheduler run: applies due lifecycle transitions, then claims and processes every due
+ * website (or, for a scoped run, the given websites whether due or not).
+ * @param {Date} runAt
+ * @param {Array<string> | null} websiteIds
+ * @param {object} stats - Counters, filled in as the run goes.
+ */
+async function executeRun(runAt, websiteIds, stats) {
+    const context = await loadRunContext(runAt);
+    const { freeTrialDuration, ladder } = context;
+
+    log.debug('Run settings.', {
+        // For plans without their own trial length
+        freeTrialDurationDays: freeTrialDuration,
+        mainBackendUrl,
+        ladder: Object.fromEntries(Object.entries(ladder).map(([type, offsets]) => [type, offsets.map(o => o.key)]))
+    });
+
+    // --- Time-based lifecycle transitions (scheduled resumes and cancellations) ---
+    const { resumed, canceled } = await applyScheduledTransitions(runAt, websiteIds);
+    if (resumed.length || canceled.length) {
+        log.info('Applied scheduled lifecycle transitions.', { resumed, canceled });
+    }
+    stats.actionsTaken += resumed.length + canceled.length;
+    actionsTotal.inc({ action: 'resumed' }, resumed.length);
+    actionsTotal.inc({ action: 'canceled' }, canceled.length);
+
+    if (websiteIds) {
+        await processBatch(await claimPlanStatesByIds(runAt, websiteIds), context, stats);
         return;
     }
 
+    // Rows stamped by any replica within the last half interval belong to a run that is already
+    // covering them (possibly this one), so replicas ticking together split the work instead of repeating it.
+    const claimedBefore = new Date(runAt.getTime() - (getIntervalMinutes() * 60 * 1000) / 2);
+    const deadline = Date.now() + getRunBudgetMs(); // Wall-clock time, whatever clock the run's decisions use
+
+    let after = null;
+    let batch;
+    do {
+        if (stopRequested) {
+            stats.stoppedByShutdown = true;
+            break;
+        }
+        if (Date.now() >= deadline) {
+            log.warn('Run budget exhausted; remaining websites stay due for the next run.', { websitesScanned: stats.rowsScanned });
+            stats.budgetExhausted = true;
+            break;
+        }
+
+        batch = await claimDuePlanStates(runAt, claimedBefore, CLAIM_BATCH_SIZE, after);
+        if (batch.length === 0) break;
+        const last = batch[batch.length - 1];
+        after = { nextCheckKey: last.next_check_key, websiteId: last.website_id };
+
+        await processBatch(batch, context, stats);
+    } while (batch.length === CLAIM_BATCH_SIZE);
+}
+
+// Runs its process left behind as 'running' are long over once they are older than this
+function getAbandonedRunAgeMs() {
+    return 2 * Math.max(getIntervalMinutes() * 60 * 1000, getRunBudgetMs());
+}
+
+/**
+ * Starts a scheduler run and records it in scheduler_runs. Only one run at a time per process;
+ * other replicas are kept apart by the claims.
+ * @param {object} [options]
+ * @param {'cron' | 'manual'} [options.trigger]
+ * @param {string} [options.requestedBy] - Who started the run, recorded on the run.
+ * @param {Array<string> | null} [options.websiteIds] - Limit the run to these websites.
+ * @param {object} [options.clock] - Source of the run's time (see utils/clock.js).
+ * @returns {Promise<{run: object, completion: Promise<object | null>}>} The run record as started, and a promise
+ *     for the finished record (null if the outcome could not be recorded).
+ * @throws {ConflictError} If a run is already in progress.
+ * @throws {ServiceUnavailableError} If the scheduler is shutting down.
+ */
+async function startSchedulerRun({ trigger = 'cron', requestedBy = SCHEDULER_ACTOR, websiteIds = null, clock = systemClock } = {}) {
+    if (stopRequested) {
+        throw new ServiceUnavailableError('The scheduler is shutting down.', 'SCHEDULER_STOPPING');
+    }
+    if (isRunning) {
+        throw new ConflictError('A scheduler run is already in progress.');
+    }
+    isRunning = true;
+    runOver = new Promise((resolve) => {
+        markRunOver = resolve;
+    });
+
+    let run;
+    try {
+        await failAbandonedSchedulerRuns(new Date(Date.now() - getAbandonedRunAgeMs()));
+        run = await createSchedulerRun({ trigger, requestedBy, websiteIds });
+    } catch (error) {
+        isRunning = false;
+        markRunOver();
+        throw error;
+    }
+
+    const runAt = clock.now();
+    log.info('Scheduler run started.', { runId: run.id, runAt: runAt.toISOString(), trigger, requestedBy, websiteIds });
+
+    // Everything the run logs carries its runId
+    const completion = runWithLogContext({ runId: run.id }, async () => {
+        const startedAt = Date.now();
+        const stats = { rowsScanned: 0, actionsTaken: 0, notificationsSent: 0, notificationsFailed: 0, siteErrors: [], budgetExhausted: false };
+        let status = 'succeeded';
+        let runError = null;
+        try {
+            await executeRun(runAt, websiteIds, stats);
+            if (stats.stoppedByShutdown) {
+                throw new Error('Stopped by shutdown; websites not processed stay due for the next run.');
+            }
+            log.info('Scheduler run finished.', {
+                websitesScanned: stats.rowsScanned,
+                websitesFailed: stats.siteErrors.length,
+                notificationsSent: stats.notificationsSent,
+                actionsTaken: stats.actionsTaken,
+                durationMs: Date.now() - startedAt
+            });
+        } catch (error) {
+            // Stopping for a shutdown is expected, not an incident
+            (stats.stoppedByShutdown ? log.warn : log.error)('Scheduler run failed.', { error: error.message });
+            status = 'failed';
+            runError = error.message;
+        }
+        runDuration.observe({ trigger, status }, (Date.now() - startedAt) / 1000);
+        if (status === 'succeeded') {
+            lastSuccess.set({ trigger }, Date.now() / 1000);
+        }
+
+        let finished = null;
+        try {
+            finished = await finishSchedulerRun(run.id, { status, stats, error: runError });
+        } catch (error) {
+            // Logged by the service; the record is marked abandoned by a later run
+        } finally {
+            isRunning = false;
+            markRunOver();
+        }
+
+        // Deliver the messages queued by this run right away instead of waiting for the next poll
+        dispatchOutbox();
+        return finished;
+    });
+
+    return { run, completion };
+}
+
+/**
+ * One full scheduler run, as started by the cron tick.
+ * @param {object} [clock] - Source of the run's time (see utils/clock.js).
+ */
+async function checkAndTriggerEvents(clock = systemClock) {
+    // A slow run must not overlap with the next tick of this process
+    if (isRunning) {
+        log.warn('Previous run still in progress, skipping this tick.');
+        return;
+    }
+    try {
+        const { completion } = await startSchedulerRun({ trigger: 'cron', clock });
+        await completion;
+    } catch (error) {
+        log.error('Could not start run.', { error: error.message });
+    }
+
+    // Housekeeping that rides on the tick: Idempotency-Key records past their retention
+    try {
+        const deleted = await deleteExpiredIdempotencyKeys();
+        if (deleted > 0) {
+            log.info('Deleted expired idempotency keys.', { deleted });
+        }
+    } catch (error) {
+        // Logged by the service; tried again on the next tick
+    }
+}
+
+// Next check times are computed from these, so a change can move checks earlier than stored
+const SCHEDULING_VARIABLES = ['FREE_TRIAL_DURATION_DAYS', 'NOTIFICATION_LADDER', 'NOTIFICATION_SEND_TIME'];
+
+async function recheckAfterSettingsChange(changes) {
+    const websites = await markAllPlanStatesDue();
+    log.info('Scheduling settings changed; every website is checked on the next run.', {
+        variables: changes.map(change => change.name),
+        websites
+    });
+}
+
+function startScheduler() {
+    const intervalMinutes = getIntervalMinutes();
+
+    // Registered here rather than at load time: restoring the last-known-good values at startup is not a change
+    onSharedConfigChange(SCHEDULING_VARIABLES, recheckAfterSettingsChange);
+
+    schedulerStartedAt = new Date();
     // Run immediately on start, then periodically
     checkAndTriggerEvents();
 
-    cron.schedule(`*/${intervalMinutes} * * * *`, () => {
-        console.log(`[Scheduler] Scheduled task triggered (every ${intervalMinutes} minutes).`);
+    cronTask = cron.schedule(`*/${intervalMinutes} * * * *`, () => {
+        log.debug('Scheduled task triggered.', { intervalMinutes });
         checkAndTriggerEvents();
     });
 
-    console.log(`[Scheduler] Started cron job to run every ${intervalMinutes} minutes.`);
+    log.info('Started cron job.', { intervalMinutes });
+}
+
+/**
+ * Stops the cron schedule and lets a run in progress finish the websites it is processing; the others
+ * stay due. The run is recorded as failed ('Stopped by shutdown').
+ * @returns {Promise<void>} Resolves once no run is in progress.
+ */
+async function stopScheduler() {
+    stopRequested = true;
+    cronTask?.stop();
+    if (isRunning) {
+        log.info('Waiting for the scheduler run in progress to stop.');
+        await runOver;
+    }
+}
+
+/**
+ * Whether the cron schedule is running and a run is in progress, for the readiness probe.
+ * @returns {{started: boolean, startedAt: Date | null, intervalMinutes: number, running: boolean}}
+ */
+function getSchedulerStatus() {
+    return {
+        started: schedulerStartedAt !== null,
+        startedAt: schedulerStartedAt,
+        intervalMinutes: getIntervalMinutes(),
+        running: isRunning
+    };
 }
 
-export { startScheduler };
\ No newline at end of file
+export {
+    startScheduler,
+    stopScheduler,
+    getSchedulerStatus,
+    startSchedulerRun,
+    checkAndTriggerEvents,
+    evaluatePlanState,
+    computeNextCheckAt,
+    loadRunContext,
+    isInDunning,
+    getIntervalMinutes
+};
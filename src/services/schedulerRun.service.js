@@ -0,0 +1,158 @@
+// src/services/schedulerRun.service.js
+import { db } from '../config/db.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('SchedulerRunService');
+
+// Per-site errors kept on a run record; sites_failed still counts all of them
+const MAX_STORED_SITE_ERRORS = 100;
+
+/**
+ * Records the start of a scheduler run.
+ * @param {object} options
+ * @param {'cron' | 'manual'} options.trigger
+ * @param {string} options.requestedBy - Who started the run ('scheduler' for cron ticks).
+ * @param {Array<string> | null} [options.websiteIds] - Websites the run is limited to; null for a full run.
+ * @returns {Promise<any>} The run record.
+ */
+async function createSchedulerRun({ trigger, requestedBy, websiteIds = null }) {
+    try {
+        const query = `
+            INSERT INTO scheduler_runs (trigger, requested_by, website_ids)
+            VALUES ($1, $2, $3)
+            RETURNING *;
+        `;
+        const result = await db.query(query, [trigger, requestedBy, websiteIds]);
+        return result.rows[0];
+    } catch (error) {
+        log.error('Error recording scheduler run start.', { error });
+        throw new Error('Failed to record scheduler run.', { cause: error });
+    }
+}
+
+/**
+ * Records the outcome of a scheduler run.
+ * @param {string|number} id
+ * @param {object} outcome
+ * @param {'succeeded' | 'failed'} outcome.status
+ * @param {object} outcome.stats - Counters collected during the run.
+ * @param {string | null} [outcome.error] - Why the run as a whole failed.
+ * @returns {Promise<any | null>} The updated run record.
+ */
+async function finishSchedulerRun(id, { status, stats, error = null }) {
+    try {
+        const query = `
+            UPDATE scheduler_runs
+            SET status = $2, finished_at = CURRENT_TIMESTAMP, rows_scanned = $3, actions_taken = $4,
+                notifications_sent = $5, notifications_failed = $6, sites_failed = $7, budget_exhausted = $8,
+                site_errors = $9, error = $10
+            WHERE id = $1
+            RETURNING *;
+        `;
+        const result = await db.query(query, [
+            id,
+            status,
+            stats.rowsScanned,
+            stats.actionsTaken,
+            stats.notificationsSent,
+            stats.notificationsFailed,
+            stats.siteErrors.length,
+            stats.budgetExhausted,
+            JSON.stringify(stats.siteErrors.slice(0, MAX_STORED_SITE_ERRORS)),
+            error
+        ]);
+        return result.rows[0] || null;
+    } catch (err) {
+        log.error('Error recording outcome of scheduler run.', { runId: id, error: err });
+        throw new Error('Failed to record scheduler run outcome.', { cause: err });
+    }
+}
+
+/**
+ * Marks runs that have been 'running' since before the given time as failed. Their process died
+ * (crash, deploy) before it could record the outcome.
+ * @param {Date} startedBefore
+ * @returns {Promise<number>} Number of runs marked.
+ */
+async function failAbandonedSchedulerRuns(startedBefore) {
+    try {
+        const query = `
+            UPDATE scheduler_runs
+            SET status = 'failed', finished_at = CURRENT_TIMESTAMP, error = 'Abandoned: the run never reported an outcome.'
+            WHERE status = 'running' AND started_at < $1;
+        `;
+        const result = await db.query(query, [startedBefore]);
+        return result.rowCount;
+    } catch (error) {
+        log.error('Error failing abandoned scheduler runs.', { error });
+        throw new Error('Failed to clean up abandoned scheduler runs.', { cause: error });
+    }
+}
+
+/**
+ * Lists scheduler runs, newest first.
+ * @param {object} options
+ * @param {string} [options.status] - Only runs with this status.
+ * @param {number} [options.limit]
+ * @param {string|number} [options.beforeId] - Only runs with a smaller id (cursor).
+ * @returns {Promise<Array<any>>}
+ */
+async function listSchedulerRuns({ status, limit = 50, beforeId } = {}) {
+    try {
+        const query = `
+            SELECT * FROM scheduler_runs
+            WHERE ($1::text IS NULL OR status = $1) AND ($2::bigint IS NULL OR id < $2)
+            ORDER BY id DESC
+            LIMIT $3;
+        `;
+        const result = await db.query(query, [status || null, beforeId || null, limit]);
+        return result.rows;
+    } catch (error) {
+        log.error('Error listing scheduler runs.', { error });
+        throw new Error('Failed to list scheduler runs.', { cause: error });
+    }
+}
+
+/**
+ * Retrieves a single scheduler run.
+ * @param {string|number} id
+ * @returns {Promise<any | null>} The run, or null if not found.
+ */
+async function getSchedulerRun(id) {
+    try {
+        const result = await db.query(`SELECT * FROM scheduler_runs WHERE id = $1;`, [id]);
+        return result.rows[0] || null;
+    } catch (error) {
+        log.error('Error getting scheduler run.', { runId: id, error });
+        throw new Error('Failed to retrieve scheduler run.', { cause: error });
+    }
+}
+
+/**
+ * When the last run covering all websites finished successfully.
+ * @returns {Promise<Date | null>}
+ */
+async function getLastSuccessfulRunAt() {
+    try {
+        const query = `
+            SELECT finished_at FROM scheduler_runs
+            WHERE status = 'succeeded' AND website_ids IS NULL
+            ORDER BY id DESC
+            LIMIT 1;
+        `;
+        const result = await db.query(query);
+        return result.rows[0]?.finished_at || null;
+    } catch (error) {
+        log.error('Error getting last successful scheduler run.', { error });
+        throw new Error('Failed to retrieve last successful scheduler run.', { cause: error });
+    }
+}
+
+export {
+    createSchedulerRun,
+    finishSchedulerRun,
+    failAbandonedSchedulerRuns,
+    listSchedulerRuns,
+    getSchedulerRun,
+    getLastSuccessfulRunAt
+};
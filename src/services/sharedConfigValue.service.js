@@ -0,0 +1,54 @@
+// src/services/sharedConfigValue.service.js
+// Last-known-good values of shared variables (see config/sharedConfig.js).
+import { db } from '../config/db.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('SharedConfigValueService');
+
+/**
+ * Lists the stored values.
+ * @returns {Promise<Array<{name: string, value: any, updated_at: Date}>>} value is the raw value as fetched.
+ */
+async function listSharedConfigValues() {
+    try {
+        const result = await db.query('SELECT name, value, updated_at FROM shared_config_values;');
+        return result.rows;
+    } catch (error) {
+        log.error('Error listing stored shared variables.', { error });
+        throw new Error('Failed to list stored shared variables.', { cause: error });
+    }
+}
+
+/**
+ * Stores the value of a shared variable, replacing the previous one.
+ * @param {string} name
+ * @param {any} value - Raw value as fetched from the shared-variables service (any JSON value).
+ */
+async function saveSharedConfigValue(name, value) {
+    try {
+        const query = `
+            INSERT INTO shared_config_values (name, value, updated_at)
+            VALUES ($1, $2::jsonb, CURRENT_TIMESTAMP)
+            ON CONFLICT (name) DO UPDATE SET value = EXCLUDED.value, updated_at = EXCLUDED.updated_at;
+        `;
+        await db.query(query, [name, JSON.stringify(value)]);
+    } catch (error) {
+        log.error('Error storing shared variable.', { variable: name, error });
+        throw new Error('Failed to store shared variable.', { cause: error });
+    }
+}
+
+/**
+ * Removes the stored value of a shared variable.
+ * @param {string} name
+ */
+async function deleteSharedConfigValue(name) {
+    try {
+        await db.query('DELETE FROM shared_config_values WHERE name = $1;', [name]);
+    } catch (error) {
+        log.error('Error removing stored shared variable.', { variable: name, error });
+        throw new Error('Failed to remove stored shared variable.', { cause: error });
+    }
+}
+
+export { listSharedConfigValues, saveSharedConfigValue, deleteSharedConfigValue };
@@ -0,0 +1,149 @@
+// src/services/simulation.service.js
+// Dry runs of the scheduler. Websites are stepped through time in memory, using the scheduler's own
+// decision logic (evaluatePlanState / computeNextCheckAt), so nothing is sent and nothing is written.
+import { evaluatePlanState, computeNextCheckAt, loadRunContext, getIntervalMinutes } from './scheduler.js';
+import { listSentNotifications } from './planNotification.service.js';
+import { systemClock } from '../utils/clock.js';
+import { DEFAULT_TIMEZONE, toLocalDateString } from '../utils/dates.js';
+
+// Safety net against runaway loops; a year of daily checks is well below this
+const MAX_STEPS_PER_WEBSITE = 5000;
+
+const STATE_CHANGING_ACTIONS = ['free_trial_ended', 'billing_period_rolled', 'site_suspended', 'status_changed'];
+
+function ledgerKey(websiteId, eventType, offsetKey, periodKey) {
+    return `${websiteId}|${eventType}|${offsetKey}|${periodKey}`;
+}
+
+// The scheduled resumes and cancellations applyScheduledTransitions() would make at the given time
+function scheduledTransitionActions(state, at) {
+    if (state.status !== 'canceled' && state.cancel_at && new Date(state.cancel_at) <= at) {
+        return [{ type: 'status_changed', from: state.status, to: 'canceled' }];
+    }
+    if (state.status === 'paused' && state.resume_at && new Date(state.resume_at) <= at) {
+        return [{ type: 'status_changed', from: 'paused', to: 'active' }];
+    }
+    return [];
+}
+
+// The row as it would look after the action was applied
+function applyToSimulatedState(state, action, at) {
+    switch (action.type) {
+        case 'free_trial_ended':
+            return { ...state, free_trial_ended_action_taken: true, status: state.status === 'trialing' ? 'active' : state.status };
+        case 'billing_period_rolled':
+            return { ...state, next_billing_date: action.nextBillingDate };
+        case 'site_suspended':
+            return { ...state, suspended_at: at };
+        case 'status_changed':
+            return action.to === 'canceled'
+                ? { ...state, status: 'canceled', canceled_at: at, cancel_at: null, resume_at: null }
+                : { ...state, status: action.to, resume_at: null };
+        default:
+            return state;
+    }
+}
+
+// Next tick of the cron schedule at or after the given time
+function nextRunAt(date, intervalMs) {
+    return new Date(Math.ceil(date.getTime() / intervalMs) * intervalMs);
+}
+
+function describeAction(action, at) {
+    const { message, previousBillingDate, nextBillingDate, ...rest } = action;
+    return {
+        at: at.toISOString(),
+        ...rest,
+        ...(previousBillingDate ? { previousBillingDate: previousBillingDate.toISOString() } : {}),
+        ...(nextBillingDate ? { nextBillingDate: nextBillingDate.toISOString() } : {}),
+        ...(message ? { message } : {})
+    };
+}
+
+/**
+ * Steps one website from `startAt` to `to`, visiting it whenever the scheduler would, and collects
+ * the actions taken at or after `from`, grouped by day in the website's timezone.
+ * @param {object} state - plan_states row.
+ * @param {object} baseContext - Run context from loadRunContext().
+ * @param {Set<string>} sent - Ledger keys of notifications already sent; extended as the simulation sends more.
+ * @param {{startAt: Date, from: Date, to: Date}} window
+ * @returns {Array<{date: string, actions: Array<object>}>}
+ */
+function simulateWebsite(state, baseContext, sent, { startAt, from, to }) {
+    const intervalMs = getIntervalMinutes() * 60 * 1000;
+    const timeZone = state.timezone || DEFAULT_TIMEZONE;
+    const days = new Map();
+    let current = { ...state };
+    let at = startAt;
+
+    for (let step = 0; step < MAX_STEPS_PER_WEBSITE && at <= to; step++) {
+        const context = { ...baseContext, runAt: at };
+        const taken = [];
+
+        // Same order as a real run: lifecycle transitions first, then the website's own checks
+        for (const action of scheduledTransitionActions(current, at)) {
+            taken.push(action);
+            current = applyToSimulatedState(current, action, at);
+        }
+        for (const action of evaluatePlanState(current, context).actions) {
+            if (action.type === 'notification') {
+                const key = ledgerKey(current.website_id, action.eventType, action.offset, action.periodKey);
+                if (sent.has(key)) continue;
+                sent.add(key);
+            }
+            taken.push(action);
+            current = applyToSimulatedState(current, action, at);
+        }
+
+        if (taken.length && at >= from) {
+            const date = toLocalDateString(at, timeZone);
+            days.set(date, [...(days.get(date) || []), ...taken.map(action => describeAction(action, at))]);
+        }
+
+        // When the next real run would look at the website again: its next check, a pending resume or
+        // cancellation, or (after a change to the row, which pulls next_check_at forward) the next tick
+        const candidates = [computeNextCheckAt(current, context), current.resume_at, current.cancel_at]
+            .filter(Boolean)
+            .map(date => new Date(date))
+            .filter(date => date > at);
+        if (taken.some(action => STATE_CHANGING_ACTIONS.includes(action.type))) {
+            candidates.push(new Date(at.getTime() + intervalMs));
+        }
+        if (candidates.length === 0) break;
+        const next = nextRunAt(new Date(Math.min(...candidates.map(date => date.getTime()))), intervalMs);
+        // There is always a run exactly at `from`, so a single-instant simulation (asOf) evaluates that moment
+        at = at < from && next > from ? from : next;
+    }
+
+    return [...days.entries()].map(([date, actions]) => ({ date, actions }));
+}
+
+/**
+ * Simulates what the scheduler would do for the given websites between `from` and `to` (inclusive),
+ * starting from their current stored state and notification ledger. When `from` lies in the future,
+ * the days up to it are simulated too (so notifications sent before `from` are not repeated), but
+ * only actions from `from` on are returned. With from === to the result is a single run at that time.
+ * @param {Array<object>} states - plan_states rows.
+ * @param {object} options
+ * @param {Date} options.from
+ * @param {Date} options.to
+ * @param {object} [options.clock] - Source of the current time (see utils/clock.js).
+ * @returns {Promise<Array<{websiteId: string, timezone: string, days: Array<object>}>>}
+ */
+async function simulatePlanStates(states, { from, to, clock = systemClock }) {
+    const now = clock.now();
+    const startAt = from > now ? now : from;
+    const baseContext = await loadRunContext(startAt);
+    const sent = new Set(
+        (await listSentNotifications(states.map(state => state.website_id)))
+            .map(row => ledgerKey(row.website_id, row.event_type, row.offset_key, row.period_key))
+    );
+
+    return states.map(state => ({
+        websiteId: state.website_id,
+        timezone: state.timezone || DEFAULT_TIMEZONE,
+        days: simulateWebsite(state, baseContext, sent, { startAt, from, to })
+    }));
+}
+
+export { simulatePlanStates };
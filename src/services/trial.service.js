@@ -0,0 +1,248 @@
+// src/services/trial.service.js
+// Support actions on a running free trial: extend it, end it early or convert it to paid. Each one
+// changes only the trial fields, records the reason in the audit log and tells the main service the
+// new trial end date in the same statement.
+import { db } from '../config/db.js';
+import { getPlanState, versionMatches, versionsParam, assertExpectedVersion } from './planState.service.js';
+import { getPlan } from './plan.service.js';
+import { auditedMutationCtes } from './planStateEvent.service.js';
+import { listSentNotifications } from './planNotification.service.js';
+import { outboxInsertFromCte, outboxParams } from './outbox.service.js';
+import { loadNotificationSendTime, parseOffset, nextOffsetTriggerAt } from './notificationLadder.js';
+import { freeTrialDurationDays } from '../config/services.js';
+import { NotFoundError, ConflictError } from '../utils/errors.js';
+import { DEFAULT_TIMEZONE, startOfDay, addDays, getTrialEndDate } from '../utils/dates.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('TrialService');
+
+// Only a trial the scheduler has not ended yet can be changed
+const IN_TRIAL_CONDITION = `status = 'trialing' AND free_trial_start_date IS NOT NULL AND free_trial_ended_action_taken IS NOT TRUE`;
+
+/**
+ * Start of the last day (inclusive) of a website's trial: the date set through the trial endpoints,
+ * or else the trial length counted from the start date.
+ * @param {object} state - plan_states row.
+ * @param {number} trialDays - Trial length of the website's plan.
+ * @returns {Date | null} null if the website has no trial.
+ */
+function getEffectiveTrialEndDate(state, trialDays) {
+    if (state.trial_end_override) {
+        return new Date(state.trial_end_override);
+    }
+    if (!state.free_trial_start_date) {
+        return null;
+    }
+    return getTrialEndDate(state.free_trial_start_date, trialDays, state.timezone || DEFAULT_TIMEZONE);
+}
+
+// Trial period key used by the notification ledger (UTC date of the trial start, as in the scheduler)
+function toTrialPeriodKey(state) {
+    return new Date(state.free_trial_start_date).toISOString().split('T')[0];
+}
+
+function isInTrial(state) {
+    return state.status === 'trialing' && Boolean(state.free_trial_start_date) && !state.free_trial_ended_action_taken;
+}
+
+// Loads the website and checks that its trial is still running (and that it has a version the caller expects)
+async function getRunningTrial(websiteId, expectedVersions) {
+    const state = await getPlanState(websiteId);
+    if (!state) {
+        throw new NotFoundError('Website plan state not found.');
+    }
+    assertExpectedVersion(state, expectedVersions);
+    if (!isInTrial(state)) {
+        throw new ConflictError('Website is not in a free trial.', 'NOT_IN_TRIAL');
+    }
+    const plan = await getPlan(state.plan_id);
+    return { state, trialEndDate: getEffectiveTrialEndDate(state, plan?.trial_days ?? freeTrialDurationDays) };
+}
+
+// Explains why a guarded trial update matched no row
+async function trialUpdateConflict(websiteId, expectedVersions) {
+    const latest = await getPlanState(websiteId);
+    if (!latest) {
+        return new NotFoundError('Website plan state not found.');
+    }
+    try {
+        assertExpectedVersion(latest, expectedVersions);
+    } catch (error) {
+        return error;
+    }
+    if (!isInTrial(latest)) {
+        return new ConflictError('Website is not in a free trial.', 'NOT_IN_TRIAL');
+    }
+    return new ConflictError('The trial was changed concurrently. Retry the request.', 'CONCURRENT_MODIFICATION');
+}
+
+/**
+ * Extends a running trial by whole days, counted from its current end in the website's timezone.
+ * Trial warnings already sent whose time now lies ahead again are cleared from the notification
+ * ledger, so they are sent again before the new end; billing warnings are left alone.
+ * @param {string} websiteId
+ * @param {object} options
+ * @param {number} options.days - Days to add.
+ * @param {string} options.reason - Why, kept in the audit log and sent to the main service.
+ * @param {string} actor - Who extended the trial, recorded in the audit log.
+ * @param {Array<number> | '*' | null} [expectedVersions] - From If-Match: only change the website if it has one of these versions.
+ * @returns {Promise<{planState: any, trialEndDate: Date, previousTrialEndDate: Date, resetNotifications: Array<string>}>}
+ * @throws {NotFoundError | PreconditionFailedError | ConflictError}
+ */
+async function extendTrial(websiteId, { days, reason }, actor, expectedVersions = null) {
+    const { state, trialEndDate: previousTrialEndDate } = await getRunningTrial(websiteId, expectedVersions);
+    const timeZone = state.timezone || DEFAULT_TIMEZONE;
+    const trialEndDate = addDays(previousTrialEndDate, days, timeZone);
+
+    // Sent warnings that are not due yet against the new end date
+    const now = new Date();
+    const schedule = { timeZone, sendTime: loadNotificationSendTime() };
+    const periodKey = toTrialPeriodKey(state);
+    const resetNotifications = (await listSentNotifications([websiteId]))
+        .filter(row => row.event_type === 'free_trial_end' && row.period_key === periodKey)
+        .map(row => row.offset_key)
+        .filter(key => nextOffsetTriggerAt([parseOffset(key)], trialEndDate, now, schedule) !== null);
+
+    const message = {
+        eventType: 'free_trial_extended',
+        method: 'PUT',
+        path: `/api/websites/${websiteId}/free-trial-extended`,
+        payload: { trialEndDate: trialEndDate.toISOString(), previousTrialEndDate: previousTrialEndDate.toISOString(), days, reason }
+    };
+
+    let result;
+    try {
+        const query = `
+            ${auditedMutationCtes({
+                beforeWhere: 'website_id = $1',
+                eventType: `'trial_extended'`,
+                actor: '$2',
+                metadata: '$3',
+                mutation: `
+            UPDATE plan_states
+            SET trial_end_override = $4, updated_at = CURRENT_TIMESTAMP
+            WHERE website_id = $1 AND ${IN_TRIAL_CONDITION}
+                AND date_trunc('milliseconds', free_trial_start_date) = $5
+                AND trial_end_override IS NOT DISTINCT FROM $6
+                AND plan_id = $7 AND timezone = $8 AND ${versionMatches('$11')}
+            RETURNING *`
+            })},
+            reset AS (
+                DELETE FROM plan_notifications
+                WHERE website_id IN (SELECT website_id FROM changed)
+                    AND event_type = 'free_trial_end' AND period_key = $9 AND offset_key = ANY($10)
+            ),
+            trial_message AS (
+                ${outboxInsertFromCte('changed', 12)}
+            )
+            SELECT * FROM changed;
+        `;
+        const metadata = JSON.stringify({
+            reason,
+            days,
+            previousTrialEndDate: previousTrialEndDate.toISOString(),
+            trialEndDate: trialEndDate.toISOString(),
+            resetNotifications
+        });
+        result = await db.query(query, [
+            websiteId, actor, metadata, trialEndDate,
+            state.free_trial_start_date, state.trial_end_override, state.plan_id, state.timezone,
+            periodKey, resetNotifications, versionsParam(expectedVersions), ...outboxParams(message)
+        ]);
+    } catch (error) {
+        log.error('Error extending trial.', { websiteId, error });
+        throw new Error('Failed to extend trial.', { cause: error });
+    }
+
+    if (result.rowCount === 0) {
+        throw await trialUpdateConflict(websiteId, expectedVersions);
+    }
+
+    log.info('Extended trial.', { websiteId, days, trialEndDate: trialEndDate.toISOString(), resetNotifications });
+    return { planState: result.rows[0], trialEndDate, previousTrialEndDate, resetNotifications };
+}
+
+/**
+ * Finishes a running trial today, the way the scheduler does when a trial runs out (end early) or
+ * without the downgrade (convert to paid). Either way the plan becomes active and the scheduler
+ * sends no further trial warnings.
+ * @param {string} websiteId
+ * @param {'ended' | 'converted'} outcome
+ * @param {string} reason
+ * @param {string} actor
+ * @param {Array<number> | '*' | null} expectedVersions
+ * @returns {Promise<{planState: any, trialEndDate: Date, previousTrialEndDate: Date}>}
+ */
+async function finishTrial(websiteId, outcome, reason, actor, expectedVersions) {
+    const { state, trialEndDate: previousTrialEndDate } = await getRunningTrial(websiteId, expectedVersions);
+    const trialEndDate = startOfDay(new Date(), state.timezone || DEFAULT_TIMEZONE);
+
+    const payload = { trialEndDate: trialEndDate.toISOString(), previousTrialEndDate: previousTrialEndDate.toISOString(), reason };
+    // Ending early is the regular trial end for the main service (it downgrades the website)
+    const message = outcome === 'ended'
+        ? { eventType: 'free_trial_ended', method: 'PUT', path: `/api/websites/${websiteId}/free-trial-ended`, payload: { ...payload, endedEarly: true } }
+        : { eventType: 'free_trial_converted', method: 'PUT', path: `/api/websites/${websiteId}/free-trial-converted`, payload };
+
+    let result;
+    try {
+        const query = `
+            ${auditedMutationCtes({
+                beforeWhere: 'website_id = $1',
+                eventType: '$2',
+                actor: '$3',
+                metadata: '$4',
+                mutation: `
+            UPDATE plan_states
+            SET trial_end_override = $5, free_trial_ended_action_taken = TRUE,
+                status = 'active', status_changed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE website_id = $1 AND ${IN_TRIAL_CONDITION} AND ${versionMatches('$6')}
+            RETURNING *`
+            })},
+            trial_message AS (
+                ${outboxInsertFromCte('changed', 7)}
+            )
+            SELECT * FROM changed;
+        `;
+        const eventType = outcome === 'ended' ? 'trial_ended_early' : 'trial_converted';
+        const metadata = JSON.stringify({ reason, previousTrialEndDate: payload.previousTrialEndDate, trialEndDate: payload.trialEndDate });
+        result = await db.query(query, [websiteId, eventType, actor, metadata, trialEndDate, versionsParam(expectedVersions), ...outboxParams(message)]);
+    } catch (error) {
+        log.error('Error finishing trial.', { websiteId, outcome, error });
+        throw new Error(outcome === 'ended' ? 'Failed to end trial.' : 'Failed to convert trial.', { cause: error });
+    }
+
+    if (result.rowCount === 0) {
+        throw await trialUpdateConflict(websiteId, expectedVersions);
+    }
+
+    log.info(outcome === 'ended' ? 'Trial ended early.' : 'Trial converted to paid.', { websiteId, reason });
+    return { planState: result.rows[0], trialEndDate, previousTrialEndDate };
+}
+
+/**
+ * Ends a running trial today; the main service is told to downgrade the website, as when a trial runs out.
+ * @param {string} websiteId
+ * @param {{reason: string}} options
+ * @param {string} actor
+ * @param {Array<number> | '*' | null} [expectedVersions] - From If-Match: only change the website if it has one of these versions.
+ * @returns {Promise<{planState: any, trialEndDate: Date, previousTrialEndDate: Date}>}
+ * @throws {NotFoundError | PreconditionFailedError | ConflictError}
+ */
+async function endTrial(websiteId, { reason }, actor, expectedVersions = null) {
+    return finishTrial(websiteId, 'ended', reason, actor, expectedVersions);
+}
+
+/**
+ * Converts a running trial to a paid plan today; the main service is told the trial is over without a downgrade.
+ * @param {string} websiteId
+ * @param {{reason: string}} options
+ * @param {string} actor
+ * @param {Array<number> | '*' | null} [expectedVersions] - From If-Match: only change the website if it has one of these versions.
+ * @returns {Promise<{planState: any, trialEndDate: Date, previousTrialEndDate: Date}>}
+ * @throws {NotFoundError | PreconditionFailedError | ConflictError}
+ */
+async function convertTrial(websiteId, { reason }, actor, expectedVersions = null) {
+    return finishTrial(websiteId, 'converted', reason, actor, expectedVersions);
+}
+
+export { getEffectiveTrialEndDate, extendTrial, endTrial, convertTrial };
@@ -0,0 +1,185 @@
+// src/services/webhook.service.js
+// Webhook subscriptions and the signed envelope their deliveries carry.
+//
+// Receivers verify a delivery by recomputing the signature: HMAC-SHA256, keyed with the subscription
+// secret, over `${X-Webhook-Timestamp}.${raw request body}`, hex-encoded and compared in constant time
+// with the value after 'v1=' in X-Webhook-Signature. Deliveries whose timestamp is more than a few
+// minutes old should be rejected, and the envelope id (also sent as X-Webhook-Id) lets receivers drop
+// retries of an event they already handled.
+import crypto from 'crypto';
+import { db } from '../config/db.js';
+import { createLogger } from '../utils/logger.js';
+
+const log = createLogger('WebhookService');
+
+const WEBHOOK_ENVELOPE_VERSION = '1';
+
+// Every event type the service queues in the outbox
+const WEBHOOK_EVENT_TYPES = [
+    'payment_warning',
+    'free_trial_ended',
+    'free_trial_extended',
+    'free_trial_converted',
+    'billing_period_rolled',
+    'payment_overdue',
+    'site_suspended',
+    'site_restored'
+];
+
+// Writable subscription fields and their columns
+const WEBHOOK_COLUMNS = {
+    url: 'url',
+    eventTypes: 'event_types',
+    secret: 'secret',
+    description: 'description',
+    active: 'active'
+};
+
+// Secrets are only ever returned when they are created
+const PUBLIC_COLUMNS = 'id, url, event_types, description, active, created_at, updated_at';
+
+function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * Lists webhook subscriptions, without their secrets.
+ * @returns {Promise<Array<any>>}
+ */
+async function listWebhookSubscriptions() {
+    try {
+        const result = await db.query(`SELECT ${PUBLIC_COLUMNS} FROM webhook_subscriptions ORDER BY id;`);
+        return result.rows;
+    } catch (error) {
+        log.error('Error listing webhook subscriptions.', { error });
+        throw new Error('Failed to list webhook subscriptions.', { cause: error });
+    }
+}
+
+/**
+ * Retrieves a single webhook subscription, without its secret.
+ * @param {string|number} id
+ * @returns {Promise<any | null>} The subscription, or null if not found.
+ */
+async function getWebhookSubscription(id) {
+    try {
+        const result = await db.query(`SELECT ${PUBLIC_COLUMNS} FROM webhook_subscriptions WHERE id = $1;`, [id]);
+        return result.rows[0] || null;
+    } catch (error) {
+        log.error('Error getting webhook subscription.', { subscriptionId: id, error });
+        throw new Error('Failed to retrieve webhook subscription.', { cause: error });
+    }
+}
+
+/**
+ * Registers a webhook subscription. Events queued from now on are delivered to it.
+ * @param {object} fields - Values keyed by WEBHOOK_COLUMNS; url and eventTypes are required.
+ *     A secret is generated when none is given.
+ * @returns {Promise<any>} The subscription, including its secret.
+ */
+async function createWebhookSubscription(fields) {
+    const values = { ...fields, secret: fields.secret || generateWebhookSecret() };
+    const keys = Object.keys(values);
+
+    try {
+        const query = `
+            INSERT INTO webhook_subscriptions (${keys.map(key => WEBHOOK_COLUMNS[key]).join(', ')})
+            VALUES (${keys.map((key, index) => `$${index + 1}`).join(', ')})
+            RETURNING ${PUBLIC_COLUMNS}, secret;
+        `;
+        const result = await db.query(query, keys.map(key => values[key]));
+        log.info('Registered webhook subscription.', { subscriptionId: result.rows[0].id, eventTypes: values.eventTypes });
+        return result.rows[0];
+    } catch (error) {
+        log.error('Error creating webhook subscription.', { error });
+        throw new Error('Failed to create webhook subscription.', { cause: error });
+    }
+}
+
+/**
+ * Updates some fields of a webhook subscription. A new url or secret also applies to deliveries that
+ * are already queued; pending deliveries of a deactivated subscription are dead-lettered.
+ * @param {string|number} id
+ * @param {object} fields - Values keyed by WEBHOOK_COLUMNS.
+ * @returns {Promise<any | null>} The updated subscription (without its secret), or null if not found.
+ */
+async function updateWebhookSubscription(id, fields) {
+    const keys = Object.keys(fields);
+    const assignments = keys.map((key, index) => `${WEBHOOK_COLUMNS[key]} = $${index + 2}`);
+
+    try {
+        const query = `
+            UPDATE webhook_subscriptions
+            SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+            WHERE id = $1
+            RETURNING ${PUBLIC_COLUMNS};
+        `;
+        const result = await db.query(query, [id, ...keys.map(key => fields[key])]);
+        if (result.rowCount > 0) {
+            log.info('Updated webhook subscription.', { subscriptionId: id });
+        }
+        return result.rows[0] || null;
+    } catch (error) {
+        log.error('Error updating webhook subscription.', { subscriptionId: id, error });
+        throw new Error('Failed to update webhook subscription.', { cause: error });
+    }
+}
+
+/**
+ * Removes a webhook subscription together with its queued and past deliveries.
+ * @param {string|number} id
+ * @returns {Promise<any | null>} The deleted subscription, or null if not found.
+ */
+async function deleteWebhookSubscription(id) {
+    try {
+        const result = await db.query(`DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING ${PUBLIC_COLUMNS};`, [id]);
+        if (result.rowCount > 0) {
+            log.info('Deleted webhook subscription.', { subscriptionId: id });
+        }
+        return result.rows[0] || null;
+    } catch (error) {
+        log.error('Error deleting webhook subscription.', { subscriptionId: id, error });
+        throw new Error('Failed to delete webhook subscription.', { cause: error });
+    }
+}
+
+/**
+ * Builds the body and headers of one webhook delivery. The signature covers the delivery time, so
+ * every attempt is signed afresh; the envelope itself (and its id) is the same for every attempt.
+ * @param {object} message - Claimed outbox row of a webhook delivery (see claimDueMessages()).
+ * @param {Date} [now]
+ * @returns {{body: string, headers: object}}
+ */
+function buildWebhookDelivery(message, now = new Date()) {
+    const body = JSON.stringify({
+        version: WEBHOOK_ENVELOPE_VERSION,
+        id: message.event_id,
+        type: message.event_type,
+        createdAt: new Date(message.created_at).toISOString(),
+        websiteId: message.website_id,
+        data: message.payload
+    });
+    const timestamp = String(Math.floor(now.getTime() / 1000));
+    const signature = crypto.createHmac('sha256', message.webhook_secret).update(`${timestamp}.${body}`).digest('hex');
+
+    return {
+        body,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Webhook-Id': message.event_id,
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': `v1=${signature}`
+        }
+    };
+}
+
+export {
+    WEBHOOK_ENVELOPE_VERSION,
+    WEBHOOK_EVENT_TYPES,
+    listWebhookSubscriptions,
+    getWebhookSubscription,
+    createWebhookSubscription,
+    updateWebhookSubscription,
+    deleteWebhookSubscription,
+    buildWebhookDelivery
+};
@@ -0,0 +1,15 @@
+// src/utils/clock.js
+// Source of the current time for scheduler code. Runs take a clock instead of calling new Date()
+// directly, so the same decisions can be evaluated as of any moment (see the simulation endpoint).
+
+const systemClock = {
+    now: () => new Date()
+};
+
+// A clock that always reads the given instant
+function fixedClock(date) {
+    const instant = new Date(date).getTime();
+    return { now: () => new Date(instant) };
+}
+
+export { systemClock, fixedClock };
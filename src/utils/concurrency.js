@@ -0,0 +1,31 @@
+// src/utils/concurrency.js
+
+/**
+ * Runs an async function over items with at most `limit` calls in flight at once.
+ * Results are returned in input order; a rejection rejects the whole call, like Promise.all.
+ * @param {Array<any>} items
+ * @param {number} limit
+ * @param {function(any, number): Promise<any>} fn
+ * @returns {Promise<Array<any>>}
+ * @throws {RangeError} If limit is not a finite number (e.g. NaN from a malformed setting), rather than running nothing.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    if (!Number.isFinite(limit)) {
+        throw new RangeError(`Concurrency limit must be a finite number, got ${limit}.`);
+    }
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    async function worker() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+export { mapWithConcurrency };
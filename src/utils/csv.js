@@ -0,0 +1,81 @@
+// src/utils/csv.js
+// Minimal RFC 4180 CSV reading and writing for the plan state import/export. Fields may be quoted;
+// quoted fields can contain commas, doubled quotes and line breaks. Lines end in LF or CRLF.
+
+/**
+ * Splits CSV text into records.
+ * @param {string} text
+ * @returns {Array<{line: number, fields: Array<string>}>} Records with the line they start on; blank lines are skipped.
+ * @throws {Error} If a quoted field is not closed.
+ */
+function parseCsv(text) {
+    const records = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+    let quoteLine = 1;
+
+    const endRecord = () => {
+        fields.push(field);
+        // A line holding nothing at all is not a record
+        if (fields.length > 1 || fields[0] !== '') {
+            records.push({ line: recordLine, fields });
+        }
+        fields = [];
+        field = '';
+    };
+
+    // Byte order mark written by spreadsheet applications
+    const start = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+            quoteLine = line;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error(`Unterminated quoted field starting on line ${quoteLine}.`);
+    }
+    endRecord();
+    return records;
+}
+
+// Quotes a field only when it has to be
+function formatCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats one CSV record, including the line break.
+ * @param {Array<any>} values - null and undefined become empty fields.
+ * @returns {string}
+ */
+function formatCsvRow(values) {
+    return `${values.map(formatCsvField).join(',')}\r\n`;
+}
+
+export { parseCsv, formatCsvRow };
@@ -0,0 +1,134 @@
+// src/utils/dates.js
+// Day boundaries are calendar days in a website's IANA timezone (e.g. 'Europe/Berlin'), not in the
+// timezone of the server, so "ends tomorrow" means tomorrow for the customer. All helpers take the
+// timezone as their last argument and default to UTC.
+
+const DEFAULT_TIMEZONE = 'UTC';
+const MS_PER_MINUTE = 1000 * 60;
+const MS_PER_DAY = MS_PER_MINUTE * 60 * 24;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    let formatter = formatters.get(timeZone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        });
+        formatters.set(timeZone, formatter);
+    }
+    return formatter;
+}
+
+// Returns the canonical spelling of an IANA timezone name (e.g. 'utc' -> 'UTC'), or null if it is unknown
+function normalizeTimeZone(timeZone) {
+    if (typeof timeZone !== 'string' || timeZone.length === 0) return null;
+    try {
+        return getFormatter(timeZone).resolvedOptions().timeZone;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Wall-clock fields of an instant in the given timezone
+function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(date))) {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    }
+    return parts;
+}
+
+// Offset of the timezone from UTC at the given instant, in ms
+function getTimeZoneOffset(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000;
+}
+
+// Instant at which the wall clock in the timezone shows the given local date and time.
+// Times skipped by a DST change resolve to the same wall time shifted forward by the change, so a day
+// whose midnight is skipped (e.g. America/Santiago, America/Havana) starts at the first instant it has.
+function zonedTimeToDate(year, month, day, hour, minute, timeZone) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+    const offsetAtGuess = getTimeZoneOffset(asUtc, timeZone);
+    const firstGuess = asUtc - offsetAtGuess;
+    const offsetAtFirstGuess = getTimeZoneOffset(firstGuess, timeZone);
+    const result = asUtc - offsetAtFirstGuess;
+
+    const p = getZonedParts(result, timeZone);
+    if (Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) === asUtc) {
+        return new Date(result);
+    }
+    // The wall time falls in a gap: the two guesses straddle it, and the offset from before the change
+    // gives the later instant
+    return new Date(asUtc - Math.min(offsetAtGuess, offsetAtFirstGuess));
+}
+
+// Calendar day of an instant in the timezone, as a day count since the epoch (no DST rounding needed)
+function getDayNumber(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day) / MS_PER_DAY;
+}
+
+// Instant at which the given day number starts (or reaches the given time of day) in the timezone
+function dayNumberToDate(dayNumber, timeZone, hour = 0, minute = 0) {
+    const d = new Date(dayNumber * MS_PER_DAY);
+    return zonedTimeToDate(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), hour, minute, timeZone);
+}
+
+// Returns the instant at which the date's day starts in the timezone
+function startOfDay(date, timeZone = DEFAULT_TIMEZONE) {
+    return dayNumberToDate(getDayNumber(date, timeZone), timeZone);
+}
+
+// Number of calendar days from date1's day to date2's day in the timezone
+function getDaysBetween(date1, date2, timeZone = DEFAULT_TIMEZONE) {
+    return getDayNumber(date2, timeZone) - getDayNumber(date1, timeZone);
+}
+
+// Start of the day `days` calendar days after the date's day in the timezone (negative values go back)
+function addDays(date, days, timeZone = DEFAULT_TIMEZONE) {
+    return dayNumberToDate(getDayNumber(date, timeZone) + days, timeZone);
+}
+
+// Instant of a local time ({hour, minute}) on the date's day in the timezone
+function atTimeOfDay(date, { hour, minute }, timeZone = DEFAULT_TIMEZONE) {
+    return dayNumberToDate(getDayNumber(date, timeZone), timeZone, hour, minute);
+}
+
+// Same local time `months` calendar months later in the timezone. Days past the end of the target
+// month are clamped to its last day (Jan 31 + 1 month = Feb 28, or Feb 29 in leap years).
+function addMonths(date, months, timeZone = DEFAULT_TIMEZONE) {
+    const p = getZonedParts(date, timeZone);
+    const target = new Date(Date.UTC(p.year, p.month - 1 + months, 1));
+    const year = target.getUTCFullYear();
+    const month = target.getUTCMonth() + 1;
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return zonedTimeToDate(year, month, Math.min(p.day, daysInMonth), p.hour, p.minute, timeZone);
+}
+
+// Start of the last day (inclusive) of a free trial that started on the given date
+function getTrialEndDate(freeTrialStartDate, trialDurationDays, timeZone = DEFAULT_TIMEZONE) {
+    return addDays(freeTrialStartDate, trialDurationDays - 1, timeZone);
+}
+
+// Calendar date (YYYY-MM-DD) of an instant in the timezone
+function toLocalDateString(date, timeZone = DEFAULT_TIMEZONE) {
+    return new Date(getDayNumber(date, timeZone) * MS_PER_DAY).toISOString().split('T')[0];
+}
+
+export {
+    DEFAULT_TIMEZONE,
+    normalizeTimeZone,
+    startOfDay,
+    getDaysBetween,
+    addDays,
+    addMonths,
+    atTimeOfDay,
+    getTrialEndDate,
+    toLocalDateString
+};
@@ -0,0 +1,16 @@
+// src/utils/env.js
+// Numeric settings read from the environment. A value that is missing, not a number or below the
+// allowed minimum falls back to its default, rather than turning into NaN further down.
+
+/**
+ * @param {string} name - Environment variable.
+ * @param {number} defaultValue
+ * @param {number} [min=1] - Smallest accepted value; 0 for settings where zero is meaningful (e.g. no retries).
+ * @returns {number}
+ */
+function intFromEnv(name, defaultValue, min = 1) {
+    const value = parseInt(process.env[name] || '', 10);
+    return isNaN(value) || value < min ? defaultValue : value;
+}
+
+export { intFromEnv };
@@ -0,0 +1,140 @@
+// src/utils/errors.js
+// Errors carrying an HTTP status and a stable, machine-readable error code. The generic error handler
+// in server.js turns them into the error response: { code, status: 'error', error, errorCode, details? }.
+
+class AppError extends Error {
+    constructor(message, statusCode = 500, errorCode = 'INTERNAL_ERROR', options = undefined) {
+        super(message, options);
+        this.name = this.constructor.name;
+        this.statusCode = statusCode;
+        this.errorCode = errorCode;
+    }
+}
+
+/**
+ * A request that does not match its schema, or refers to something that does not exist.
+ * details lists the offending fields: { location: 'body' | 'query' | 'params', field, code, message }.
+ */
+class ValidationError extends AppError {
+    constructor(details, message = 'Request validation failed.') {
+        super(message, 400, 'VALIDATION_FAILED');
+        this.details = details;
+    }
+}
+
+class UnauthorizedError extends AppError {
+    constructor(message = 'Unauthorized: Invalid or missing API key.') {
+        super(message, 401, 'UNAUTHORIZED');
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message) {
+        super(message, 403, 'FORBIDDEN');
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message = 'Resource not found.', errorCode = 'NOT_FOUND') {
+        super(message, 404, errorCode);
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message, errorCode = 'CONFLICT') {
+        super(message, 409, errorCode);
+    }
+}
+
+class InvalidTransitionError extends ConflictError {
+    constructor(fromStatus, toStatus) {
+        super(`Illegal plan status transition from '${fromStatus}' to '${toStatus}'.`, 'INVALID_TRANSITION');
+        this.fromStatus = fromStatus;
+        this.toStatus = toStatus;
+    }
+}
+
+// The caller's If-Match names a version the record no longer has
+class PreconditionFailedError extends AppError {
+    constructor(message = 'The record was changed since it was read. Fetch it again and retry.') {
+        super(message, 412, 'PRECONDITION_FAILED');
+    }
+}
+
+class ServiceUnavailableError extends AppError {
+    constructor(message, errorCode = 'SERVICE_UNAVAILABLE', options = undefined) {
+        super(message, 503, errorCode, options);
+    }
+}
+
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND'];
+
+/**
+ * Maps a PostgreSQL (or connection) error to the AppError a client should see, or null if it is
+ * not one the client can do anything about.
+ * @param {Error & {code?: string}} error - Error thrown by pg.
+ * @returns {AppError | null}
+ */
+function fromDatabaseError(error) {
+    const code = error?.code;
+    if (typeof code !== 'string') {
+        return null;
+    }
+    if (code.startsWith('08') || ['57P01', '57P02', '57P03'].includes(code) || CONNECTION_ERROR_CODES.includes(code)) {
+        return new ServiceUnavailableError('The database is unavailable. Try again later.', 'DATABASE_UNAVAILABLE', { cause: error });
+    }
+    if (code === '57014') {
+        return new ServiceUnavailableError('The database did not answer in time. Try again later.', 'DATABASE_TIMEOUT', { cause: error });
+    }
+    if (code === '40001' || code === '40P01') {
+        return new ConflictError('The record was changed concurrently. Retry the request.', 'CONCURRENT_MODIFICATION');
+    }
+    if (code === '23505') {
+        return new ConflictError('A record with the same key already exists.', 'DUPLICATE');
+    }
+    if (code === '23503') {
+        return new ConflictError('The request refers to a record that does not exist, or one that is still in use.', 'REFERENCE_CONFLICT');
+    }
+    if (code.startsWith('22') || code === '23502' || code === '23514') {
+        return new AppError('A value in the request is not acceptable.', 400, 'INVALID_INPUT', { cause: error });
+    }
+    return null;
+}
+
+/**
+ * Normalizes anything passed to next(err) into an AppError. Service errors wrap the underlying pg
+ * error as their cause, so database failures the client can act on get a meaningful status.
+ * @param {any} err
+ * @returns {AppError}
+ */
+function toAppError(err) {
+    if (err instanceof AppError) {
+        return err;
+    }
+    // Body parser failures (malformed JSON, oversized body)
+    if (err?.type === 'entity.parse.failed') {
+        return new AppError('Malformed JSON in request body.', 400, 'INVALID_JSON');
+    }
+    if (err?.type === 'entity.too.large') {
+        return new AppError('Request body is too large.', 413, 'PAYLOAD_TOO_LARGE');
+    }
+    const mapped = fromDatabaseError(err?.cause) || fromDatabaseError(err);
+    if (mapped) {
+        return mapped;
+    }
+    return new AppError(err?.message || 'An unexpected error occurred.', 500, 'INTERNAL_ERROR', { cause: err });
+}
+
+export {
+    AppError,
+    ValidationError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    InvalidTransitionError,
+    PreconditionFailedError,
+    ServiceUnavailableError,
+    fromDatabaseError,
+    toAppError
+};
@@ -0,0 +1,54 @@
+// src/utils/etag.js
+// A plan state's version (bumped by the database on every change) is sent as a strong ETag and taken back
+// in If-Match, which makes a write conditional on the caller's copy still being current.
+import { ValidationError } from './errors.js';
+
+// One entry of an If-Match list: "*", or a quoted entity tag, possibly weak
+const ENTITY_TAG_PATTERN = /^(?:(\*)|(W\/)?"([\x21\x23-\x7E]*)")$/;
+const VERSION_PATTERN = /^\d{1,9}$/;
+
+// If-Match: * — the write applies to whatever version the website has, but only if it has a plan state
+const ANY_VERSION = '*';
+
+/**
+ * @param {{version: number}} state - plan_states row.
+ * @returns {string} The ETag header value.
+ */
+function planStateETag(state) {
+    return `"${state.version}"`;
+}
+
+/**
+ * Reads an If-Match header into the versions a write may apply to. If-Match compares strongly, so weak
+ * tags and tags that are not versions match nothing; a list of only those always fails the precondition.
+ * @param {string | undefined} header
+ * @returns {Array<number> | '*' | null} null if there is no header; ANY_VERSION for "*", which only
+ *     requires the website to have a plan state.
+ * @throws {ValidationError} If the header is not a list of entity tags.
+ */
+function parseIfMatch(header) {
+    if (header === undefined) {
+        return null;
+    }
+    const versions = [];
+    for (const entry of header.split(',').map(part => part.trim())) {
+        const match = ENTITY_TAG_PATTERN.exec(entry);
+        if (!match) {
+            throw new ValidationError([{
+                location: 'headers',
+                field: 'If-Match',
+                code: 'invalid_format',
+                message: 'Expected "*" or a list of ETags, e.g. "3".'
+            }]);
+        }
+        if (match[1]) {
+            return ANY_VERSION;
+        }
+        if (!match[2] && VERSION_PATTERN.test(match[3])) {
+            versions.push(Number(match[3]));
+        }
+    }
+    return versions;
+}
+
+export { ANY_VERSION, planStateETag, parseIfMatch };
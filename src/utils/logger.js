@@ -0,0 +1,94 @@
+// src/utils/logger.js
+// Structured logging: one JSON object per line, e.g.
+//   {"time":"2025-01-31T09:00:00.000Z","level":"info","component":"Scheduler","msg":"Run finished.","runId":"42","websitesScanned":120}
+// Fields of the current log context (request id, scheduler run id, website id) are added to every line
+// logged while it is active, however deep in the call stack. LOG_LEVEL (debug, info, warn, error; default
+// info) sets the lowest level written. debug and info go to stdout, warn and error to stderr.
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const contextStorage = new AsyncLocalStorage();
+
+const configuredLevel = (process.env.LOG_LEVEL || 'info').toLowerCase();
+const minLevel = LEVELS[configuredLevel] ?? LEVELS.info;
+
+// Errors do not survive JSON.stringify (their properties are not enumerable)
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined && { code: error.code }),
+        stack: error.stack,
+        ...(error.cause !== undefined && { cause: error.cause instanceof Error ? serializeError(error.cause) : error.cause })
+    };
+}
+
+function serializeFields(fields) {
+    const result = {};
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) continue;
+        result[key] = value instanceof Error ? serializeError(value) : value;
+    }
+    return result;
+}
+
+function write(level, component, msg, fields) {
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        component,
+        msg,
+        ...contextStorage.getStore(),
+        ...serializeFields(fields)
+    };
+    let line;
+    try {
+        line = JSON.stringify(entry, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+    } catch (error) {
+        // e.g. a circular structure in the fields; the message itself is still worth having
+        line = JSON.stringify({ time: entry.time, level, component, msg, logError: error.message });
+    }
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * Creates the logger of a module.
+ * @param {string} component - Name of the module, e.g. 'Scheduler' or 'PlanStateService'.
+ * @returns {{debug: function, info: function, warn: function, error: function, isDebugEnabled: function}}
+ *     Each level takes a message and optional fields, e.g. log.info('Upserted plan state.', { websiteId }).
+ *     An Error among the fields is logged with its message, code, stack and cause.
+ */
+function createLogger(component) {
+    const logAt = (level) => (msg, fields = {}) => {
+        if (LEVELS[level] >= minLevel) {
+            write(level, component, msg, fields);
+        }
+    };
+    return {
+        debug: logAt('debug'),
+        info: logAt('info'),
+        warn: logAt('warn'),
+        error: logAt('error'),
+        // For debug output that is costly to build
+        isDebugEnabled: () => minLevel <= LEVELS.debug
+    };
+}
+
+/**
+ * Runs fn with fields added to the log context (on top of the fields already in it); everything fn
+ * logs, including asynchronous work it starts, carries them.
+ * @param {object} fields - e.g. { requestId } or { runId }.
+ * @param {function(): T} fn
+ * @returns {T} What fn returns.
+ * @template T
+ */
+function runWithLogContext(fields, fn) {
+    return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+if (!(configuredLevel in LEVELS)) {
+    createLogger('Logger').warn(`Unknown LOG_LEVEL '${process.env.LOG_LEVEL}'; using info.`);
+}
+
+export { createLogger, runWithLogContext };
@@ -0,0 +1,155 @@
+// src/utils/metrics.js
+// In-process metrics in the Prometheus text exposition format (served on GET /metrics). Each module
+// defines the metrics it records at load time; label values should come from small, fixed sets
+// (route patterns, event types), never from ids.
+
+// Default histogram buckets, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new Map();
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(pairs) {
+    return pairs.length ? `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}` : '';
+}
+
+class Metric {
+    /**
+     * @param {'counter' | 'gauge' | 'histogram'} type
+     * @param {object} options
+     * @param {string} options.name
+     * @param {string} options.help
+     * @param {Array<string>} [options.labelNames]
+     */
+    constructor(type, { name, help, labelNames = [] }) {
+        if (registry.has(name)) {
+            throw new Error(`Metric '${name}' is already defined.`);
+        }
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        // Label values (as a JSON array) -> series value
+        this.series = new Map();
+        registry.set(name, this);
+    }
+
+    // Missing labels are recorded as empty strings
+    seriesKey(labels) {
+        return JSON.stringify(this.labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name]))));
+    }
+
+    labelPairs(key) {
+        return JSON.parse(key).map((value, index) => [this.labelNames[index], value]);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const [key, value] of this.series) {
+            lines.push(`${this.name}${formatLabels(this.labelPairs(key))} ${value}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+class Counter extends Metric {
+    inc(labels = {}, value = 1) {
+        const key = this.seriesKey(labels);
+        this.series.set(key, (this.series.get(key) || 0) + value);
+    }
+}
+
+class Gauge extends Metric {
+    set(labels, value) {
+        this.series.set(this.seriesKey(labels), value);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(options) {
+        super('histogram', options);
+        this.buckets = options.buckets || DEFAULT_BUCKETS;
+    }
+
+    observe(labels, value) {
+        const key = this.seriesKey(labels);
+        let entry = this.series.get(key);
+        if (!entry) {
+            entry = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.series.set(key, entry);
+        }
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    }
+
+    /**
+     * Starts timing; the returned function records the elapsed seconds.
+     * @param {object} [labels] - Labels known up front.
+     * @returns {function(object=): number} Called with any labels known only at the end; returns the seconds recorded.
+     */
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (endLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...endLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        for (const [key, { counts, sum, count }] of this.series) {
+            const pairs = this.labelPairs(key);
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels([...pairs, ['le', bound]])} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels([...pairs, ['le', '+Inf']])} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(pairs)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(pairs)} ${count}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+/**
+ * A value that only goes up (resets when the process restarts).
+ * @param {{name: string, help: string, labelNames?: Array<string>}} options
+ * @returns {Counter}
+ */
+function counter(options) {
+    return new Counter('counter', options);
+}
+
+/**
+ * A value that is set to the current reading.
+ * @param {{name: string, help: string, labelNames?: Array<string>}} options
+ * @returns {Gauge}
+ */
+function gauge(options) {
+    return new Gauge('gauge', options);
+}
+
+/**
+ * A distribution of observed values (usually durations in seconds) over cumulative buckets.
+ * @param {{name: string, help: string, labelNames?: Array<string>, buckets?: Array<number>}} options
+ * @returns {Histogram}
+ */
+function histogram(options) {
+    return new Histogram(options);
+}
+
+/**
+ * Renders every metric defined so far.
+ * @returns {string} Prometheus text exposition format (version 0.0.4).
+ */
+function renderMetrics() {
+    return `${[...registry.values()].map(metric => metric.render()).join('\n')}\n`;
+}
+
+export { counter, gauge, histogram, renderMetrics };
@@ -0,0 +1,325 @@
+// src/utils/schema.js
+// Declarative request schemas (used by middleware/validate.js). A schema checks a value, records
+// problems as issues with a field path and a stable code, and returns the value in the form controllers
+// work with: trimmed strings, numbers parsed from query strings, ISO timestamps as Date objects.
+//
+// Issue codes: required, invalid_type, invalid_format, invalid_value, too_small, too_big, not_unique,
+// invalid_date, date_not_in_future, date_in_future, invalid_timezone, invalid_combination.
+import { normalizeTimeZone } from './dates.js';
+
+const INVALID = Symbol('invalid');
+
+function fieldName(path) {
+    return path.reduce((name, segment) => (
+        typeof segment === 'number' ? `${name}[${segment}]` : name ? `${name}.${segment}` : segment
+    ), '') || null;
+}
+
+function addIssue(issues, path, code, message) {
+    issues.push({ field: fieldName(path), code, message });
+    return INVALID;
+}
+
+class Schema {
+    /**
+     * @param {function(any, Array<string|number>, Array<object>): any} check - Validates a present, non-null
+     *     value; returns the converted value, or INVALID after recording issues.
+     */
+    constructor(check) {
+        this.check = check;
+        this.isOptional = false;
+        this.isNullable = false;
+        this.defaultValue = undefined;
+        this.steps = [];
+    }
+
+    clone(changes) {
+        return Object.assign(Object.create(Schema.prototype), this, changes);
+    }
+
+    // The field may be left out
+    optional() {
+        return this.clone({ isOptional: true });
+    }
+
+    // The field may be null
+    nullable() {
+        return this.clone({ isNullable: true });
+    }
+
+    // Value used when the field is left out; a function is called each time
+    default(value) {
+        return this.clone({ isOptional: true, defaultValue: value });
+    }
+
+    /**
+     * Adds a check on the converted value.
+     * @param {function(any): ({code: string, message: string, field?: string} | null)} rule - Returns the problem,
+     *     if any; field is relative to this value (for object-level rules about one of its fields).
+     */
+    refine(rule) {
+        return this.clone({ steps: [...this.steps, { rule }] });
+    }
+
+    // Converts the value further; an error thrown by fn becomes an invalid_value issue with its message
+    transform(fn) {
+        return this.clone({ steps: [...this.steps, { transform: fn }] });
+    }
+
+    /**
+     * Validates and converts a value.
+     * @param {any} value
+     * @param {Array<string|number>} path - Where the value sits in the request part.
+     * @param {Array<object>} issues - Collects the problems found.
+     * @returns {any} The converted value, or INVALID.
+     */
+    parse(value, path, issues) {
+        if (value === undefined) {
+            if (this.defaultValue !== undefined) {
+                return typeof this.defaultValue === 'function' ? this.defaultValue() : this.defaultValue;
+            }
+            return this.isOptional ? undefined : addIssue(issues, path, 'required', 'Required.');
+        }
+        if (value === null) {
+            return this.isNullable ? null : addIssue(issues, path, 'invalid_type', 'Must not be null.');
+        }
+
+        let result = this.check(value, path, issues);
+        if (result === INVALID) {
+            return INVALID;
+        }
+        for (const step of this.steps) {
+            if (step.rule) {
+                const problem = step.rule(result);
+                if (problem) {
+                    return addIssue(issues, problem.field ? [...path, problem.field] : path, problem.code, problem.message);
+                }
+            } else {
+                try {
+                    result = step.transform(result);
+                } catch (error) {
+                    return addIssue(issues, path, 'invalid_value', error.message);
+                }
+            }
+        }
+        return result;
+    }
+}
+
+/**
+ * A string.
+ * @param {object} [options]
+ * @param {number} [options.min=1] - Minimum length (after trimming, if trim is set).
+ * @param {number} [options.max]
+ * @param {RegExp} [options.pattern]
+ * @param {string} [options.patternMessage] - Message when the pattern does not match.
+ * @param {boolean} [options.trim=false]
+ */
+function string({ min = 1, max, pattern, patternMessage, trim = false } = {}) {
+    return new Schema((value, path, issues) => {
+        if (typeof value !== 'string') {
+            return addIssue(issues, path, 'invalid_type', 'Expected a string.');
+        }
+        const result = trim ? value.trim() : value;
+        if (result.length < min) {
+            return addIssue(issues, path, 'too_small', min === 1 ? 'Must not be empty.' : `Expected at least ${min} characters.`);
+        }
+        if (max !== undefined && result.length > max) {
+            return addIssue(issues, path, 'too_big', `Expected at most ${max} characters.`);
+        }
+        if (pattern && !pattern.test(result)) {
+            return addIssue(issues, path, 'invalid_format', patternMessage || `Expected to match ${pattern}.`);
+        }
+        return result;
+    });
+}
+
+// Numeric database id (bigserial) as it appears in a path or cursor
+function numericId() {
+    return string({ pattern: /^\d{1,18}$/, patternMessage: 'Expected a numeric id.' });
+}
+
+/**
+ * One of a fixed set of strings.
+ * @param {Array<string>} values
+ */
+function enumOf(values) {
+    return new Schema((value, path, issues) => (
+        values.includes(value) ? value : addIssue(issues, path, 'invalid_value', `Expected one of: ${values.join(', ')}.`)
+    ));
+}
+
+/**
+ * A number, optionally restricted to integers. With coerce, numeric strings (query parameters) are accepted.
+ * @param {object} [options]
+ * @param {boolean} [options.integer=false]
+ * @param {number} [options.min]
+ * @param {number} [options.max]
+ * @param {boolean} [options.coerce=false]
+ */
+function number({ integer = false, min, max, coerce = false } = {}) {
+    return new Schema((value, path, issues) => {
+        let result = value;
+        if (coerce && typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value)) {
+            result = Number(value);
+        }
+        if (typeof result !== 'number' || !Number.isFinite(result)) {
+            return addIssue(issues, path, 'invalid_type', integer ? 'Expected an integer.' : 'Expected a number.');
+        }
+        if (integer && !Number.isInteger(result)) {
+            return addIssue(issues, path, 'invalid_type', 'Expected an integer.');
+        }
+        if (min !== undefined && result < min) {
+            return addIssue(issues, path, 'too_small', `Expected at least ${min}.`);
+        }
+        if (max !== undefined && result > max) {
+            return addIssue(issues, path, 'too_big', `Expected at most ${max}.`);
+        }
+        return result;
+    });
+}
+
+function integer(options = {}) {
+    return number({ ...options, integer: true });
+}
+
+/**
+ * A boolean. With coerce, 'true' and 'false' (query parameters) are accepted.
+ * @param {object} [options]
+ * @param {boolean} [options.coerce=false]
+ */
+function boolean({ coerce = false } = {}) {
+    return new Schema((value, path, issues) => {
+        if (coerce && (value === 'true' || value === 'false')) {
+            return value === 'true';
+        }
+        return typeof value === 'boolean' ? value : addIssue(issues, path, 'invalid_type', 'Expected a boolean.');
+    });
+}
+
+// YYYY-MM-DD, optionally followed by a time and a UTC offset
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,9}))?)?(Z|[+-]\d{2}:?\d{2})?)?$/i;
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * An ISO 8601 date or timestamp, converted to a Date. Dates without a time are midnight UTC and
+ * timestamps without an offset are taken as UTC, so the result never depends on the server's timezone.
+ * @param {object} [options]
+ * @param {boolean} [options.future=false] - Must lie after the time of the request.
+ * @param {boolean} [options.notFuture=false] - Must not lie after the time of the request.
+ */
+function date({ future = false, notFuture = false } = {}) {
+    return new Schema((value, path, issues) => {
+        if (typeof value !== 'string') {
+            return addIssue(issues, path, 'invalid_type', 'Expected an ISO 8601 date string.');
+        }
+        const match = ISO_DATE_PATTERN.exec(value);
+        if (!match) {
+            return addIssue(issues, path, 'invalid_format', 'Expected an ISO 8601 date, e.g. 2025-01-31 or 2025-01-31T09:00:00Z.');
+        }
+        const [, year, month, day, hour = '00', minute = '00', second = '00', fraction = '', offset = 'Z'] = match;
+        if (+month < 1 || +month > 12 || +day < 1 || +day > daysInMonth(+year, +month)
+            || +hour > 23 || +minute > 59 || +second > 59) {
+            return addIssue(issues, path, 'invalid_date', 'Not a valid calendar date and time.');
+        }
+        const zone = offset.toUpperCase() === 'Z' ? 'Z' : `${offset.slice(0, 3)}:${offset.slice(-2)}`;
+        const result = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}.${fraction.padEnd(3, '0').slice(0, 3)}${zone}`);
+        if (isNaN(result.getTime())) {
+            return addIssue(issues, path, 'invalid_date', 'Not a valid calendar date and time.');
+        }
+        if (future && result <= new Date()) {
+            return addIssue(issues, path, 'date_not_in_future', 'Expected a date in the future.');
+        }
+        if (notFuture && result > new Date()) {
+            return addIssue(issues, path, 'date_in_future', 'Expected a date that is not in the future.');
+        }
+        return result;
+    });
+}
+
+// An IANA timezone name, converted to its canonical spelling
+function timeZone() {
+    return new Schema((value, path, issues) => {
+        const normalized = typeof value === 'string' ? normalizeTimeZone(value) : null;
+        return normalized || addIssue(issues, path, 'invalid_timezone', 'Expected an IANA timezone name, e.g. Europe/Berlin.');
+    });
+}
+
+/**
+ * An array whose items all match a schema.
+ * @param {Schema} item
+ * @param {object} [options]
+ * @param {number} [options.min]
+ * @param {number} [options.max]
+ * @param {boolean | 'drop'} [options.unique=false] - Reject duplicate items, or with 'drop', remove them.
+ */
+function array(item, { min, max, unique = false } = {}) {
+    return new Schema((value, path, issues) => {
+        if (!Array.isArray(value)) {
+            return addIssue(issues, path, 'invalid_type', 'Expected an array.');
+        }
+        if (min !== undefined && value.length < min) {
+            return addIssue(issues, path, 'too_small', min === 1 ? 'Must not be empty.' : `Expected at least ${min} items.`);
+        }
+        if (max !== undefined && value.length > max) {
+            return addIssue(issues, path, 'too_big', `Expected at most ${max} items.`);
+        }
+        const before = issues.length;
+        const result = value.map((entry, index) => item.parse(entry, [...path, index], issues));
+        if (issues.length > before) {
+            return INVALID;
+        }
+        if (unique === 'drop') {
+            return [...new Set(result)];
+        }
+        if (unique && new Set(result).size !== result.length) {
+            return addIssue(issues, path, 'not_unique', 'Expected no duplicate items.');
+        }
+        return result;
+    });
+}
+
+/**
+ * An object with known fields. Fields not in the shape are dropped; fields left out (and not
+ * defaulted) are absent from the result, so `=== undefined` still means "not provided".
+ * @param {Object<string, Schema>} shape
+ */
+function object(shape) {
+    return new Schema((value, path, issues) => {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            return addIssue(issues, path, 'invalid_type', 'Expected an object.');
+        }
+        const before = issues.length;
+        const result = {};
+        for (const [key, schema] of Object.entries(shape)) {
+            const parsed = schema.parse(value[key], [...path, key], issues);
+            if (parsed !== undefined) {
+                result[key] = parsed;
+            }
+        }
+        return issues.length > before ? INVALID : result;
+    });
+}
+
+// Any JSON value; pair with refine() or transform() for structures checked elsewhere
+function any() {
+    return new Schema((value) => value);
+}
+
+export {
+    Schema,
+    string,
+    numericId,
+    enumOf,
+    number,
+    integer,
+    boolean,
+    date,
+    timeZone,
+    array,
+    object,
+    any
+};